@@ -0,0 +1,178 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import DblHiRes from "./lib/dbl-hi-res.js";
+import Debug from "./lib/debug.js";
+import Settings from "./settings.js";
+
+//
+// Color picker implementation for Apple II double hi-res images.  This implements the <dialog>
+// in the main editor page.  It works the same way as ColorPickerHgr, but offers the 16 solid
+// colors and two-color checkerboard blends.
+//
+// Lo-res and double lo-res use the same 16 colors and pattern layout, so this picker is used
+// for those formats as well.
+//
+// This class must be instantiated exactly once.
+//
+export default class ColorPickerDhgr {
+    static isInitialized = false;
+
+    SELECTED = "selected";
+    BUTTON_CLASS = "swatch-button";
+    CANVAS_CLASS = "swatch-canvas";
+    CANVAS_WIDTH = 56;
+    CANVAS_HEIGHT = 56;
+
+    // Currently-selected color pattern.
+    mCurrentPat = undefined;
+    get currentPat() { return this.mCurrentPat; }
+    set currentPat(value) {
+        Debug.assert(value !== undefined && value.length == DblHiRes.PATTERN_LEN,
+            "bad pattern " + value);
+        this.mCurrentPat = value;
+    }
+    // There are no transparent patterns.
+    get isPatTransparent() { return false; }
+
+    // Button associated with current color.
+    currentButton = undefined;
+
+    colorSwatchClose = undefined;
+
+    solidPats = DblHiRes.getSolidPatterns();
+    ditherPats = DblHiRes.getDitherPatterns();
+    solidButtons = [];
+    ditherButtons = [];
+
+    constructor(mainObj) {
+        if (ColorPickerDhgr.isInitialized != false) {
+            throw new Error("ColorPicker DHGR initialized twice");
+        }
+
+        this.mainObj = mainObj;
+
+        this.dialog = document.getElementById("color-picker-dhgr");
+        document.getElementById("dhgr-picker-close").addEventListener("click", () => {
+            this.dialog.close();
+        });
+
+        let solidParts = document.getElementById("dhgr-color-body");
+        for (let index = 0; index < this.solidPats.length; index++) {
+            let button = this.createSwatchButton(this.solidPats[index]);
+            button.addEventListener("click", (event) => {
+                this.handleSwatchClick(event, true, index);
+            });
+            button.addEventListener("dblclick", (event) => {
+                this.handleSwatchClick(event, true, index);
+            });
+            solidParts.append(button);
+            this.solidButtons.push(button);
+        }
+
+        let ditherParts = document.getElementById("dhgr-dither-body");
+        for (let index = 0; index < this.ditherPats.length; index++) {
+            let button = this.createSwatchButton(this.ditherPats[index]);
+            button.addEventListener("click", (event) => {
+                this.handleSwatchClick(event, false, index);
+            });
+            button.addEventListener("dblclick", (event) => {
+                this.handleSwatchClick(event, false, index);
+            });
+            ditherParts.append(button);
+            this.ditherButtons.push(button);
+        }
+
+        this.setColor(true, 15);
+
+        ColorPickerDhgr.isInitialized = true;
+        console.log("ColorPicker DHGR initialized");
+    }
+
+    showDialog() {
+        this.dialog.showModal();
+    }
+
+    //
+    // Redraws all of the swatch buttons.  Call this after the display palette changes.
+    //
+    redrawSwatches() {
+        for (let index = 0; index < this.solidPats.length; index++) {
+            let canvas = this.solidButtons[index].querySelector("canvas");
+            this.drawColorSwatch(canvas.getContext("2d"), this.solidPats[index], false);
+        }
+        for (let index = 0; index < this.ditherPats.length; index++) {
+            let canvas = this.ditherButtons[index].querySelector("canvas");
+            this.drawColorSwatch(canvas.getContext("2d"), this.ditherPats[index], false);
+        }
+    }
+
+    //
+    // Creates a new HTML element filled with the specified color pattern.
+    //
+    createSwatchButton(pat) {
+        let button = document.createElement("button");
+        button.className = this.BUTTON_CLASS;
+        let canvas = document.createElement("canvas");
+        canvas.className = this.CANVAS_CLASS;
+        canvas.width = this.CANVAS_WIDTH;
+        canvas.height = this.CANVAS_HEIGHT;
+        this.drawColorSwatch(canvas.getContext("2d"), pat, false);
+        button.append(canvas);
+        return button;
+    }
+
+    //
+    // Draws a color swatch on a canvas, filling it completely.
+    //
+    drawColorSwatch(ctx, pat, asMono) {
+        let canvas = ctx.canvas;
+        let imageData = DblHiRes.renderSwatch(canvas.width, canvas.height, pat, asMono);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    handleSwatchClick(event, isSolidColor, index) {
+        this.setColor(isSolidColor, index);
+        this.mainObj.onColorChanged();
+        if (event.type === "dblclick" || this.colorSwatchClose == Settings.SWATCH_CLOSE_SINGLE) {
+            this.dialog.close();
+        }
+    }
+
+    //
+    // Selects the solid color with the specified color number (0-15).  Used by the eyedropper.
+    //
+    pickColor(color) {
+        this.setColor(true, color);
+    }
+
+    setColor(isSolidColor, index) {
+        if (this.currentButton !== undefined) {
+            this.currentButton.classList.remove(this.SELECTED);
+        }
+        let newButton, newPat;
+        if (isSolidColor) {
+            newButton = this.solidButtons[index];
+            newPat = this.solidPats[index];
+        } else {
+            newButton = this.ditherButtons[index];
+            newPat = this.ditherPats[index];
+        }
+        newButton.classList.add(this.SELECTED);
+        this.currentPat = newPat;
+        this.currentButton = newButton;
+    }
+}
@@ -57,6 +57,13 @@ export default class ColorPickerHgr {
     ditherPats = StdHiRes.getDitherPatterns();
     solidButtons = [];
     ditherButtons = [];
+    // Patterns from the user's pattern library.  Set by the pattern editor.
+    customPats = [];
+    customButtons = [];
+
+    // Maps hi-res color values (black0, purple, green, white0, black1, blue, orange, white1)
+    // to entries in solidPats, which follow HCOLOR order and include "transparent" patterns.
+    COLOR_TO_SOLID = [0, 2, 1, 3, 5, 7, 6, 8];
 
     //
     // Initializes the standard hi-res color picker.
@@ -81,12 +88,7 @@ export default class ColorPickerHgr {
         for (let index = 0; index < this.solidPats.length; index++) {
             let pat = this.solidPats[index];
             let button = this.createHgrSwatchButton(pat);
-            button.addEventListener("click", (event) => {
-                this.handleSwatchClick(event, true, index);
-            });
-            button.addEventListener("dblclick", (event) => {
-                this.handleSwatchClick(event, true, index);
-            });
+            this.addSwatchListeners(button, pat);
             solidParts.append(button);
             this.solidButtons.push(button);
         }
@@ -95,22 +97,66 @@ export default class ColorPickerHgr {
         for (let index = 0; index < this.ditherPats.length; index++) {
             let pat = this.ditherPats[index];
             let button = this.createHgrSwatchButton(pat);
-            button.addEventListener("click", (event) => {
-                this.handleSwatchClick(event, false, index);
-            });
-            button.addEventListener("dblclick", (event) => {
-                this.handleSwatchClick(event, false, index);
-            });
+            this.addSwatchListeners(button, pat);
             ditherParts.append(button);
             this.ditherButtons.push(button);
         }
 
+        this.customParts = document.getElementById("hgr-custom-body");
+        document.getElementById("hgr-pattern-edit").addEventListener("click", () => {
+            this.mainObj.showPatternEditor();
+        });
+
         this.setColor(true, 3);
 
         ColorPickerHgr.isInitialized = true;
         console.log("ColorPicker HGR initialized");
     }
 
+    showDialog() {
+        document.getElementById("color-picker-hgr").showModal();
+    }
+
+    //
+    // Redraws all of the swatch buttons.  Call this after the display palette changes.
+    //
+    redrawSwatches() {
+        for (let index = 0; index < this.solidPats.length; index++) {
+            let canvas = this.solidButtons[index].querySelector("canvas");
+            this.drawColorSwatch(canvas.getContext("2d"), this.solidPats[index], false);
+        }
+        for (let index = 0; index < this.ditherPats.length; index++) {
+            let canvas = this.ditherButtons[index].querySelector("canvas");
+            this.drawColorSwatch(canvas.getContext("2d"), this.ditherPats[index], false);
+        }
+        for (let index = 0; index < this.customPats.length; index++) {
+            let canvas = this.customButtons[index].querySelector("canvas");
+            this.drawColorSwatch(canvas.getContext("2d"), this.customPats[index], false);
+        }
+    }
+
+    //
+    // Replaces the custom pattern swatches.  If the current color was one of the old custom
+    // patterns, it's kept, and highlighted again if it's still in the list.
+    //
+    //  pats: array of color patterns
+    //
+    setCustomPatterns(pats) {
+        let wasCustom = this.customButtons.includes(this.currentButton);
+        this.customPats = pats;
+        this.customButtons = [];
+        this.customParts.replaceChildren();
+        for (let pat of pats) {
+            let button = this.createHgrSwatchButton(pat);
+            this.addSwatchListeners(button, pat);
+            this.customParts.append(button);
+            this.customButtons.push(button);
+        }
+        if (wasCustom) {
+            this.pickPattern(this.currentPat);
+        }
+    }
+
     //
     // Creates a new HTML element filled with the specified color pattern.
     //
@@ -158,31 +204,87 @@ export default class ColorPickerHgr {
         }
     }
 
-    handleSwatchClick(event, isSolidColor, index) {
-        // console.log("Swatch click (" + this + "): " + isSolidColor + " - " + index);
-        this.setColor(isSolidColor, index);
+    //
+    // Adds the click handlers to a swatch button.
+    //
+    addSwatchListeners(button, pat) {
+        button.addEventListener("click", (event) => {
+            this.handleSwatchClick(event, button, pat);
+        });
+        button.addEventListener("dblclick", (event) => {
+            this.handleSwatchClick(event, button, pat);
+        });
+    }
+
+    handleSwatchClick(event, button, pat) {
+        this.selectSwatch(button, pat);
         this.mainObj.onColorChanged();
         if (event.type === "dblclick" || this.colorSwatchClose == Settings.SWATCH_CLOSE_SINGLE) {
             document.getElementById("color-picker-hgr").close();
         }
     }
 
-    setColor(isSolidColor, index) {
-        // Update the selected item.
-        let oldButton = this.currentButton;
-        if (oldButton !== undefined) {
-            oldButton.classList.remove(this.SELECTED);
+    //
+    // Selects the solid color with the specified hi-res color value (0-7).  Used by the
+    // eyedropper.
+    //
+    pickColor(color) {
+        Debug.assert(color >= 0 && color < 8, "bad color " + color);
+        this.setColor(true, this.COLOR_TO_SOLID[color]);
+    }
+
+    //
+    // Selects an arbitrary color pattern.  If it matches one of the swatches, that swatch is
+    // highlighted; otherwise the pattern is used as-is, and no swatch is highlighted.  Used
+    // by the eyedropper.
+    //
+    //  pat: color pattern
+    //  (returns): true if the pattern matched a swatch
+    //
+    pickPattern(pat) {
+        let matches = (other) => other.every((val, index) => val == pat[index]);
+        let index = this.solidPats.findIndex(matches);
+        if (index >= 0) {
+            this.setColor(true, index);
+            return true;
+        }
+        index = this.ditherPats.findIndex(matches);
+        if (index >= 0) {
+            this.setColor(false, index);
+            return true;
         }
-        let newButton, newPat;
+        index = this.customPats.findIndex(matches);
+        if (index >= 0) {
+            this.selectSwatch(this.customButtons[index], this.customPats[index]);
+            return true;
+        }
+        this.selectSwatch(undefined, pat);
+        return false;
+    }
+
+    setColor(isSolidColor, index) {
         if (isSolidColor) {
-            newButton = this.solidButtons[index];
-            newPat = this.solidPats[index];
+            this.selectSwatch(this.solidButtons[index], this.solidPats[index]);
         } else {
-            newButton = this.ditherButtons[index];
-            newPat = this.ditherPats[index];
+            this.selectSwatch(this.ditherButtons[index], this.ditherPats[index]);
+        }
+    }
+
+    //
+    // Makes a pattern the current color, and highlights its swatch button.
+    //
+    //  button: swatch button; may be undefined if the pattern doesn't have one
+    //  pat: color pattern
+    //
+    selectSwatch(button, pat) {
+        // Update the selected item.
+        if (this.currentButton !== undefined) {
+            this.currentButton.classList.remove(this.SELECTED);
+        }
+        if (button !== undefined) {
+            button.classList.add(this.SELECTED);
         }
-        newButton.classList.add(this.SELECTED);
-        this.currentPat = newPat;
-        this.currentButton = newButton;
+        this.currentPat = pat;
+        this.currentButton = button;
     }
 }
@@ -0,0 +1,189 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import SuperHiRes from "./lib/super-hi-res.js";
+import Debug from "./lib/debug.js";
+import Settings from "./settings.js";
+
+//
+// Color picker implementation for Apple IIgs super hi-res images.  This implements the <dialog>
+// in the main editor page.
+//
+// Super hi-res colors come from the image's palettes, so the swatches are regenerated from
+// the current picture every time the dialog is opened.  All 16 palettes are shown, one per
+// row, with the palettes that aren't used by any scanline dimmed.  Selecting a swatch selects
+// the palette entry number, which is drawn with whichever palette each row uses.
+//
+// This class must be instantiated exactly once.
+//
+export default class ColorPickerShr {
+    static isInitialized = false;
+
+    SELECTED = "selected";
+    UNUSED = "unused-palette";
+    BUTTON_CLASS = "swatch-button shr-swatch-button";
+    CANVAS_CLASS = "swatch-canvas shr-swatch-canvas";
+    CANVAS_WIDTH = 24;
+    CANVAS_HEIGHT = 24;
+
+    // Currently-selected color pattern.
+    mCurrentPat = undefined;
+    get currentPat() { return this.mCurrentPat; }
+    set currentPat(value) {
+        Debug.assert(value !== undefined && value.length == SuperHiRes.PATTERN_LEN,
+            "bad pattern " + value);
+        this.mCurrentPat = value;
+    }
+    // There are no transparent patterns.
+    get isPatTransparent() { return false; }
+
+    // Currently-selected palette entry.
+    currentEntry = 0;
+
+    colorSwatchClose = undefined;
+
+    solidPats = SuperHiRes.getSolidPatterns();
+    // Buttons for each palette entry, one per palette.
+    entryButtons = [];
+
+    constructor(mainObj) {
+        if (ColorPickerShr.isInitialized != false) {
+            throw new Error("ColorPicker SHR initialized twice");
+        }
+
+        this.mainObj = mainObj;
+
+        this.dialog = document.getElementById("color-picker-shr");
+        this.paletteBody = document.getElementById("shr-palette-body");
+        document.getElementById("shr-picker-close").addEventListener("click", () => {
+            this.dialog.close();
+        });
+
+        // Entry 15 is white in the default palette.
+        this.setColor(SuperHiRes.NUM_PALETTE_ENTRIES - 1);
+
+        ColorPickerShr.isInitialized = true;
+        console.log("ColorPicker SHR initialized");
+    }
+
+    showDialog() {
+        this.generateButtons();
+        this.dialog.showModal();
+    }
+
+    //
+    // Regenerates the swatch buttons from the current picture's palettes.
+    //
+    generateButtons() {
+        let pic = this.mainObj.currentPicture;
+        let palettes = pic.getPalettes();
+        let usage = pic.getPaletteUsage();
+
+        this.paletteBody.replaceChildren();
+        this.entryButtons = [];
+        for (let entry = 0; entry < SuperHiRes.NUM_PALETTE_ENTRIES; entry++) {
+            this.entryButtons.push([]);
+        }
+        for (let pal = 0; pal < SuperHiRes.NUM_PALETTES; pal++) {
+            let label = document.createElement("div");
+            label.className = "shr-palette-label";
+            label.textContent = `Palette ${pal}`;
+            if (usage[pal] == 0) {
+                label.classList.add(this.UNUSED);
+            }
+            this.paletteBody.append(label);
+            for (let entry = 0; entry < SuperHiRes.NUM_PALETTE_ENTRIES; entry++) {
+                let button = this.createSwatchButton(this.solidPats[entry], palettes[pal]);
+                if (usage[pal] == 0) {
+                    button.classList.add(this.UNUSED);
+                }
+                button.title = `Palette ${pal}, entry ${entry}`;
+                button.addEventListener("click", (event) => {
+                    this.handleSwatchClick(event, entry);
+                });
+                button.addEventListener("dblclick", (event) => {
+                    this.handleSwatchClick(event, entry);
+                });
+                this.paletteBody.append(button);
+                this.entryButtons[entry].push(button);
+            }
+        }
+        this.updateSelection();
+    }
+
+    //
+    // Creates a new HTML element filled with the specified color pattern.
+    //
+    createSwatchButton(pat, colors) {
+        let button = document.createElement("button");
+        button.className = this.BUTTON_CLASS;
+        let canvas = document.createElement("canvas");
+        canvas.className = this.CANVAS_CLASS;
+        canvas.width = this.CANVAS_WIDTH;
+        canvas.height = this.CANVAS_HEIGHT;
+        let imageData = SuperHiRes.renderSwatch(canvas.width, canvas.height, pat, colors);
+        canvas.getContext("2d").putImageData(imageData, 0, 0);
+        button.append(canvas);
+        return button;
+    }
+
+    //
+    // Draws a color swatch on a canvas, filling it completely.  The pattern is drawn with
+    // the palette used by the most rows of the current picture.  Super hi-res swatches are
+    // always drawn in color.
+    //
+    drawColorSwatch(ctx, pat) {
+        let pic = this.mainObj.currentPicture;
+        let usage = pic.getPaletteUsage();
+        let palNum = usage.indexOf(Math.max(...usage));
+        let canvas = ctx.canvas;
+        let imageData = SuperHiRes.renderSwatch(canvas.width, canvas.height, pat,
+            pic.getPalettes()[palNum]);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    handleSwatchClick(event, entry) {
+        this.setColor(entry);
+        this.mainObj.onColorChanged();
+        if (event.type === "dblclick" || this.colorSwatchClose == Settings.SWATCH_CLOSE_SINGLE) {
+            this.dialog.close();
+        }
+    }
+
+    //
+    // Selects the specified palette entry (0-15).  Used by the eyedropper.
+    //
+    pickColor(entry) {
+        this.setColor(entry);
+    }
+
+    setColor(entry) {
+        this.currentEntry = entry;
+        this.currentPat = this.solidPats[entry];
+        this.updateSelection();
+    }
+
+    //
+    // Highlights the buttons for the current entry in every palette.
+    //
+    updateSelection() {
+        for (let entry = 0; entry < this.entryButtons.length; entry++) {
+            for (let button of this.entryButtons[entry]) {
+                button.classList.toggle(this.SELECTED, entry == this.currentEntry);
+            }
+        }
+    }
+}
@@ -0,0 +1,217 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Picture from "./lib/picture.js";
+
+//
+// Disk catalog dialog.  This implements the <dialog> in the editor page that lists the image
+// files on a DOS 3.3 or ProDOS disk image.  The user can select one or more files to open.
+//
+// Only binary files whose length matches one of the supported image formats are shown.  On
+// DOS 3.3 that means 'B' files; on ProDOS we accept BIN, FOT, and PIC.
+//
+// If several disk images are opened at once, they're queued up and presented one at a time.
+//
+// This class must be instantiated exactly once.
+//
+export default class DiskCatalog {
+    static isInitialized = false;
+
+    // File types we're interested in, keyed by typeName.  The value is the ProDOS type
+    // number, used when generating the filename attributes.
+    static IMAGE_TYPES = new Map([
+        ["B", 0x06], ["BIN", 0x06], ["FOT", 0x08], ["PIC", 0xc1]
+    ]);
+
+    // Queue of [DiskImage, FileSystemFileHandle] pairs waiting to be shown.
+    pendingDisks = [];
+    // Disk image currently being shown, and its file handle (may be undefined).
+    currentDisk = undefined;
+    currentHandle = undefined;
+    // Catalog entries shown in the list, in display order.
+    candidates = [];
+
+    constructor(mainObj) {
+        if (DiskCatalog.isInitialized != false) {
+            throw new Error("DiskCatalog initialized twice");
+        }
+
+        this.mainObj = mainObj;
+
+        this.dialog = document.getElementById("disk-catalog");
+        this.titleElem = document.getElementById("disk-catalog-name");
+        this.volumeElem = document.getElementById("disk-catalog-volume");
+        this.tableBody = document.getElementById("disk-catalog-body");
+
+        document.getElementById("disk-catalog-ok").addEventListener("click",
+            this.handleOk.bind(this));
+        document.getElementById("disk-catalog-cancel").addEventListener("click",
+            this.handleCancel.bind(this));
+        // Escape key closes the dialog without going through the buttons.
+        this.dialog.addEventListener("cancel", () => {
+            this.finishCurrent();
+        });
+
+        DiskCatalog.isInitialized = true;
+        console.log("DiskCatalog initialized");
+    }
+
+    //
+    // Adds a disk image to the queue, and shows the dialog if it's not already open.
+    //
+    //  disk: DiskImage object
+    //  handle: FileSystemFileHandle for the disk image file; may be undefined
+    //
+    showCatalog(disk, handle) {
+        this.pendingDisks.push([disk, handle]);
+        if (this.currentDisk === undefined) {
+            this.startNext();
+        }
+    }
+
+    //
+    // Reads the catalog of the next disk in the queue and shows the dialog.
+    //
+    startNext() {
+        while (this.pendingDisks.length > 0) {
+            let [disk, handle] = this.pendingDisks.shift();
+            let catalog;
+            try {
+                catalog = disk.fileSystem.getCatalog();
+            } catch (error) {
+                console.log(error);
+                this.mainObj.showMessage(`Unable to read catalog of '${disk.name}'`);
+                continue;
+            }
+            this.candidates = catalog.filter((entry) =>
+                DiskCatalog.IMAGE_TYPES.has(entry.typeName) &&
+                Picture.formatFromLength(entry.length) !== undefined);
+            if (this.candidates.length == 0) {
+                this.mainObj.showMessage(`No image files found on '${disk.name}'`);
+                continue;
+            }
+            this.currentDisk = disk;
+            this.currentHandle = handle;
+            this.populate();
+            this.dialog.showModal();
+            return;
+        }
+    }
+
+    //
+    // Fills out the file list.
+    //
+    populate() {
+        this.titleElem.textContent = this.currentDisk.name;
+        this.volumeElem.textContent = this.currentDisk.fileSystem.toString();
+        this.tableBody.replaceChildren();
+        for (let i = 0; i < this.candidates.length; i++) {
+            let entry = this.candidates[i];
+            let row = document.createElement("tr");
+
+            let checkCell = document.createElement("td");
+            let checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.id = "disk-catalog-check" + i;
+            checkbox.dataset.index = i;
+            checkCell.appendChild(checkbox);
+            row.appendChild(checkCell);
+
+            let nameCell = document.createElement("td");
+            let label = document.createElement("label");
+            label.htmlFor = checkbox.id;
+            label.textContent = entry.name;
+            nameCell.appendChild(label);
+            row.appendChild(nameCell);
+
+            for (let str of [entry.typeName,
+                    "$" + entry.auxType.toString(16).toUpperCase().padStart(4, "0"),
+                    entry.length.toString()]) {
+                let cell = document.createElement("td");
+                cell.textContent = str;
+                row.appendChild(cell);
+            }
+            this.tableBody.appendChild(row);
+        }
+        // If there's only one, save the user a click.
+        if (this.candidates.length == 1) {
+            this.tableBody.querySelector("input").checked = true;
+        }
+    }
+
+    //
+    // Handles a click on the "OK" button.  Reads the selected files and passes them to the
+    // main object.
+    //
+    handleOk() {
+        this.dialog.close();
+        let fs = this.currentDisk.fileSystem;
+        for (let checkbox of this.tableBody.querySelectorAll("input:checked")) {
+            let entry = this.candidates[checkbox.dataset.index];
+            let buffer;
+            try {
+                buffer = fs.readFile(entry);
+            } catch (error) {
+                console.log(error);
+                this.mainObj.showMessage(`Unable to read '${entry.name}': ${error.message}`);
+                continue;
+            }
+            let fileType = DiskCatalog.IMAGE_TYPES.get(entry.typeName);
+            let diskTarget = {
+                disk: this.currentDisk,
+                diskHandle: this.currentHandle,
+                fileName: entry.name,
+                fileType: fileType,
+                auxType: entry.auxType
+            };
+            let leaf = entry.name.substring(entry.name.lastIndexOf("/") + 1);
+            this.mainObj.onDiskFileSelected(
+                DiskCatalog.makeName(leaf, fileType, entry.auxType),
+                Picture.formatFromLength(entry.length), buffer, diskTarget);
+        }
+        this.finishCurrent();
+    }
+
+    //
+    // Handles a click on the "Cancel" button.
+    //
+    handleCancel() {
+        this.dialog.close();
+        this.finishCurrent();
+    }
+
+    //
+    // Discards the current disk, and moves on to the next one.
+    //
+    finishCurrent() {
+        this.currentDisk = this.currentHandle = undefined;
+        this.candidates = [];
+        this.startNext();
+    }
+
+    //
+    // Generates a filename for a file in a disk image, by adding the file type attributes,
+    // e.g. "PICTURE#062000".
+    //
+    //  name: filename, without the path
+    //  fileType: ProDOS file type
+    //  auxType: ProDOS aux type
+    //
+    static makeName(name, fileType, auxType) {
+        return name + "#" + fileType.toString(16).padStart(2, "0") +
+            auxType.toString(16).padStart(4, "0");
+    }
+}
@@ -15,14 +15,31 @@
  */
 
 import StdHiRes from "./lib/std-hi-res.js";
+import DblHiRes from "./lib/dbl-hi-res.js";
+import SuperHiRes from "./lib/super-hi-res.js";
+import LoRes from "./lib/lo-res.js";
 import Picture from "./lib/picture.js";
+import Gradient from "./lib/gradient.js";
 import Rect from "./lib/rect.js";
+import Clipping from "./lib/clipping.js";
+import SelectionMask from "./lib/selection-mask.js";
 import Debug from "./lib/debug.js";
 import ColorPickerHgr from "./color-picker-hgr.js";
+import ColorPickerDhgr from "./color-picker-dhgr.js";
+import ColorPickerShr from "./color-picker-shr.js";
+import ImageImport from "./image-import.js";
+import ImageConvert from "./lib/image-convert.js";
+import PaletteManager from "./lib/palette-manager.js";
+import DiskImage from "./lib/disk-image.js";
+import DiskCatalog from "./disk-catalog.js";
+import SaveAs from "./save-as.js";
 import StylePicker from "./style-picker.js";
 import FontPicker from "./font-picker.js";
 import TextEntry from "./text-entry.js";
+import ScaleEntry from "./scale-entry.js";
 import Settings from "./settings.js";
+import PaletteEditor from "./palette-editor.js";
+import PatternEditor from "./pattern-editor.js";
 import About from "./about.js";
 
 //
@@ -31,6 +48,8 @@ import About from "./about.js";
 //
 class ImageEditor {
     static TEST_OLD_IO = false;     // test the I/O compatibility routines
+    static MAX_EXPORT_SCALE = 16;   // largest scale factor for PNG export
+    static SPRAY_INTERVAL_MS = 40;  // time between bursts of the spray tool
 
     // Constants.
     MAX_FILES = 8;                  // max number of open files; adjust CSS rightbar grid
@@ -54,8 +73,16 @@ class ImageEditor {
     colorSwatchCanvas = document.getElementById("curcolor-canvas");
     colorSwatchCtx = this.colorSwatchCanvas.getContext("2d");
 
+    // Gradient end color swatch canvas.
+    gradientSwatchCanvas = document.getElementById("gradcolor-canvas");
+    gradientSwatchCtx = this.gradientSwatchCanvas.getContext("2d");
+
     // Color picker.  Potentially changes for different types of images.
     colorPicker = undefined;
+    // Pattern at the end of gradient fills.  Reset when the color picker changes.
+    gradientEndPat = undefined;
+    // Color map value that stops "fill to border" flood fills, or -1 if not yet chosen.
+    fillBorderColor = -1;
 
     // List of loaded pictures.
     pictureList = [];
@@ -66,6 +93,11 @@ class ImageEditor {
         this.setThumbnailHighlight();
     }
 
+    // Disk images that have been opened, as [DiskImage, FileSystemFileHandle] pairs.  The
+    // handle may be undefined.  Pictures opened from the same disk image share the DiskImage
+    // object, so that writing one picture doesn't undo changes made by another.
+    openDisks = [];
+
     // Thumbnail contexts, one per HTML element.
     thumbnailContexts = [];
     thumbnailButtons = [];
@@ -86,6 +118,8 @@ class ImageEditor {
             this.handleSave.bind(this));
         document.getElementById("btn-save-as").addEventListener("click",
             this.handleSaveAs.bind(this));
+        document.getElementById("btn-export").addEventListener("click",
+            this.handleExport.bind(this));
         document.getElementById("btn-close").addEventListener("click",
             this.handleClose.bind(this));
 
@@ -99,7 +133,32 @@ class ImageEditor {
             this.handleUndo.bind(this));
         document.getElementById("btn-redo").addEventListener("click",
             this.handleRedo.bind(this));
-
+        document.getElementById("btn-flip-horiz").addEventListener("click", () => {
+            this.handleTransform(Clipping.FLIP_HORIZ);
+        });
+        document.getElementById("btn-flip-vert").addEventListener("click", () => {
+            this.handleTransform(Clipping.FLIP_VERT);
+        });
+        document.getElementById("btn-rotate-left").addEventListener("click", (event) => {
+            this.handleTransform(event.shiftKey ? Clipping.ROTATE_180 : Clipping.ROTATE_LEFT);
+        });
+        document.getElementById("btn-rotate-right").addEventListener("click", (event) => {
+            this.handleTransform(event.shiftKey ? Clipping.ROTATE_180 : Clipping.ROTATE_RIGHT);
+        });
+        document.getElementById("btn-scale").addEventListener("click",
+            this.handleScale.bind(this));
+
+        document.getElementById("new-image-ok").addEventListener("click",
+             this.handleNewOk.bind(this));
+        document.getElementById("export-ok").addEventListener("click",
+             this.handleExportOk.bind(this));
+        document.getElementById("export-scale-custom-value").addEventListener("input", () => {
+            document.getElementById("export-scale-custom").checked = true;
+            this.updateExportGrid();
+        });
+        for (let button of document.querySelectorAll("input[name=\"export-scale\"]")) {
+            button.addEventListener("change", this.updateExportGrid.bind(this));
+        }
         document.getElementById("old-file-chooser").addEventListener("change",
              this.handleOldOpen.bind(this));
         document.getElementById("old-save-ok").addEventListener("click",
@@ -142,6 +201,8 @@ class ImageEditor {
         this.scaleSliderElem.addEventListener("input", this.handleScaleSlider.bind(this));
         document.getElementById("curcolor-button").addEventListener("click",
             this.handleSelectColor.bind(this));
+        document.getElementById("gradcolor-button").addEventListener("click",
+            this.handleSetGradientEnd.bind(this));
 
         //
         // Left bar tools.
@@ -152,9 +213,24 @@ class ImageEditor {
         document.getElementById("btn-select-rect").addEventListener("click", (event) => {
             this.setTool(event, this.toolSelectRect);
         });
+        document.getElementById("btn-lasso").addEventListener("click", (event) => {
+            this.setTool(event, this.toolLasso);
+        });
+        document.getElementById("btn-poly-lasso").addEventListener("click", (event) => {
+            this.setTool(event, this.toolPolyLasso);
+        });
+        document.getElementById("btn-magic-wand").addEventListener("click", (event) => {
+            this.setTool(event, this.toolMagicWand);
+        });
         document.getElementById("btn-scribble").addEventListener("click", (event) => {
             this.setTool(event, this.toolScribble);
         });
+        document.getElementById("btn-brush").addEventListener("click", (event) => {
+            this.setTool(event, this.toolBrush);
+        });
+        document.getElementById("btn-spray").addEventListener("click", (event) => {
+            this.setTool(event, this.toolSpray);
+        });
         document.getElementById("btn-line").addEventListener("click", (event) => {
             this.setTool(event, this.toolLine);
         });
@@ -164,18 +240,42 @@ class ImageEditor {
         document.getElementById("btn-fill-rect").addEventListener("click", (event) => {
             this.setTool(event, this.toolFillRect);
         });
+        document.getElementById("btn-stroke-round-rect").addEventListener("click", (event) => {
+            this.setTool(event, this.toolStrokeRoundRect);
+        });
+        document.getElementById("btn-fill-round-rect").addEventListener("click", (event) => {
+            this.setTool(event, this.toolFillRoundRect);
+        });
         document.getElementById("btn-stroke-ellipse").addEventListener("click", (event) => {
             this.setTool(event, this.toolStrokeEllipse);
         });
         document.getElementById("btn-fill-ellipse").addEventListener("click", (event) => {
             this.setTool(event, this.toolFillEllipse);
         });
+        document.getElementById("btn-stroke-poly").addEventListener("click", (event) => {
+            this.setTool(event, this.toolStrokePolygon);
+        });
+        document.getElementById("btn-fill-poly").addEventListener("click", (event) => {
+            this.setTool(event, this.toolFillPolygon);
+        });
+        document.getElementById("btn-curve").addEventListener("click", (event) => {
+            this.setTool(event, this.toolCurve);
+        });
+        document.getElementById("btn-stroke-arc").addEventListener("click", (event) => {
+            this.setTool(event, this.toolStrokeArc);
+        });
+        document.getElementById("btn-fill-pie").addEventListener("click", (event) => {
+            this.setTool(event, this.toolFillPie);
+        });
         document.getElementById("btn-text").addEventListener("click", (event) => {
             this.setTool(event, this.toolText);
         });
         document.getElementById("btn-flood-fill").addEventListener("click", (event) => {
             this.setTool(event, this.toolFloodFill);
         });
+        document.getElementById("btn-eyedropper").addEventListener("click", (event) => {
+            this.setTool(event, this.toolEyedropper);
+        });
 
         // Set initial tool, mark as selected.
         this.activeToolButton = document.getElementById("btn-pan");
@@ -221,6 +321,7 @@ class ImageEditor {
             { passive: false });
         this.picCanvas.addEventListener("pointerup", this.handleCanvasPointerUp.bind(this),
             { passive: false });
+        this.picCanvas.addEventListener("dblclick", this.handleCanvasDoubleClick.bind(this));
         this.picCanvas.addEventListener("wheel", this.handleCanvasWheel.bind(this),
             { passive: false });
 
@@ -316,6 +417,7 @@ class ImageEditor {
     handleUseMono(event) {
         if (this.currentPicture != undefined) {
             this.currentPicture.useMono = event.currentTarget.checked;
+            this.fillBorderColor = -1;      // color map values differ in mono mode
             this.currentPicture.render();
             this.drawCurrentPicture();
             this.onColorChanged();          // redraw color swatch
@@ -323,8 +425,8 @@ class ImageEditor {
     }
 
     setInitialScale(pic) {
-        let maxWScale = Math.trunc(this.picCanvas.clientWidth / pic.width);
-        let maxHScale = Math.trunc(this.picCanvas.clientHeight / pic.height);
+        let maxWScale = Math.trunc(this.picCanvas.clientWidth / (pic.width * pic.aspectX));
+        let maxHScale = Math.trunc(this.picCanvas.clientHeight / (pic.height * pic.aspectY));
         let scale = Math.min(maxWScale, maxHScale);
         if (scale < 1) {
             scale = 1;
@@ -379,14 +481,62 @@ class ImageEditor {
             return;
         }
         // event.dataTransfer.items is a DataTransferItemList
+        let entries = [];
         for (let item of event.dataTransfer.items) {
             if (item.kind === "file") {
-                let file = item.getAsFile();
-                this.loadFile(file, undefined);
+                entries.push([item.getAsFile(), undefined]);
             } else {
                 console.log("got non-file drop item: " + item);
             }
         }
+        this.loadFileList(entries);
+    }
+
+    //
+    // Loads a collection of files.  Double hi-res images stored as a pair of 8KB files,
+    // named "NAME.AUX" and "NAME" or "NAME.BIN", are combined into a single picture.
+    // Everything else is passed to loadFile() individually.
+    //
+    //  entries: array of [File, FileSystemFileHandle] pairs; the handle may be undefined
+    //
+    async loadFileList(entries) {
+        let remaining = entries.slice();
+        for (let [auxFile] of entries) {
+            let match = auxFile.name.match(/^(.+)\.aux$/i);
+            if (match === null || !StdHiRes.checkMatch(auxFile.size) ||
+                    !remaining.some(([file]) => file === auxFile)) {
+                continue;
+            }
+            let baseName = match[1].toLowerCase();
+            let mainEntry = remaining.find(([file]) =>
+                (file.name.toLowerCase() === baseName ||
+                    file.name.toLowerCase() === baseName + ".bin") &&
+                StdHiRes.checkMatch(file.size));
+            if (mainEntry === undefined) {
+                continue;
+            }
+            let mainFile = mainEntry[0];
+            remaining = remaining.filter(([file]) => file !== auxFile && file !== mainFile);
+
+            console.log(`combining '${auxFile.name}' and '${mainFile.name}'`);
+            let auxBuffer, mainBuffer;
+            try {
+                auxBuffer = await auxFile.arrayBuffer();
+                mainBuffer = await mainFile.arrayBuffer();
+            } catch (error) {
+                console.log(error);
+                this.showMessage(`Unable to read '${auxFile.name}' and '${mainFile.name}': ` +
+                    error.message);
+                continue;
+            }
+            let buffer = DblHiRes.combineHalves(auxBuffer, mainBuffer);
+            // The combined image doesn't correspond to either file, so we don't keep a handle.
+            // Saving will write a single 16KB file.
+            this.addPicture(new Picture(match[1], DblHiRes.FORMAT_NAME, undefined, buffer));
+        }
+        for (let [file, handle] of remaining) {
+            this.loadFile(file, handle);
+        }
     }
 
     //
@@ -396,22 +546,101 @@ class ImageEditor {
     //  handle: FileSystemFileHandle object, may be undefined (e.g. file drop)
     //
     async loadFile(file, handle) {
+        if (ImageConvert.isImageFile(file)) {
+            // Ordinary raster image, needs to be converted.  The import dialog will call
+            // onImageImported() when it's done.
+            gImageImport.importFile(file);
+            return;
+        }
         let buffer = await file.arrayBuffer();
-        let newPic;
-        if (StdHiRes.checkMatch(buffer.byteLength)) {
-             newPic = new Picture(file.name, StdHiRes.FORMAT_NAME, handle, buffer);
-        } else {
+        if (DiskImage.isDiskImageName(file.name)) {
+            // Disk image.  The catalog dialog will call onDiskFileSelected() for each
+            // file the user picks.
+            let existing = await this.findOpenDisk(handle);
+            if (existing !== undefined) {
+                gDiskCatalog.showCatalog(...existing);
+                return;
+            }
+            let disk;
+            try {
+                disk = new DiskImage(file.name, buffer);
+            } catch (error) {
+                console.log(error);
+                this.showMessage(`Unable to open disk image '${file.name}': ${error.message}`);
+                return;
+            }
+            this.addOpenDisk(disk, handle);
+            gDiskCatalog.showCatalog(disk, handle);
+            return;
+        }
+        let format = Picture.formatFromLength(buffer.byteLength);
+        if (format === undefined) {
             this.showMessage("File not recognized");
             return;
         }
+        this.addPicture(new Picture(file.name, format, handle, buffer));
+    }
+
+    //
+    // Callback from the disk catalog dialog.
+    //
+    //  name: filename for the new image, with file type attributes
+    //  format: image format, e.g. StdHiRes.FORMAT_NAME
+    //  buffer: ArrayBuffer with file contents
+    //  diskTarget: location of the file in the disk image (see Picture.diskTarget)
+    //
+    onDiskFileSelected(name, format, buffer, diskTarget) {
+        let newPic = new Picture(name, format, undefined, buffer);
+        newPic.diskTarget = diskTarget;
+        this.addPicture(newPic);
+    }
+
+    //
+    // Adds a disk image to the list of open disks.
+    //
+    addOpenDisk(disk, handle) {
+        this.openDisks.push([disk, handle]);
+    }
+
+    //
+    // Finds an open disk image with the same file handle.
+    //
+    //  handle: FileSystemFileHandle; may be undefined
+    //  (returns): [DiskImage, FileSystemFileHandle] pair, or undefined if not found
+    //
+    async findOpenDisk(handle) {
+        if (handle === undefined) {
+            return undefined;
+        }
+        for (let entry of this.openDisks) {
+            if (entry[1] !== undefined && await entry[1].isSameEntry(handle)) {
+                return entry;
+            }
+        }
+        return undefined;
+    }
 
-        // Successfully loaded, add it to our set.
+    //
+    // Callback from the image import dialog.
+    //
+    //  name: filename for the new image
+    //  buffer: ArrayBuffer with hi-res data
+    //
+    onImageImported(name, buffer) {
+        this.addPicture(new Picture(name, StdHiRes.FORMAT_NAME, undefined, buffer));
+    }
+
+    //
+    // Adds a newly-loaded picture to the list, and switches to it.
+    //
+    addPicture(newPic) {
         // We can't do this test earlier because we can be in here multiple times (async).
         if (this.pictureList.length === this.MAX_FILES) {
             // Do we need to notify the user?
             console.log("ran out of room to open files");
             return;
         }
+        newPic.useNtsc = (gSettings.colorRender == Settings.COLOR_RENDER_NTSC);
         this.pictureList.push(newPic);
         this.setInitialScale(newPic);
         this.switchToPicture(newPic);
@@ -474,7 +703,11 @@ class ImageEditor {
     //  (returns): true if we acted, false if we did nothing
     //
     handleEscapeKey() {
-        if (!this.outlineRect.isEmpty || this.visClipping !== undefined) {
+        if (this.shapePoints.length != 0) {
+            console.log("ESC hit, canceling shape");
+            this.cancelShape();
+            return true;
+        } else if (!this.outlineRect.isEmpty || this.visClipping !== undefined) {
             console.log("ESC hit, clearing selection/clipping");
             this.clearOutlineRect();
             this.clearClipping();
@@ -491,7 +724,15 @@ class ImageEditor {
     //  (returns): true if we acted, false if we did nothing
     //
     handleEnterKey() {
-        if (!this.outlineRect.isEmpty && this.visClipping !== undefined) {
+        if (this.shapePoints.length != 0) {
+            console.log("Enter hit, finishing shape");
+            this.finishShape();
+            return true;
+        } else if (this.lassoPoints.length != 0) {
+            console.log("Enter hit, finishing lasso");
+            this.finishLasso();
+            return true;
+        } else if (!this.outlineRect.isEmpty && this.visClipping !== undefined) {
             console.log("Enter hit, pasting and clearing");
             this.handlePaste();
             this.handleEscapeKey();
@@ -525,7 +766,7 @@ class ImageEditor {
         let isect = newRect.intersect(
                 new Rect(0, 0, this.currentPicture.width, this.currentPicture.height));
         if (!isect.isEmpty) {
-            this.setOutlineRect(newRect, true);
+            this.moveOutline(dx, dy);
             this.redrawClipping();
         }
         return true;
@@ -537,10 +778,13 @@ class ImageEditor {
                 ` close one before creating another.`);
             return;
         }
-        let newPic = new Picture("", StdHiRes.FORMAT_NAME, undefined, undefined);
-        this.pictureList.push(newPic);
-        this.setInitialScale(newPic);
-        this.switchToPicture(newPic);
+        // Ask for the image format.  The actual work happens in handleNewOk().
+        document.getElementById("new-image").showModal();
+    }
+    handleNewOk() {
+        document.getElementById("new-image").close();
+        let format = document.querySelector("input[name=\"new-format\"]:checked").value;
+        this.addPicture(new Picture("", format, undefined, undefined));
     }
 
     async handleOpen() {
@@ -566,23 +810,27 @@ class ImageEditor {
             return;
         }
         console.log(`got ${fileHandles.length} handles`);
+        let entries = [];
         for (let handle of fileHandles) {
             try {
                 let file = await handle.getFile();
-                this.loadFile(file, handle);
+                entries.push([file, handle]);
             } catch(error) {
                 console.log(error);
             }
         }
+        this.loadFileList(entries);
     }
 
     async handleOldOpen(event) {
         // The event holds a FileList object, which has a list of File objects.  These are
         // a subclass of Blob, so we can convert them directly to ArrayBuffers.
         const fileList = event.currentTarget.files;
+        let entries = [];
         for (let file of fileList) {
-            this.loadFile(file, undefined);
+            entries.push([file, undefined]);
         }
+        this.loadFileList(entries);
 
         // Clear value.  If we don't do this, you won't be able to reload the file if you
         // decide to abandon your changes, because selecting the same file again doesn't
@@ -601,6 +849,9 @@ class ImageEditor {
             this.showMessage("No picture.");
             return;
         }
+        if (this.currentPicture.diskTarget !== undefined) {
+            return this.saveIntoDisk(this.currentPicture.diskTarget);
+        }
         let fileHandle = this.currentPicture.fileHandle;
         if (fileHandle === undefined) {
             return this.handleSaveAs();
@@ -621,11 +872,22 @@ class ImageEditor {
         }
     }
 
-    async handleSaveAs() {
+    //
+    // Asks the user whether to save to a separate file or into a disk image.  The dialog
+    // calls saveAsFile() or saveIntoDisk().
+    //
+    handleSaveAs() {
         if (this.currentPicture == undefined) {
             this.showMessage("No picture.");
             return;
         }
+        gSaveAs.showDialog(this.currentPicture, this.openDisks[this.openDisks.length - 1]);
+    }
+
+    //
+    // Saves the current picture to a file chosen by the user.
+    //
+    async saveAsFile() {
         if (!("showSaveFilePicker" in window) || ImageEditor.TEST_OLD_IO) {
             this.handleOldSaveAs();
             return;
@@ -647,6 +909,7 @@ class ImageEditor {
             this.markAsSaved();
             this.currentPicture.name = fileHandle.name;
             this.currentPicture.fileHandle = fileHandle;
+            this.currentPicture.diskTarget = undefined;
             this.showMessage("Image saved");
         } catch (error) {
             console.log(error);
@@ -671,6 +934,61 @@ class ImageEditor {
             return;
         }
         let blob = new Blob([contents], { type: "application/octet-stream" });
+        this.downloadBlob(blob, fileName);
+
+        this.markAsSaved();
+        this.currentPicture.diskTarget = undefined;
+        this.showMessage(`Downloaded '${fileName}'`);
+    }
+
+    //
+    // Writes the current picture into a disk image, replacing any existing file with the
+    // same name, and then saves the disk image.
+    //
+    //  target: location in disk image (see Picture.diskTarget)
+    //
+    async saveIntoDisk(target) {
+        let pic = this.currentPicture;
+        try {
+            target.disk.fileSystem.writeFile(target.fileName, target.fileType,
+                target.auxType, pic.getRawData());
+        } catch (error) {
+            console.log(error);
+            this.showMessage("ERROR: unable to write into disk image: " + error.message);
+            return;
+        }
+        // The file was written to our copy of the disk image.  Now write that out.
+        let disk = target.disk;
+        let contents = disk.getFileContents();
+        if (target.diskHandle === undefined) {
+            // No handle, e.g. it was dragged in, or the browser doesn't support the File
+            // System Access API.  Download the updated image.
+            this.downloadBlob(new Blob([contents], { type: "application/octet-stream" }),
+                disk.name);
+        } else {
+            try {
+                let writable = await target.diskHandle.createWritable();
+                await writable.truncate(0);
+                await writable.write(contents);
+                await writable.close();
+            } catch (error) {
+                console.log(error);
+                this.showMessage("ERROR: unable to save disk image: " + error);
+                return;
+            }
+        }
+        let leaf = target.fileName.substring(target.fileName.lastIndexOf("/") + 1);
+        pic.name = DiskCatalog.makeName(leaf.toUpperCase(), target.fileType, target.auxType);
+        pic.diskTarget = target;
+        this.markAsSaved();
+        this.showMessage(`Saved '${leaf}' in '${disk.name}'`);
+    }
+
+    //
+    // Saves a Blob by having the browser "download" it.  This works in browsers that don't
+    // support the File System Access API.
+    //
+    downloadBlob(blob, fileName) {
         // Create a temporary anchor and URL.
         let tempUrl = URL.createObjectURL(blob);
         let tempAnchor = document.createElement("a");
@@ -681,9 +999,92 @@ class ImageEditor {
         tempAnchor.click();
         document.body.removeChild(tempAnchor);
         URL.revokeObjectURL(tempUrl);
+    }
 
-        this.markAsSaved();
-        this.showMessage(`Downloaded '${fileName}'`);
+    //
+    // Returns the scale factor selected in the export dialog, or NaN if the custom value
+    // isn't valid.
+    //
+    getExportScale() {
+        let scaleChoice = document.querySelector("input[name=\"export-scale\"]:checked").value;
+        if (scaleChoice != "custom") {
+            return parseInt(scaleChoice);
+        }
+        let scale = parseInt(document.getElementById("export-scale-custom-value").value);
+        if (isNaN(scale) || scale < 1 || scale > ImageEditor.MAX_EXPORT_SCALE) {
+            return NaN;
+        }
+        return scale;
+    }
+
+    //
+    // Enables the export grid option only if the selected scale leaves room for the grid
+    // lines.  At 1x, a line between every pair of pixels would cover the whole image.
+    //
+    updateExportGrid() {
+        document.getElementById("export-grid").disabled = !(this.getExportScale() >= 2);
+    }
+
+    //
+    // Exports the current image as a PNG file.  The details are configured in a dialog;
+    // the actual work happens in handleExportOk().
+    //
+    handleExport() {
+        if (this.currentPicture == undefined) {
+            this.showMessage("No picture.");
+            return;
+        }
+        let monoChoice = this.currentPicture.useMono ? "export-mono" : "export-color";
+        document.getElementById(monoChoice).checked = true;
+        this.updateExportGrid();
+        document.getElementById("export").showModal();
+    }
+    async handleExportOk() {
+        document.getElementById("export").close();
+        let scale = this.getExportScale();
+        if (isNaN(scale)) {
+            this.showMessage(`Scale must be between 1 and ${ImageEditor.MAX_EXPORT_SCALE}`);
+            return;
+        }
+        let asMono = document.getElementById("export-mono").checked;
+        let gridElem = document.getElementById("export-grid");
+        let showGrid = gridElem.checked && !gridElem.disabled;
+
+        let canvas = this.currentPicture.renderToCanvas(scale, asMono, showGrid);
+        let blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+        if (blob === null) {
+            this.showMessage("ERROR: unable to create PNG");
+            return;
+        }
+
+        // Strip the file attributes and extension, e.g. "FOO.BIN#062000" becomes "FOO".
+        let fileName = this.currentPicture.name.replace(/#.*$/, "").replace(/\.[^.]*$/, "");
+        if (fileName.length == 0) {
+            fileName = "Untitled";
+        }
+        fileName += ".png";
+        if (!("showSaveFilePicker" in window) || ImageEditor.TEST_OLD_IO) {
+            this.downloadBlob(blob, fileName);
+            this.showMessage(`Downloaded '${fileName}'`);
+            return;
+        }
+        try {
+            let fileOptions = {
+                suggestedName: fileName,
+                types: [ { description: "PNG image", accept: { "image/png": [".png"] } } ]
+            };
+            let fileHandle = await window.showSaveFilePicker(fileOptions);
+            let writable = await fileHandle.createWritable();
+            await writable.truncate(0);
+            await writable.write(blob);
+            await writable.close();
+            this.showMessage(`Exported '${fileHandle.name}'`);
+        } catch (error) {
+            console.log(error);
+            if (error.name !== "AbortError") {
+                this.showMessage("ERROR: export failed: " + error);
+            }
+        }
     }
 
     markAsSaved() {
@@ -704,6 +1105,7 @@ class ImageEditor {
         }
 
         // Discard anything in progress.
+        this.stopSpray();
         this.clearClipping();
         this.clearOutlineRect();
         if (this.currentPicture.isUndoContextOpen()) {
@@ -750,18 +1152,18 @@ class ImageEditor {
             this.currentPicture.closeUndoContext(false);
         }
 
-        this.visClipping = this.currentPicture.clipArea(this.outlineRect);
+        this.visClipping = this.currentPicture.clipArea(this.outlineRect, this.outlineMask);
+        this.clipColorX = this.outlineRect.left;
         this.enableMarch();
 
         // Clear the area.
         this.currentPicture.openUndoContext("cut");
-        this.dirtyRect = this.currentPicture.clearRect(this.outlineRect);
+        this.dirtyRect = this.currentPicture.clearRect(this.outlineRect, this.outlineMask);
         this.currentPicture.closeUndoContext(true);
 
         // Create an undo context and render the clipping.
         this.currentPicture.openUndoContext("clipping");
-        this.dirtyRect = this.currentPicture.putClipping(this.visClipping,
-            this.outlineRect.left, this.outlineRect.top, gSettings.clipXferMode);
+        this.putVisClipping();
         this.drawCurrentPicture();
     }
 
@@ -775,14 +1177,14 @@ class ImageEditor {
             this.currentPicture.closeUndoContext(false);
         }
 
-        this.visClipping = this.currentPicture.clipArea(this.outlineRect);
+        this.visClipping = this.currentPicture.clipArea(this.outlineRect, this.outlineMask);
+        this.clipColorX = this.outlineRect.left;
         this.enableMarch();
 
         // Create an undo context and render the clipping.  (This should have no visible effect,
         // but it ensures we have the correct dirty rect.)
         this.currentPicture.openUndoContext("clipping");
-        this.dirtyRect = this.currentPicture.putClipping(this.visClipping,
-            this.outlineRect.left, this.outlineRect.top, gSettings.clipXferMode);
+        this.putVisClipping();
         this.drawCurrentPicture();
     }
 
@@ -802,6 +1204,143 @@ class ImageEditor {
         this.currentPicture.openUndoContext("clipping+");
     }
 
+    //
+    // Flips or rotates the clipping.  If an area is selected but hasn't been cut or copied,
+    // it's cut first, so the transformation happens in place.
+    //
+    //  transform: one of the Clipping.FLIP_* or Clipping.ROTATE_* constants
+    //
+    handleTransform(transform) {
+        if (this.currentPicture === undefined || this.outlineRect.isEmpty) {
+            this.showMessage("Nothing is selected");
+            return;
+        }
+        if (this.visClipping === undefined) {
+            this.handleCut();
+        }
+        let colorX = this.getClipColorX();
+        let [clipping, rect, mask] = this.currentPicture.transformClipping(this.visClipping,
+            this.outlineRect, this.outlineMask, transform, colorX);
+        this.replaceClipping(clipping, rect, mask, rect.left + colorX - this.outlineRect.left);
+    }
+
+    //
+    // Asks for a percentage to resize the clipping by.  The actual work happens in
+    // onScaleEntered().
+    //
+    handleScale() {
+        if (this.currentPicture === undefined || this.outlineRect.isEmpty) {
+            this.showMessage("Nothing is selected");
+            return;
+        }
+        gScaleEntry.showDialog();
+    }
+
+    //
+    // Callback from the scale entry dialog.  Resizes the clipping, keeping the top-left
+    // corner in place.  As with flips, a selection is cut first.
+    //
+    //  percent: new size, as a percentage of the current size
+    //
+    onScaleEntered(percent) {
+        if (this.currentPicture === undefined || this.outlineRect.isEmpty) {
+            return;
+        }
+        if (this.visClipping === undefined) {
+            this.handleCut();
+        }
+        let rect = this.outlineRect;
+        let newRect = new Rect(rect.left, rect.top,
+            Math.max(1, Math.round(rect.width * percent / 100)),
+            Math.max(1, Math.round(rect.height * percent / 100)));
+        let [clipping, outRect, mask] = this.currentPicture.scaleClipping(this.visClipping,
+            rect, this.outlineMask, newRect, this.getClipColorX());
+        this.replaceClipping(clipping, outRect, mask, outRect.left);
+    }
+
+    //
+    // Returns the X coordinate at which the clipping has the colors the user sees.  If hi-res
+    // colors are kept when the clipping moves, that's where they were established; otherwise
+    // it's wherever the clipping is now.
+    //
+    getClipColorX() {
+        if (gSettings.clipMoveMode == Settings.CLIP_MOVE_COLORS) {
+            return this.clipColorX;
+        }
+        return this.outlineRect.left;
+    }
+
+    //
+    // Replaces the clipping with a modified version, and redraws it.
+    //
+    //  clipping: new Clipping object
+    //  rect: position of the new clipping
+    //  mask: SelectionMask for a non-rectangular clipping; may be undefined
+    //  colorX: X coordinate at which the new clipping has the correct colors
+    //
+    replaceClipping(clipping, rect, mask, colorX) {
+        this.visClipping = clipping;
+        this.clipColorX = colorX;
+        this.setOutlineRect(rect, true, mask);
+        this.redrawClipping();
+    }
+
+    //
+    // Finds the clipping resize handle at the specified canvas coordinates.
+    //
+    //  canvasX, canvasY: offset from top-left corner of canvas
+    //  (returns): handle index (see Picture.getHandlePositions()), or -1 if none
+    //
+    findScaleHandle(canvasX, canvasY) {
+        if (this.currentPicture === undefined || this.visClipping === undefined) {
+            return -1;
+        }
+        let positions = this.currentPicture.getHandlePositions(this.picCanvas.width,
+            this.picCanvas.height);
+        let half = Picture.HANDLE_SIZE / 2;
+        for (let i = 0; i < positions.length; i++) {
+            let [xc, yc] = positions[i];
+            if (Math.abs(canvasX - xc) <= half && Math.abs(canvasY - yc) <= half) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    //
+    // Starts resizing the clipping with a handle.  We hold on to the original clipping, and
+    // resample from it as the handle moves, so that shrinking and re-growing doesn't lose
+    // detail.
+    //
+    //  handle: handle index
+    //
+    startScaleDrag(handle) {
+        this.scaleDrag = {
+            handle: handle,
+            clipping: this.visClipping,
+            rect: this.outlineRect,
+            mask: this.outlineMask,
+            colorX: this.getClipColorX(),
+        };
+    }
+
+    //
+    // Updates the clipping as a resize handle is dragged.  The corner opposite the handle
+    // stays in place, and the pixel under the pointer becomes the new corner.
+    //
+    dragScaleHandle(picX, picY) {
+        let drag = this.scaleDrag;
+        let anchorX = (drag.handle & 0x01) ? drag.rect.left : drag.rect.right - 1;
+        let anchorY = (drag.handle & 0x02) ? drag.rect.top : drag.rect.bottom - 1;
+        let newRect = Rect.fromCoords(anchorX, anchorY, picX, picY);
+        if (newRect.equals(this.outlineRect)) {
+            return;
+        }
+        let [clipping, rect, mask] = this.currentPicture.scaleClipping(drag.clipping,
+            drag.rect, drag.mask, newRect, drag.colorX);
+        this.replaceClipping(clipping, rect, mask, rect.left);
+    }
+
     handleUndo() {
         this.clearClipping();
         if (this.currentPicture !== undefined) {
@@ -821,7 +1360,11 @@ class ImageEditor {
     }
 
     handleSelectColor() {
-        document.getElementById("color-picker-hgr").showModal();
+        if (this.colorPicker === undefined) {
+            gColorPickerHgr.showDialog();     // no picture open yet
+        } else {
+            this.colorPicker.showDialog();
+        }
     }
     // Callback function from color picker, and when switching images (because we could
     // be changing to a different type of picker).
@@ -836,6 +1379,38 @@ class ImageEditor {
             this.colorPicker.drawColorSwatch(this.colorSwatchCtx, this.colorPicker.currentPat,
                 this.currentPicture.useMono);
         }
+
+        this.gradientSwatchCanvas.width = this.gradientSwatchCanvas.clientWidth;
+        this.gradientSwatchCanvas.height = this.gradientSwatchCanvas.clientHeight;
+        if (this.currentPicture === undefined) {
+            this.gradientSwatchCtx.clearRect(0, 0,
+                this.gradientSwatchCanvas.width, this.gradientSwatchCanvas.height);
+        } else {
+            this.colorPicker.drawColorSwatch(this.gradientSwatchCtx, this.gradientEndPat,
+                this.currentPicture.useMono);
+        }
+    }
+
+    //
+    // Sets the gradient end color to the current color.
+    //
+    handleSetGradientEnd() {
+        if (this.colorPicker !== undefined) {
+            this.gradientEndPat = this.colorPicker.currentPat;
+            this.onColorChanged();
+        }
+    }
+
+    //
+    // Returns the current pattern, or a Gradient if gradient fills are enabled.  This is
+    // used by the tools that support gradients.
+    //
+    getFillPattern() {
+        if (gStylePicker.gradientType == StylePicker.GRADIENT_NONE) {
+            return this.colorPicker.currentPat;
+        }
+        return new Gradient(gStylePicker.gradientType, gStylePicker.gradientAngle,
+            this.colorPicker.currentPat, this.gradientEndPat);
     }
 
     handleSelectFont() {
@@ -852,10 +1427,45 @@ class ImageEditor {
     onSettingsChanged() {
         // Copy setting so we don't have to put Settings in globalThis.
         gColorPickerHgr.colorSwatchClose = gSettings.colorSwatchClose;
+        gColorPickerDhgr.colorSwatchClose = gSettings.colorSwatchClose;
+        gColorPickerShr.colorSwatchClose = gSettings.colorSwatchClose;
+        // Re-render all pictures, in case the color rendering or display palette changed.
+        let paletteChanged = PaletteManager.apply(gSettings.getPaletteColors());
+        let useNtsc = (gSettings.colorRender == Settings.COLOR_RENDER_NTSC);
+        for (let i = 0; i < this.pictureList.length; i++) {
+            let pic = this.pictureList[i];
+            if (pic.useNtsc != useNtsc || paletteChanged) {
+                pic.useNtsc = useNtsc;
+                if (paletteChanged) {
+                    pic.refresh();
+                }
+                pic.drawThumbnail(this.thumbnailContexts[i]);
+            }
+        }
+        if (paletteChanged) {
+            gColorPickerHgr.redrawSwatches();
+            gColorPickerDhgr.redrawSwatches();
+            this.onColorChanged();          // redraw color swatch
+        }
+        this.drawCurrentPicture();
         // Redraw the clipping, if any, in case the transfer mode changed.
         this.redrawClipping();
     }
 
+    //
+    // Shows the custom palette editor.  Called from the settings dialog.
+    //
+    showPaletteEditor() {
+        gPaletteEditor.showDialog();
+    }
+
+    //
+    // Shows the hi-res pattern editor.  Called from the hi-res color picker.
+    //
+    showPatternEditor() {
+        gPatternEditor.showDialog();
+    }
+
     handleAbout() {
         gAbout.showDialog();
     }
@@ -886,6 +1496,7 @@ class ImageEditor {
     drawCurrentPicture() {
         if (this.currentPicture !== undefined) {
             let index = this.getCurrentPictureIndex();
+            this.currentPicture.showHandles = (this.visClipping !== undefined);
             this.currentPicture.drawPicture(this.picCtx, this.pannerCtx,
                  this.thumbnailContexts[index]);
         }
@@ -905,27 +1516,53 @@ class ImageEditor {
     // updated appropriately.
     //
     switchToPicture(pic) {
+        this.stopSpray();
         if (this.currentPicture !== undefined) {
             // Check for pending actions and clippings.
             if (this.currentPicture.isUndoContextOpen()) {
                 console.log("canceling pending undo action on pic switch");
                 this.currentPicture.closeUndoContext(false);
+                this.shapePoints = [];
                 this.currentPicture.renderArea(this.dirtyRect);
                 // Redraw so the thumbnail is correct.
                 this.drawCurrentPicture();
             }
         }
         this.currentPicture = pic;
-        this.colorPicker = gColorPickerHgr;     // this may need to change based on pic type
+        let oldPicker = this.colorPicker;
+        if (pic.format == DblHiRes.FORMAT_NAME || pic.format == LoRes.FORMAT_NAME ||
+                pic.format == LoRes.DBL_FORMAT_NAME) {
+            // Lo-res uses the same 16 colors as double hi-res.
+            this.colorPicker = gColorPickerDhgr;
+        } else if (pic.format == SuperHiRes.FORMAT_NAME) {
+            this.colorPicker = gColorPickerShr;
+        } else {
+            this.colorPicker = gColorPickerHgr;
+        }
+        if (this.colorPicker !== oldPicker) {
+            // Patterns don't carry over between formats.  Start with the first solid color.
+            this.gradientEndPat = this.colorPicker.solidPats[0];
+        }
+        // The border color is a color map value from the old picture, so it doesn't apply.
+        this.fillBorderColor = -1;
+        // The transparent color numbers depend on the format.
+        gSettings.setTransColorFormat(pic.format);
         this.pictureScale = this.currentPicture.scale;
         this.useMonoElem.checked = this.currentPicture.useMono;
+
+        // Clippings can't be pasted into a picture with a different format.
+        if (this.visClipping !== undefined && this.visClipping.source != pic.format) {
+            this.showMessage("Clipping discarded: image formats differ");
+            this.clearClipping();
+            this.clearOutlineRect();
+        }
         pic.outlineRect = this.outlineRect;     // transfer the outline rect
+        pic.outlineMask = this.outlineMask;
 
         // If we have a visible clipping, get that set up.
         if (this.visClipping !== undefined) {
             this.currentPicture.openUndoContext("clipping");
-            this.dirtyRect = this.currentPicture.putClipping(this.visClipping,
-                this.outlineRect.left, this.outlineRect.top, gSettings.clipXferMode);
+            this.putVisClipping();
         }
 
         this.drawCurrentPicture();
@@ -960,6 +1597,7 @@ class ImageEditor {
     rectHeightElem = document.getElementById("rect-height");
 
     outlineRect = Rect.EMPTY_RECT;
+    outlineMask = undefined;                // SelectionMask for non-rectangular selections
     outlineRectMarchEnabled = false;
 
     //
@@ -968,14 +1606,18 @@ class ImageEditor {
     //
     //  rect: Rect object to use; may be empty
     //  doShow: if true, add it to the current picture's display set
+    //  mask: optional SelectionMask for a non-rectangular selection; must cover the rect
     //
-    setOutlineRect(rect, doShow) {
+    setOutlineRect(rect, doShow, mask) {
         Debug.assert(rect instanceof Rect && (doShow == true || doShow == false));
+        Debug.assert(mask === undefined || mask.rect.equals(rect), "mask doesn't match rect");
         this.outlineRect = rect;
+        this.outlineMask = mask;
         if (this.currentPicture !== undefined) {
             // Add it to (or remove it from) the Picture's list of things to draw.
             if (doShow || rect.isEmpty) {
                 this.currentPicture.outlineRect = rect;
+                this.currentPicture.outlineMask = mask;
             }
         }
         if (rect.isEmpty) {
@@ -996,10 +1638,20 @@ class ImageEditor {
     }
 
     //
-    // Clears the outline rect.
+    // Moves the outline rect, and the selection mask if there is one.
+    //
+    moveOutline(deltaX, deltaY) {
+        let mask = this.outlineMask;
+        this.setOutlineRect(this.outlineRect.translate(deltaX, deltaY), true,
+            mask === undefined ? undefined : mask.translate(deltaX, deltaY));
+    }
+
+    //
+    // Clears the outline rect.  Also discards a lasso selection in progress.
     //
     clearOutlineRect() {
         this.setOutlineRect(Rect.EMPTY_RECT, false);
+        this.lassoPoints = [];
         this.disableMarch();
     }
 
@@ -1030,14 +1682,17 @@ class ImageEditor {
     // current picture, with an animated outline rect around it.
     //
     visClipping = undefined;
+    clipColorX = 0;         // X coordinate at which the clipping's colors are correct
     inClipDrag = false;
 
     //
     // Returns true if the specified picture coordinates are inside the active clipping.
-    // Returns false if there is no active clipping, or the point is outside.
+    // Returns false if there is no active clipping, or the point is outside.  For
+    // non-rectangular clippings, the point must be on one of the clipping's pixels.
     //
     isInsideClipping(picX, picY) {
-        let result = this.visClipping !== undefined && this.outlineRect.contains(picX, picY);
+        let result = this.visClipping !== undefined && this.outlineRect.contains(picX, picY) &&
+            (this.outlineMask === undefined || this.outlineMask.contains(picX, picY));
         // console.log(`isInside: ${picX},${picY} ${this.visClipping} -> ${result}`);
         return result;
     }
@@ -1047,6 +1702,7 @@ class ImageEditor {
     // Does not clear the outline rect.
     //
     clearClipping() {
+        this.stopSpray();       // the spray's undo context is about to be canceled
         if (this.visClipping !== undefined) {
             console.log(`clipping cleared (was ${this.visClipping})`);
             this.visClipping = undefined;
@@ -1060,11 +1716,28 @@ class ImageEditor {
             if (this.currentPicture.isUndoContextOpen()) {
                 this.currentPicture.closeUndoContext(false);
                 this.currentPicture.renderArea(this.dirtyRect);
+                this.shapePoints = [];      // also discards a multi-step shape in progress
                 this.drawCurrentPicture();
             }
         }
     }
 
+    //
+    // Draws the clipping at the position of the outline rect, and updates the dirty rect.
+    // If the settings ask for it, hi-res colors are preserved when the clipping has moved
+    // an odd number of pixels from where it was created.
+    //
+    putVisClipping() {
+        let clipping = this.visClipping;
+        let xc = this.outlineRect.left;
+        if (gSettings.clipMoveMode == Settings.CLIP_MOVE_COLORS) {
+            [clipping, xc] = this.currentPicture.shiftClippingColors(clipping,
+                this.clipColorX, xc);
+        }
+        this.dirtyRect = this.currentPicture.putClipping(clipping, xc, this.outlineRect.top,
+            gSettings.clipXferMode, gSettings.getClipTransColor(this.currentPicture.format));
+    }
+
     //
     // Redraws the clipping, e.g. after moving the outline rect.
     //
@@ -1074,8 +1747,7 @@ class ImageEditor {
         }
         this.currentPicture.revert();
         this.currentPicture.renderArea(this.dirtyRect);
-        this.dirtyRect = this.currentPicture.putClipping(this.visClipping,
-            this.outlineRect.left, this.outlineRect.top, gSettings.clipXferMode);
+        this.putVisClipping();
         this.drawCurrentPicture();
     }
 
@@ -1107,6 +1779,12 @@ class ImageEditor {
     startPicY = -1;
     lastPicX = -1;                          // detect if movement actually moved
     lastPicY = -1;
+    shapePoints = [];                       // points placed by multi-step shape tools
+    lassoPoints = [];                       // points traced by lasso selection tools
+    scaleDrag = undefined;                  // state for clipping resize handle drag
+    sprayTimer = undefined;                 // interval timer for spray tool
+    sprayX = -1;                            // current spray tool position
+    sprayY = -1;
 
     //
     // Sets the current tool.
@@ -1126,6 +1804,7 @@ class ImageEditor {
 
         this.activeTool = toolFunc;
         this.isToolActive = false;
+        this.stopSpray();
         console.log("selected tool: " + this.activeToolButton.id);
 
         // Clear selection and clipping.
@@ -1186,9 +1865,7 @@ class ImageEditor {
                         console.log("can't drag, no context open");
                     } else {
                         // Move rect.
-                        this.setOutlineRect(
-                            this.outlineRect.translate(picX - this.lastPicX, picY - this.lastPicY),
-                            true);
+                        this.moveOutline(picX - this.lastPicX, picY - this.lastPicY);
                         this.redrawClipping();
                     }
                 } else {
@@ -1206,9 +1883,191 @@ class ImageEditor {
     }
 
     //
-    // Tool: scribble.  Click to draw a single pixel, drag to draw more.
+    // Tool: freeform lasso.  Click and drag to trace the outline of the area to select.  The
+    // outline is closed automatically when the button is released.  Click inside an active
+    // clipping to drag it around, as with the rectangular selection.
     //
-    toolScribble(event, picX, picY) {
+    toolLasso(event, picX, picY) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.isInsideClipping(picX, picY)) {
+                    this.inClipDrag = true;
+                } else {
+                    this.clearClipping();
+                    this.lassoPoints = [[picX, picY]];
+                    this.updateLassoOutline(this.lassoPoints);
+                }
+                break;
+            case "pointermove":
+                if (!this.isToolActive || (picX == this.lastPicX && picY == this.lastPicY)) {
+                    break;
+                }
+                if (this.inClipDrag) {
+                    this.dragClipping(picX, picY);
+                } else if (this.lassoPoints.length != 0) {
+                    this.lassoPoints.push([picX, picY]);
+                    this.updateLassoOutline(this.lassoPoints);
+                }
+                break;
+            case "pointerup":
+                if (this.inClipDrag) {
+                    this.inClipDrag = false;
+                } else {
+                    this.finishLasso();
+                }
+                break;
+        }
+    }
+
+    //
+    // Tool: polygonal lasso.  Click to place each vertex of the area to select.  Double-click
+    // or hit Enter to finish, ESC to cancel.
+    //
+    toolPolyLasso(event, picX, picY) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.lassoPoints.length == 0) {
+                    if (this.isInsideClipping(picX, picY)) {
+                        this.inClipDrag = true;
+                        break;
+                    }
+                    this.clearClipping();
+                    this.lassoPoints.push([picX, picY]);
+                } else {
+                    let [lastX, lastY] = this.lassoPoints[this.lassoPoints.length - 1];
+                    if (picX != lastX || picY != lastY) {
+                        this.lassoPoints.push([picX, picY]);
+                    }
+                }
+                this.updateLassoOutline(this.lassoPoints);
+                break;
+            case "pointermove":
+                if (picX == this.lastPicX && picY == this.lastPicY) {
+                    break;
+                }
+                if (this.inClipDrag) {
+                    this.dragClipping(picX, picY);
+                } else if (this.lassoPoints.length != 0) {
+                    if (this.isToolActive) {
+                        // Dragging with the button down moves the vertex we just placed.
+                        this.lassoPoints[this.lassoPoints.length - 1] = [picX, picY];
+                    }
+                    // Show the area as it would be with a vertex at the pointer.
+                    this.updateLassoOutline(this.lassoPoints.concat([[picX, picY]]));
+                }
+                break;
+            case "pointerup":
+                this.inClipDrag = false;
+                break;
+            case "dblclick":
+                this.finishLasso();
+                break;
+        }
+    }
+
+    //
+    // Sets the outline to the area enclosed by the lasso points.
+    //
+    updateLassoOutline(points) {
+        let mask = SelectionMask.fromPolygon(points,
+            this.currentPicture.width, this.currentPicture.height);
+        this.setOutlineRect(mask.rect, true, mask);
+        this.drawCurrentPicture();
+    }
+
+    //
+    // Finishes a lasso selection.
+    //
+    finishLasso() {
+        if (this.lassoPoints.length == 0) {
+            return;
+        }
+        this.updateLassoOutline(this.lassoPoints);
+        this.lassoPoints = [];
+        this.setSelection(this.outlineMask);
+    }
+
+    //
+    // Sets the outline to a non-rectangular selection.  If the selection turned out to be
+    // rectangular, the mask is dropped.
+    //
+    //  mask: SelectionMask, or undefined to clear the selection
+    //
+    setSelection(mask) {
+        if (mask === undefined) {
+            this.clearOutlineRect();
+        } else if (mask.isRectangular) {
+            this.setOutlineRect(mask.rect, true);
+        } else {
+            this.setOutlineRect(mask.rect, true, mask);
+        }
+        this.drawCurrentPicture();
+    }
+
+    //
+    // Selects the area with the same color as the specified pixel.
+    //
+    //  picX, picY: picture coordinates of pixel to match
+    //  modify: if true, change the current selection rather than replacing it
+    //  subtract: if true, remove the area from the selection rather than adding it
+    //
+    selectColor(picX, picY, modify, subtract) {
+        let mask = this.currentPicture.selectColor(picX, picY, gStylePicker.wandGlobal);
+        if (modify) {
+            let current = this.outlineMask;
+            if (current === undefined && !this.outlineRect.isEmpty) {
+                current = SelectionMask.fromRect(this.outlineRect);
+            }
+            mask = SelectionMask.combine(this.currentPicture.width,
+                this.currentPicture.height, current, mask, subtract);
+        }
+        this.setSelection(mask);
+    }
+
+    //
+    // Tool: magic wand.  Click to select the area with the same color as the clicked pixel.
+    // Shift+click adds to the current selection, Alt+click removes from it.  Click inside an
+    // active clipping to drag it around.
+    //
+    toolMagicWand(event, picX, picY) {
+        let modify = event.shiftKey || event.altKey;
+        switch (event.type) {
+            case "pointerdown":
+                if (!modify && this.isInsideClipping(picX, picY)) {
+                    this.inClipDrag = true;
+                } else {
+                    this.clearClipping();       // leaves the outline intact
+                    this.selectColor(picX, picY, modify, event.altKey);
+                }
+                break;
+            case "pointermove":
+                if (this.inClipDrag && (picX != this.lastPicX || picY != this.lastPicY)) {
+                    this.dragClipping(picX, picY);
+                }
+                break;
+            case "pointerup":
+                this.inClipDrag = false;
+                break;
+        }
+    }
+
+    //
+    // Moves the active clipping to follow the pointer.
+    //
+    dragClipping(picX, picY) {
+        if (!this.currentPicture.isUndoContextOpen()) {
+            // should have been opened by cut/copy
+            console.log("can't drag, no context open");
+        } else {
+            this.moveOutline(picX - this.lastPicX, picY - this.lastPicY);
+            this.redrawClipping();
+        }
+    }
+
+    //
+    // Tool: scribble.  Click to draw a single pixel, drag to draw more.
+    //
+    toolScribble(event, picX, picY) {
         switch (event.type) {
             case "pointerdown":
                 if (this.currentPicture.isUndoContextOpen()) {
@@ -1240,6 +2099,104 @@ class ImageEditor {
         }
     }
 
+    //
+    // Tool: paint brush.  Like scribble, but stamps the brush selected in the style picker.
+    //
+    toolBrush(event, picX, picY) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.currentPicture.isUndoContextOpen()) {
+                    break;      // pointerup was missed, e.g. while in debugger
+                }
+                this.currentPicture.openUndoContext("brush");
+                this.dirtyRect = this.currentPicture.drawBrushLine(picX, picY, picX, picY,
+                    gStylePicker.brush, this.colorPicker.currentPat);
+                this.drawCurrentPicture();
+                break;
+            case "pointermove":
+                if (picX == this.lastPicX && picY == this.lastPicY) {
+                    break;
+                }
+                // Stamp along a line so we don't get gaps if the mouse is moved quickly.
+                this.dirtyRect = this.currentPicture.drawBrushLine(this.startPicX,
+                    this.startPicY, picX, picY, gStylePicker.brush, this.colorPicker.currentPat);
+                this.drawCurrentPicture();
+                // Move the "start" point.
+                this.startPicX = picX;
+                this.startPicY = picY;
+                break;
+            case "pointerup":
+                this.currentPicture.closeUndoContext(true);
+                this.drawCurrentPicture();      // update the is-dirty indicator
+                break;
+        }
+    }
+
+    //
+    // Tool: spray.  Scatters pixels around the pointer for as long as the button is held,
+    // even if the pointer isn't moving.  The whole stroke is a single undo item.
+    //
+    toolSpray(event, picX, picY) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.currentPicture.isUndoContextOpen()) {
+                    break;      // pointerup was missed, e.g. while in debugger
+                }
+                this.currentPicture.openUndoContext("spray");
+                this.sprayX = picX;
+                this.sprayY = picY;
+                this.sprayBurst();
+                this.stopSpray();       // shouldn't be running, but don't leak a timer
+                this.sprayTimer = setInterval(this.sprayBurst.bind(this),
+                    ImageEditor.SPRAY_INTERVAL_MS);
+                break;
+            case "pointermove":
+                this.sprayX = picX;
+                this.sprayY = picY;
+                break;
+            case "pointerup":
+                this.stopSpray();
+                this.currentPicture.closeUndoContext(true);
+                this.drawCurrentPicture();      // update the is-dirty indicator
+                break;
+        }
+    }
+
+    //
+    // Plots one burst of randomly-placed pixels for the spray tool.  The points are
+    // distributed evenly over a circle centered on the pointer.
+    //
+    sprayBurst() {
+        let pic = this.currentPicture;
+        if (pic === undefined || !pic.isUndoContextOpen()) {
+            // The spray was interrupted, e.g. by a tool or picture change.
+            this.stopSpray();
+            return;
+        }
+        let radius = gStylePicker.sprayRadius;
+        let pat = this.colorPicker.currentPat;
+        for (let i = 0; i < gStylePicker.sprayDensity; i++) {
+            let dist = radius * Math.sqrt(Math.random());
+            let angle = Math.random() * 2 * Math.PI;
+            let xc = Math.round(this.sprayX + dist * Math.cos(angle));
+            let yc = Math.round(this.sprayY + dist * Math.sin(angle));
+            if (xc >= 0 && xc < pic.width && yc >= 0 && yc < pic.height) {
+                pic.setPixel(xc, yc, pat);
+            }
+        }
+        this.drawCurrentPicture();
+    }
+
+    //
+    // Stops the spray tool's interval timer, if it's running.
+    //
+    stopSpray() {
+        if (this.sprayTimer !== undefined) {
+            clearInterval(this.sprayTimer);
+            this.sprayTimer = undefined;
+        }
+    }
+
     //
     // Tool: draw line.  Click to set the start point, drag, release to draw.
     //
@@ -1277,29 +2234,30 @@ class ImageEditor {
     }
 
     //
-    // Tool: draw stroke/filled rect.  Click to set one corner, drag any direction to set size.
+    // Tool: draw stroke/filled rect, with square or rounded corners.  Click to set one corner,
+    // drag any direction to set size.  The corner radius is set in the style picker.
     //
     toolStrokeRect(event, picX, picY) {
-        this.doRect(event, picX, picY, false);
+        this.doRect(event, picX, picY, false, false);
     }
     toolFillRect(event, picX, picY) {
-        this.doRect(event, picX, picY, true);
+        this.doRect(event, picX, picY, true, false);
     }
-    doRect(event, picX, picY, doFill) {
+    toolStrokeRoundRect(event, picX, picY) {
+        this.doRect(event, picX, picY, false, true);
+    }
+    toolFillRoundRect(event, picX, picY) {
+        this.doRect(event, picX, picY, true, true);
+    }
+    doRect(event, picX, picY, doFill, doRound) {
         // console.log(`rect: ${event.type} ${event.offsetX},${event.offsetY} pic ${picX},${picY}`);
         switch (event.type) {
             case "pointerdown":
                 if (this.currentPicture.isUndoContextOpen()) {
                     break;
                 }
-                this.currentPicture.openUndoContext(`rect(${doFill})`);
-                if (doFill) {
-                    this.dirtyRect = this.currentPicture.drawFillRect(picX, picY, picX, picY,
-                        this.colorPicker.currentPat);
-                } else {
-                    this.dirtyRect = this.currentPicture.drawStrokeRect(picX, picY, picX, picY,
-                        this.colorPicker.currentPat, gStylePicker.strokeStyle);
-                }
+                this.currentPicture.openUndoContext(`rect(${doFill},${doRound})`);
+                this.dirtyRect = this.drawRectShape(picX, picY, picX, picY, doFill, doRound);
                 this.drawCurrentPicture();
                 this.setOutlineRect(Rect.fromCoords(picX, picY, picX, picY),
                     this.colorPicker.isPatTransparent);
@@ -1313,15 +2271,8 @@ class ImageEditor {
                 }
                 this.currentPicture.revert();
                 this.currentPicture.renderArea(this.dirtyRect);
-                if (doFill) {
-                    this.dirtyRect = this.currentPicture.drawFillRect(
-                        this.startPicX, this.startPicY, picX, picY,
-                        this.colorPicker.currentPat);
-                } else {
-                    this.dirtyRect = this.currentPicture.drawStrokeRect(
-                        this.startPicX, this.startPicY, picX, picY,
-                        this.colorPicker.currentPat, gStylePicker.strokeStyle);
-                }
+                this.dirtyRect = this.drawRectShape(this.startPicX, this.startPicY, picX, picY,
+                    doFill, doRound);
                 // Draw the selection rect if we're drawing a transparent pattern.
                 this.setOutlineRect(Rect.fromCoords(this.startPicX, this.startPicY, picX, picY),
                     this.colorPicker.isPatTransparent);
@@ -1334,6 +2285,25 @@ class ImageEditor {
                 break;
         }
     }
+    drawRectShape(x0, y0, x1, y1, doFill, doRound) {
+        let pat = this.colorPicker.currentPat;
+        if (doRound) {
+            let radius = gStylePicker.cornerRadius;
+            if (doFill) {
+                return this.currentPicture.drawFillRoundRect(x0, y0, x1, y1, radius, pat);
+            } else {
+                return this.currentPicture.drawStrokeRoundRect(x0, y0, x1, y1, radius, pat,
+                    gStylePicker.strokeStyle);
+            }
+        } else {
+            if (doFill) {
+                return this.currentPicture.drawFillRect(x0, y0, x1, y1, this.getFillPattern());
+            } else {
+                return this.currentPicture.drawStrokeRect(x0, y0, x1, y1, pat,
+                    gStylePicker.strokeStyle);
+            }
+        }
+    }
 
     //
     // Tool: draw stroke/filled ellipse.  Click to set one corner, drag any direction to set size.
@@ -1354,7 +2324,7 @@ class ImageEditor {
                 this.currentPicture.openUndoContext(`ellipse(${doFill})`);
                 if (doFill) {
                     this.dirtyRect = this.currentPicture.drawFillEllipse(picX, picY, picX, picY,
-                        this.colorPicker.currentPat);
+                        this.getFillPattern());
                 } else {
                     this.dirtyRect = this.currentPicture.drawStrokeEllipse(picX, picY, picX, picY,
                         this.colorPicker.currentPat, gStylePicker.strokeStyle);
@@ -1373,8 +2343,7 @@ class ImageEditor {
                 this.currentPicture.renderArea(this.dirtyRect);
                 if (doFill) {
                     this.dirtyRect = this.currentPicture.drawFillEllipse(
-                        this.startPicX, this.startPicY, picX, picY,
-                        this.colorPicker.currentPat);
+                        this.startPicX, this.startPicY, picX, picY, this.getFillPattern());
                 } else {
                     this.dirtyRect = this.currentPicture.drawStrokeEllipse(
                         this.startPicX, this.startPicY, picX, picY,
@@ -1392,6 +2361,274 @@ class ImageEditor {
         }
     }
 
+    //
+    // Tool: draw stroke/filled polygon.  Click (or drag) to place each vertex, double-click
+    // or hit Enter to finish, ESC to cancel.  The whole thing is a single undo step.
+    //
+    // Between clicks we receive pointermove events with the button up, so the next edge can
+    // follow the pointer.
+    //
+    toolStrokePolygon(event, picX, picY) {
+        this.doPolygon(event, picX, picY, false);
+    }
+    toolFillPolygon(event, picX, picY) {
+        this.doPolygon(event, picX, picY, true);
+    }
+    doPolygon(event, picX, picY, doFill) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.shapePoints.length == 0) {
+                    if (this.currentPicture.isUndoContextOpen()) {
+                        break;      // pointerup was missed, e.g. while in debugger
+                    }
+                    this.currentPicture.openUndoContext(`polygon(${doFill})`);
+                    this.dirtyRect = Rect.EMPTY_RECT;
+                    this.shapePoints.push([picX, picY]);
+                } else {
+                    let [lastX, lastY] = this.shapePoints[this.shapePoints.length - 1];
+                    if (picX != lastX || picY != lastY) {
+                        this.shapePoints.push([picX, picY]);
+                    }
+                }
+                this.drawPolygonPreview(picX, picY, doFill);
+                break;
+            case "pointermove":
+                if (this.shapePoints.length == 0) {
+                    break;
+                }
+                if (picX == this.lastPicX && picY == this.lastPicY) {
+                    break;
+                }
+                if (this.isToolActive) {
+                    // Dragging with the button down moves the vertex we just placed.
+                    this.shapePoints[this.shapePoints.length - 1] = [picX, picY];
+                }
+                this.drawPolygonPreview(picX, picY, doFill);
+                break;
+            case "pointerup":
+                break;
+            case "dblclick":
+                this.finishPolygon();
+                break;
+        }
+    }
+
+    //
+    // Redraws the polygon in progress, with an edge from the last vertex to the pointer.
+    //
+    drawPolygonPreview(picX, picY, doFill) {
+        let points = this.shapePoints.concat([[picX, picY]]);
+        this.currentPicture.revert();
+        this.currentPicture.renderArea(this.dirtyRect);
+        if (doFill) {
+            this.dirtyRect = this.currentPicture.drawFillPolygon(points,
+                this.colorPicker.currentPat);
+        } else {
+            this.dirtyRect = this.currentPicture.drawPolyline(points,
+                this.colorPicker.currentPat, gStylePicker.strokeStyle, gStylePicker.closePolygon);
+        }
+        this.drawCurrentPicture();
+    }
+
+    //
+    // Draws the final polygon from the vertices placed so far, and closes the undo context.
+    //
+    finishPolygon() {
+        if (this.shapePoints.length == 0) {
+            return;
+        }
+        let doFill = (this.activeTool == this.toolFillPolygon);
+        this.currentPicture.revert();
+        this.currentPicture.renderArea(this.dirtyRect);
+        if (doFill) {
+            this.dirtyRect = this.currentPicture.drawFillPolygon(this.shapePoints,
+                this.colorPicker.currentPat);
+        } else {
+            this.dirtyRect = this.currentPicture.drawPolyline(this.shapePoints,
+                this.colorPicker.currentPat, gStylePicker.strokeStyle, gStylePicker.closePolygon);
+        }
+        // A single click leaves a lone vertex, which we keep as a dot.
+        this.keepShape();
+    }
+
+    //
+    // Tool: draw Bezier curve.  Click to set the start point, drag and release to set the end
+    // point.  Then click and drag to position the first control handle, and again for the
+    // second.  The curve is finished when the second handle is released.  Hit Enter to finish
+    // early with a single handle, or ESC to cancel.
+    //
+    // The curve is redrawn as the handles move, like toolLine().  The whole thing is a single
+    // undo step.
+    //
+    toolCurve(event, picX, picY) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.shapePoints.length == 0) {
+                    if (this.currentPicture.isUndoContextOpen()) {
+                        break;      // pointerup was missed, e.g. while in debugger
+                    }
+                    this.currentPicture.openUndoContext("curve");
+                    this.dirtyRect = Rect.EMPTY_RECT;
+                    this.shapePoints.push([picX, picY], [picX, picY]);
+                } else {
+                    // Start dragging the next control handle.
+                    this.shapePoints.push([picX, picY]);
+                }
+                this.drawCurvePreview();
+                break;
+            case "pointermove":
+                if (!this.isToolActive || this.shapePoints.length == 0) {
+                    break;      // button is up, or pointerdown happened outside the canvas
+                }
+                if (picX == this.lastPicX && picY == this.lastPicY) {
+                    break;
+                }
+                // Move the end point or handle being dragged.
+                this.shapePoints[this.shapePoints.length - 1] = [picX, picY];
+                this.drawCurvePreview();
+                break;
+            case "pointerup":
+                if (this.shapePoints.length == 4) {
+                    this.keepShape();
+                }
+                break;
+        }
+    }
+
+    //
+    // Returns the control polygon for the curve in progress.  We store the end points first,
+    // since those are placed first, so they need to be reordered.
+    //
+    getCurveControlPoints() {
+        let [start, end, ...handles] = this.shapePoints;
+        return [start, ...handles, end];
+    }
+
+    //
+    // Redraws the curve in progress.
+    //
+    drawCurvePreview() {
+        this.currentPicture.revert();
+        this.currentPicture.renderArea(this.dirtyRect);
+        this.dirtyRect = this.currentPicture.drawBezier(this.getCurveControlPoints(),
+            this.colorPicker.currentPat, gStylePicker.strokeStyle);
+        this.drawCurrentPicture();
+    }
+
+    //
+    // Tool: draw arc / filled pie slice.  Click to set one corner of the ellipse's bounding
+    // box, drag and release to set the other, like the ellipse tools.  Then click to set the
+    // start angle, drag to set the end angle, and release to finish.  The arc runs counter-
+    // clockwise.  Hit Enter to keep the full ellipse, or ESC to cancel.
+    //
+    toolStrokeArc(event, picX, picY) {
+        this.doArc(event, picX, picY, false);
+    }
+    toolFillPie(event, picX, picY) {
+        this.doArc(event, picX, picY, true);
+    }
+    doArc(event, picX, picY, doFill) {
+        switch (event.type) {
+            case "pointerdown":
+                if (this.shapePoints.length == 0) {
+                    if (this.currentPicture.isUndoContextOpen()) {
+                        break;      // pointerup was missed, e.g. while in debugger
+                    }
+                    this.currentPicture.openUndoContext(`arc(${doFill})`);
+                    this.dirtyRect = Rect.EMPTY_RECT;
+                    this.shapePoints.push([picX, picY], [picX, picY]);
+                    this.setOutlineRect(Rect.fromCoords(picX, picY, picX, picY), true);
+                } else {
+                    // The start angle is set here, the end angle by dragging.
+                    this.shapePoints.push([picX, picY], [picX, picY]);
+                }
+                this.drawArcPreview(doFill);
+                break;
+            case "pointermove":
+                if (!this.isToolActive || this.shapePoints.length == 0) {
+                    break;      // button is up, or pointerdown happened outside the canvas
+                }
+                if (picX == this.lastPicX && picY == this.lastPicY) {
+                    break;
+                }
+                this.shapePoints[this.shapePoints.length - 1] = [picX, picY];
+                if (this.shapePoints.length == 2) {
+                    this.setOutlineRect(Rect.fromCoords(...this.shapePoints[0], picX, picY),
+                        true);
+                }
+                this.drawArcPreview(doFill);
+                break;
+            case "pointerup":
+                if (this.shapePoints.length == 4) {
+                    this.keepShape();
+                }
+                break;
+        }
+    }
+
+    //
+    // Redraws the arc in progress.  Until the angles are set, the full ellipse is shown.
+    //
+    drawArcPreview(doFill) {
+        let [[x0, y0], [x1, y1], startPt, endPt] = this.shapePoints;
+        let pat = this.colorPicker.currentPat;
+        this.currentPicture.revert();
+        this.currentPicture.renderArea(this.dirtyRect);
+        if (startPt === undefined) {
+            if (doFill) {
+                this.dirtyRect = this.currentPicture.drawFillEllipse(x0, y0, x1, y1, pat);
+            } else {
+                this.dirtyRect = this.currentPicture.drawStrokeEllipse(x0, y0, x1, y1, pat,
+                    gStylePicker.strokeStyle);
+            }
+        } else {
+            let startAngle = Picture.getEllipseAngle(x0, y0, x1, y1, ...startPt);
+            let endAngle = Picture.getEllipseAngle(x0, y0, x1, y1, ...endPt);
+            if (doFill) {
+                this.dirtyRect = this.currentPicture.drawFillPie(x0, y0, x1, y1,
+                    startAngle, endAngle, pat);
+            } else {
+                this.dirtyRect = this.currentPicture.drawStrokeArc(x0, y0, x1, y1,
+                    startAngle, endAngle, pat, gStylePicker.strokeStyle);
+            }
+        }
+        this.drawCurrentPicture();
+    }
+
+    //
+    // Finishes the multi-step shape in progress, e.g. when Enter is hit.
+    //
+    finishShape() {
+        if (this.activeTool == this.toolStrokePolygon || this.activeTool == this.toolFillPolygon) {
+            // The polygon preview includes an edge to the pointer, so we need to redraw.
+            this.finishPolygon();
+        } else {
+            // Curves and arcs are drawn as they go.
+            this.keepShape();
+        }
+    }
+
+    //
+    // Keeps the multi-step shape that has been drawn, closing the undo context.
+    //
+    keepShape() {
+        this.currentPicture.closeUndoContext(true);
+        this.shapePoints = [];
+        this.clearOutlineRect();
+        this.drawCurrentPicture();      // update the is-dirty indicator
+    }
+
+    //
+    // Discards the multi-step shape in progress.
+    //
+    cancelShape() {
+        this.currentPicture.closeUndoContext(false);
+        this.currentPicture.renderArea(this.dirtyRect);
+        this.shapePoints = [];
+        this.clearOutlineRect();
+        this.drawCurrentPicture();
+    }
+
     //
     // Tool: draw text into a clipping, or move the clipping around.
     //
@@ -1418,9 +2655,7 @@ class ImageEditor {
                         console.log("can't drag, no context open");
                     } else {
                         // Move rect.
-                        this.setOutlineRect(
-                            this.outlineRect.translate(picX - this.lastPicX, picY - this.lastPicY),
-                            true);
+                        this.moveOutline(picX - this.lastPicX, picY - this.lastPicY);
                         this.redrawClipping();
                     }
                 }
@@ -1462,16 +2697,16 @@ class ImageEditor {
         this.setOutlineRect(
             new Rect(this.textPicX, this.textPicY, clipping.width, clipping.height), true);
         this.visClipping = clipping;
+        this.clipColorX = this.textPicX;
         this.enableMarch();
         // Show it on the screen.  From here on it works like copy/paste.
         this.currentPicture.openUndoContext("text");
-        this.dirtyRect = this.currentPicture.putClipping(this.visClipping,
-            this.outlineRect.left, this.outlineRect.top, gSettings.clipXferMode);
+        this.putVisClipping();
         this.drawCurrentPicture();
     }
 
     //
-    // Tool: flood fill.
+    // Tool: flood fill.  Shift+click to choose the border color for "fill to border" mode.
     //
     toolFloodFill(event, picX, picY) {
         switch (event.type) {
@@ -1479,9 +2714,19 @@ class ImageEditor {
                 if (this.currentPicture.isUndoContextOpen()) {
                     break;      // confused
                 }
+                if (event.shiftKey) {
+                    this.fillBorderColor = this.currentPicture.getMapColor(picX, picY);
+                    this.showMessage("Fill border color set");
+                    break;
+                }
+                if (gStylePicker.fillMode == Picture.FILL_BORDER && this.fillBorderColor < 0) {
+                    this.showMessage("Shift+click to choose the fill border color first");
+                    break;
+                }
                 this.currentPicture.openUndoContext("flood-fill");
-                this.dirtyRect =
-                    this.currentPicture.drawFloodFill(picX, picY, this.colorPicker.currentPat);
+                this.dirtyRect = this.currentPicture.drawFloodFill(picX, picY,
+                    this.getFillPattern(), gStylePicker.fillMode, gStylePicker.fillEightWay,
+                    this.fillBorderColor);
                 this.currentPicture.closeUndoContext(!this.dirtyRect.isEmpty);
                 this.drawCurrentPicture();
                 break;
@@ -1491,6 +2736,26 @@ class ImageEditor {
         }
     }
 
+    //
+    // Tool: eyedropper.  Click to set the current color to the color of the clicked pixel.
+    // On the hi-res screen, Shift+click captures the entire pattern cell that holds the pixel,
+    // which picks up dither patterns as well as solid colors.
+    //
+    toolEyedropper(event, picX, picY) {
+        if (event.type != "pointerdown") {
+            return;
+        }
+        let pat = event.shiftKey ? this.currentPicture.getPatternCell(picX, picY) : undefined;
+        if (pat !== undefined) {
+            if (!this.colorPicker.pickPattern(pat)) {
+                this.showMessage("Picked a pattern that isn't in the color picker");
+            }
+        } else {
+            this.colorPicker.pickColor(this.currentPicture.getPixelColor(picX, picY));
+        }
+        this.onColorChanged();
+    }
+
     // ======================================================================
     // Mouse & picture canvas
     // ======================================================================
@@ -1532,8 +2797,8 @@ class ImageEditor {
         let scaledCenterY = this.currentPicture.scaledCenterY;
         let leftEdge = Math.trunc((this.picCanvas.width / 2) - scaledCenterX);
         let topEdge = Math.trunc((this.picCanvas.height / 2) - scaledCenterY);
-        let picX = Math.trunc((canvasX - leftEdge) / this.pictureScale);
-        let picY = Math.trunc((canvasY - topEdge) / this.pictureScale);
+        let picX = Math.trunc((canvasX - leftEdge) / this.currentPicture.scaleX);
+        let picY = Math.trunc((canvasY - topEdge) / this.currentPicture.scaleY);
         if (picX < 0 || picY < 0 ||
                 picX >= this.currentPicture.width || picY >= this.currentPicture.height) {
             if (doClamp) {
@@ -1560,7 +2825,12 @@ class ImageEditor {
                 this.isToolActive = true;
                 this.picCanvas.setPointerCapture(event.pointerId);
                 let [picX, picY] = this.canvasToPictureCoords(event.offsetX, event.offsetY, true);
-                this.activeTool(event, picX, picY);
+                let handle = this.findScaleHandle(event.offsetX, event.offsetY);
+                if (handle >= 0) {
+                    this.startScaleDrag(handle);
+                } else {
+                    this.activeTool(event, picX, picY);
+                }
                 this.startPicX = this.lastPicX = picX;
                 this.startPicY = this.lastPicY = picY;
             }
@@ -1584,7 +2854,11 @@ class ImageEditor {
                 if (this.isToolActive) {
                     let [picX, picY] =
                         this.canvasToPictureCoords(event.offsetX, event.offsetY, true);
-                    this.activeTool(event, picX, picY);
+                    if (this.scaleDrag !== undefined) {
+                        this.scaleDrag = undefined;
+                    } else {
+                        this.activeTool(event, picX, picY);
+                    }
                     this.lastPicX = this.lastPicY = -1;
                 }
                 this.isToolActive = false;
@@ -1599,6 +2873,12 @@ class ImageEditor {
             }
         }
     }
+    handleCanvasDoubleClick(event) {
+        if (event.button == this.LEFT_BUTTON && this.currentPicture !== undefined) {
+            let [picX, picY] = this.canvasToPictureCoords(event.offsetX, event.offsetY, true);
+            this.activeTool(event, picX, picY);
+        }
+    }
     handleCanvasPointerMove(event) {
         let [picX, picY] = this.canvasToPictureCoords(event.offsetX, event.offsetY, false);
         // console.log(`offset ${picX},${picY}`);
@@ -1623,17 +2903,26 @@ class ImageEditor {
         this.mousePicX = picX;
         this.mousePicY = picY;
 
-        if (this.isToolActive) {
+        if (this.isToolActive || this.shapePoints.length != 0 || this.lassoPoints.length != 0) {
             // Convert coords again, this time with clamping.
             [picX, picY] = this.canvasToPictureCoords(event.offsetX, event.offsetY, true);
-            this.activeTool(event, picX, picY);
+            if (this.scaleDrag !== undefined) {
+                this.dragScaleHandle(picX, picY);
+            } else {
+                this.activeTool(event, picX, picY);
+            }
             this.lastPicX = picX;
             this.lastPicY = picY;
         }
 
         // Switch to the 4-way-arrow cursor when inside a clipping rect.  We want to use the
-        // clamped coords for consistency.
-        if (this.isInsideClipping(picX, picY)) {
+        // clamped coords for consistency.  Resize handles take priority.
+        let handle = (this.scaleDrag !== undefined) ?
+            this.scaleDrag.handle : this.findScaleHandle(event.offsetX, event.offsetY);
+        if (handle >= 0) {
+            this.picCanvas.style.cursor = (handle == 0 || handle == 3) ?
+                "nwse-resize" : "nesw-resize";
+        } else if (this.isInsideClipping(picX, picY)) {
             this.picCanvas.style.cursor = "move";
         } else {
             this.picCanvas.style.cursor = this.picCursor;
@@ -1659,8 +2948,8 @@ class ImageEditor {
             // Try to shift the center to the mouse location.
             let centerX = (this.mousePicX < 0) ? 0 : this.mousePicX;
             let centerY = (this.mousePicY < 0) ? 0 : this.mousePicY;
-            this.currentPicture.setScaledCenter(centerX * this.currentPicture.scale,
-                centerY * this.currentPicture.scale,
+            this.currentPicture.setScaledCenter(centerX * this.currentPicture.scaleX,
+                centerY * this.currentPicture.scaleY,
                 this.picCanvas.width, this.picCanvas.height);
             this.drawCurrentPicture();
         }
@@ -1692,13 +2981,12 @@ class ImageEditor {
         }
     }
     setCenterFromPanner(panX, panY) {
-        // Panner is half size, so mult should be 2.
-        const mult = Math.round(this.currentPicture.width / this.pannerCanvas.clientWidth);
-        if (mult != 2) {
-            console.log("panner mult=" + mult);
-        }
-        this.currentPicture.setScaledCenter(panX * mult * this.currentPicture.scale,
-            panY * mult * this.currentPicture.scale,
+        // Panner is half size, so mult should be 2 for standard hi-res.  Other formats may
+        // have different multipliers for each axis.
+        const multX = this.currentPicture.width / this.pannerCanvas.clientWidth;
+        const multY = this.currentPicture.height / this.pannerCanvas.clientHeight;
+        this.currentPicture.setScaledCenter(panX * multX * this.currentPicture.scaleX,
+            panY * multY * this.currentPicture.scaleY,
             this.picCanvas.width, this.picCanvas.height);
         this.drawCurrentPicture();
     }
@@ -1735,6 +3023,13 @@ const gStylePicker = new StylePicker(imgEdit);
 
 // Initialize color picker dialog.  This generates HTML elements.
 const gColorPickerHgr = new ColorPickerHgr(imgEdit);
+const gColorPickerDhgr = new ColorPickerDhgr(imgEdit);
+const gColorPickerShr = new ColorPickerShr(imgEdit);
+const gImageImport = new ImageImport(imgEdit);
+
+// Initialize disk image catalog and save-as dialogs.
+const gDiskCatalog = new DiskCatalog(imgEdit);
+const gSaveAs = new SaveAs(imgEdit);
 
 // Initialize font picker dialog.
 const gFontPicker = new FontPicker(imgEdit);
@@ -1742,9 +3037,21 @@ const gFontPicker = new FontPicker(imgEdit);
 // Initialize text entry dialog.
 const gTextEntry = new TextEntry(imgEdit);
 
+// Initialize scale entry dialog.
+const gScaleEntry = new ScaleEntry(imgEdit);
+
 // Initialize settings dialog.
 const gSettings = new Settings(imgEdit);
 // Configure defaults.
 gColorPickerHgr.colorSwatchClose = gSettings.colorSwatchClose;
+gColorPickerDhgr.colorSwatchClose = gSettings.colorSwatchClose;
+gColorPickerShr.colorSwatchClose = gSettings.colorSwatchClose;
+
+// Initialize palette editor dialog, and apply the display palette.
+const gPaletteEditor = new PaletteEditor(imgEdit, gSettings);
+imgEdit.onSettingsChanged();
+
+// Initialize pattern editor dialog.  This loads the user's pattern library into the picker.
+const gPatternEditor = new PatternEditor(imgEdit, gSettings, gColorPickerHgr);
 
 const gAbout = new About();
@@ -0,0 +1,156 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ImageConvert from "./lib/image-convert.js";
+import StdHiRes from "./lib/std-hi-res.js";
+
+//
+// Image import dialog.  This implements the <dialog> in the editor page that converts a PNG,
+// JPEG, or GIF file to hi-res.  A preview of the conversion is shown, and updated whenever
+// the scaling or dithering options change.
+//
+// If several images are opened at once, they're queued up and presented one at a time.
+//
+// This class must be instantiated exactly once.
+//
+export default class ImageImport {
+    static isInitialized = false;
+
+    // Queue of File objects waiting to be converted.
+    pendingFiles = [];
+    // True while a file is being decoded or shown.  This is set before decoding starts, so
+    // that files opened while a decode is in progress wait in the queue.
+    busy = false;
+    // Name and decoded image for the file being converted.
+    currentName = undefined;
+    currentBitmap = undefined;
+    // Converted hi-res data, from the most recent preview.
+    convertedBuffer = undefined;
+
+    constructor(mainObj) {
+        if (ImageImport.isInitialized != false) {
+            throw new Error("ImageImport initialized twice");
+        }
+
+        this.mainObj = mainObj;
+
+        this.dialog = document.getElementById("image-import");
+        this.previewCanvas = document.getElementById("image-import-preview");
+        this.previewCanvas.width = StdHiRes.NUM_COLS;
+        this.previewCanvas.height = StdHiRes.NUM_ROWS;
+        this.previewCtx = this.previewCanvas.getContext("2d");
+        this.nameElem = document.getElementById("image-import-name");
+
+        for (let radio of document.querySelectorAll("input[name=\"import-scale\"]," +
+                "input[name=\"import-dither\"]")) {
+            radio.addEventListener("change", this.updatePreview.bind(this));
+        }
+        document.getElementById("image-import-ok").addEventListener("click",
+            this.handleOk.bind(this));
+        document.getElementById("image-import-cancel").addEventListener("click",
+            this.handleCancel.bind(this));
+        // Escape key closes the dialog without going through the buttons.
+        this.dialog.addEventListener("cancel", () => {
+            this.finishCurrent();
+        });
+
+        ImageImport.isInitialized = true;
+        console.log("ImageImport initialized");
+    }
+
+    //
+    // Adds an image file to the queue, and shows the dialog if it's not already open.
+    //
+    //  file: File object
+    //
+    importFile(file) {
+        this.pendingFiles.push(file);
+        if (!this.busy) {
+            this.startNext();
+        }
+    }
+
+    //
+    // Decodes the next file in the queue and shows the dialog.
+    //
+    async startNext() {
+        this.busy = true;
+        while (this.pendingFiles.length > 0) {
+            let file = this.pendingFiles.shift();
+            try {
+                this.currentBitmap = await createImageBitmap(file);
+            } catch (error) {
+                console.log(error);
+                this.mainObj.showMessage(`Unable to decode image '${file.name}'`);
+                continue;
+            }
+            // Replace the extension with the attributes for a hi-res image file.
+            this.currentName = file.name.replace(/\.[^.]*$/, "") + "#062000";
+            this.nameElem.textContent = file.name;
+            this.updatePreview();
+            this.dialog.showModal();
+            return;
+        }
+        this.busy = false;
+    }
+
+    //
+    // Re-converts the image with the current options, and draws the result.
+    //
+    updatePreview() {
+        if (this.currentBitmap === undefined) {
+            return;
+        }
+        let scaleMode = document.querySelector("input[name=\"import-scale\"]:checked").value;
+        let ditherMode = document.querySelector("input[name=\"import-dither\"]:checked").value;
+        let scaled = ImageConvert.scaleImage(this.currentBitmap,
+            StdHiRes.NUM_COLS, StdHiRes.NUM_ROWS, scaleMode);
+        this.convertedBuffer = ImageConvert.toStdHiRes(scaled, ditherMode);
+
+        let preview = new ImageData(StdHiRes.NUM_COLS, StdHiRes.NUM_ROWS);
+        new StdHiRes(this.convertedBuffer.slice(0)).renderFull(preview, false);
+        this.previewCtx.putImageData(preview, 0, 0);
+    }
+
+    //
+    // Handles a click on the "OK" button.  Passes the converted image to the main object.
+    //
+    handleOk() {
+        this.dialog.close();
+        this.mainObj.onImageImported(this.currentName, this.convertedBuffer);
+        this.finishCurrent();
+    }
+
+    //
+    // Handles a click on the "Cancel" button.
+    //
+    handleCancel() {
+        this.dialog.close();
+        this.finishCurrent();
+    }
+
+    //
+    // Discards the current image, and moves on to the next one.
+    //
+    finishCurrent() {
+        if (this.currentBitmap !== undefined) {
+            this.currentBitmap.close();
+        }
+        this.currentBitmap = undefined;
+        this.convertedBuffer = undefined;
+        this.startNext();
+    }
+}
@@ -0,0 +1,141 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Debug from "./debug.js";
+
+//
+// Brush tip for the paint brush tool.  This is a small 1bpp mask, stored as a list of
+// horizontal spans for each row so that it can be stamped with plotHorizSegment().  The
+// hot spot is the center of the mask.
+//
+// Instances are immutable.
+//
+export default class Brush {
+    static SHAPE_ROUND = "round";
+    static SHAPE_SQUARE = "square";
+    static SHAPE_DIAGONAL = "diagonal";
+    static SHAPE_CUSTOM = "custom";
+
+    static MIN_SIZE = 1;
+    static MAX_SIZE = 16;
+
+    //
+    // Constructor.
+    //
+    //  width, height: dimensions of the mask
+    //  bits: array with one entry per pixel, nonzero if the pixel is part of the brush
+    //
+    constructor(width, height, bits) {
+        Debug.assert(bits.length == width * height, "bad bits length");
+        this.width = width;
+        this.height = height;
+        this.hotX = Math.trunc((width - 1) / 2);
+        this.hotY = Math.trunc((height - 1) / 2);
+        // Convert each row to a list of [offset, length] spans.
+        this.rowSpans = [];
+        for (let row = 0; row < height; row++) {
+            let spans = [];
+            let spanStart = -1;
+            for (let col = 0; col <= width; col++) {
+                let isSet = col < width && bits[row * width + col] != 0;
+                if (isSet && spanStart < 0) {
+                    spanStart = col;
+                } else if (!isSet && spanStart >= 0) {
+                    spans.push([spanStart, col - spanStart]);
+                    spanStart = -1;
+                }
+            }
+            this.rowSpans.push(spans);
+        }
+    }
+
+    toString() {
+        return `[Brush ${this.width}x${this.height}]`;
+    }
+
+    //
+    // Creates a brush.
+    //
+    //  shape: one of the SHAPE_* constants
+    //  size: width and height of the brush [1,16]; ignored for custom brushes
+    //  customBits: 16x16 mask for custom brushes, one entry per pixel
+    //  (returns): new Brush object
+    //
+    static create(shape, size, customBits) {
+        Debug.assert(size >= Brush.MIN_SIZE && size <= Brush.MAX_SIZE, `bad size ${size}`);
+        if (shape == Brush.SHAPE_CUSTOM) {
+            return Brush.fromCustom(customBits);
+        }
+        let bits = new Uint8Array(size * size);
+        let center = (size - 1) / 2;
+        // Shrink the radius slightly, so small round brushes aren't just squares.
+        let radius = size / 2 - 0.2;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                let isSet;
+                switch (shape) {
+                    case Brush.SHAPE_ROUND:
+                        isSet = (size <= 2) || ((col - center) ** 2 + (row - center) ** 2 <=
+                            radius * radius);
+                        break;
+                    case Brush.SHAPE_SQUARE:
+                        isSet = true;
+                        break;
+                    case Brush.SHAPE_DIAGONAL:
+                        // A "/" stroke, two pixels thick so it doesn't leave gaps.
+                        isSet = (col + row == size - 1) || (col + row == size);
+                        break;
+                    default:
+                        throw new Error("unknown brush shape " + shape);
+                }
+                bits[row * size + col] = isSet ? 1 : 0;
+            }
+        }
+        return new Brush(size, size, bits);
+    }
+
+    //
+    // Creates a brush from a 16x16 custom mask.  The mask is trimmed to the area with set
+    // pixels, so the hot spot is in the middle of what was drawn.  An empty mask yields a
+    // single-pixel brush.
+    //
+    static fromCustom(customBits) {
+        const dim = Brush.MAX_SIZE;
+        let minX = dim, minY = dim, maxX = -1, maxY = -1;
+        for (let row = 0; row < dim; row++) {
+            for (let col = 0; col < dim; col++) {
+                if (customBits[row * dim + col] != 0) {
+                    minX = Math.min(minX, col);
+                    maxX = Math.max(maxX, col);
+                    minY = Math.min(minY, row);
+                    maxY = Math.max(maxY, row);
+                }
+            }
+        }
+        if (maxX < 0) {
+            return new Brush(1, 1, [1]);
+        }
+        let width = maxX - minX + 1;
+        let height = maxY - minY + 1;
+        let bits = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                bits[row * width + col] = customBits[(row + minY) * dim + col + minX];
+            }
+        }
+        return new Brush(width, height, bits);
+    }
+}
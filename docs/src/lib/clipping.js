@@ -34,6 +34,17 @@ export default class Clipping {
     static XFER_COPY = "copy";
     static XFER_MERGE = "merge";
     static XFER_XOR = "xor";
+    static XFER_AND = "and";
+    static XFER_NAND = "nand";
+    // Copy, but skip pixels of a chosen color.  This is handled by Picture, which passes
+    // a modified clipping to the raw image with XFER_COPY.
+    static XFER_TRANSPARENT = "transparent";
+
+    static FLIP_HORIZ = "flip-horiz";
+    static FLIP_VERT = "flip-vert";
+    static ROTATE_RIGHT = "rotate-right";   // 90 degrees clockwise
+    static ROTATE_180 = "rotate-180";
+    static ROTATE_LEFT = "rotate-left";     // 90 degrees counter-clockwise
 
     //
     // Constructor.
@@ -68,6 +79,88 @@ export default class Clipping {
 
     static isValidXferMode(xferMode) {
         return xferMode == Clipping.XFER_COPY || xferMode == Clipping.XFER_MERGE ||
-            xferMode == Clipping.XFER_XOR;
+            xferMode == Clipping.XFER_XOR || xferMode == Clipping.XFER_AND ||
+            xferMode == Clipping.XFER_NAND || xferMode == Clipping.XFER_TRANSPARENT;
+    }
+
+    //
+    // Returns true if the transformation swaps the width and height.
+    //
+    static isRotation90(transform) {
+        return transform == Clipping.ROTATE_RIGHT || transform == Clipping.ROTATE_LEFT;
+    }
+
+    //
+    // Returns true if the transformation reverses the order of pixels within a row.
+    //
+    static isHorizMirror(transform) {
+        return transform == Clipping.FLIP_HORIZ || transform == Clipping.ROTATE_180;
+    }
+
+    //
+    // Resizes a grid with one entry per pixel, using nearest-neighbor sampling.
+    //
+    //  grid: array of values (e.g. Uint8Array), width*height entries
+    //  width, height: grid dimensions
+    //  newWidth, newHeight: dimensions of the resized grid
+    //  (returns): new array of the same type, with newWidth*newHeight entries
+    //
+    static resampleGrid(grid, width, height, newWidth, newHeight) {
+        Debug.assert(grid.length == width * height, "bad grid length");
+        let out = new grid.constructor(newWidth * newHeight);
+        for (let row = 0; row < newHeight; row++) {
+            let srcRow = Math.trunc((row + 0.5) * height / newHeight);
+            for (let col = 0; col < newWidth; col++) {
+                let srcCol = Math.trunc((col + 0.5) * width / newWidth);
+                out[row * newWidth + col] = grid[srcRow * width + srcCol];
+            }
+        }
+        return out;
+    }
+
+    //
+    // Flips or rotates a grid with one entry per pixel.
+    //
+    //  grid: array of values (e.g. Uint8Array), width*height entries
+    //  width, height: grid dimensions
+    //  transform: one of the FLIP_* or ROTATE_* constants
+    //  (returns): new array of the same type; if the transformation is a 90-degree
+    //    rotation, the width and height are swapped
+    //
+    static transformGrid(grid, width, height, transform) {
+        Debug.assert(grid.length == width * height, "bad grid length");
+        let newWidth = Clipping.isRotation90(transform) ? height : width;
+        let out = new grid.constructor(grid.length);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let newCol, newRow;
+                switch (transform) {
+                    case Clipping.FLIP_HORIZ:
+                        newCol = width - 1 - col;
+                        newRow = row;
+                        break;
+                    case Clipping.FLIP_VERT:
+                        newCol = col;
+                        newRow = height - 1 - row;
+                        break;
+                    case Clipping.ROTATE_RIGHT:
+                        newCol = height - 1 - row;
+                        newRow = col;
+                        break;
+                    case Clipping.ROTATE_180:
+                        newCol = width - 1 - col;
+                        newRow = height - 1 - row;
+                        break;
+                    case Clipping.ROTATE_LEFT:
+                        newCol = row;
+                        newRow = width - 1 - col;
+                        break;
+                    default:
+                        throw new Error("unknown transform " + transform);
+                }
+                out[newRow * newWidth + newCol] = grid[row * width + col];
+            }
+        }
+        return out;
     }
 }
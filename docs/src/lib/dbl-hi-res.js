@@ -0,0 +1,656 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+Implementation of Apple II double hi-res graphics.
+
+Double hi-res uses the same row layout as standard hi-res, but combines 8KB from auxiliary
+memory with 8KB from main memory.  Each row is 80 bytes wide, alternating aux/main with the
+aux byte first.  The high bit of each byte is ignored, so every row has 80 * 7 = 560 dots.
+The usual file layout (sometimes identified with an ".A2FC" extension) is 16KB, with the aux
+half first and the main half second.  Some programs write the halves as two separate files;
+those are combined before they get here.
+
+In color, each group of four dots forms a single pixel, yielding 140x192 with 16 colors.  The
+color numbers match the lo-res colors when the four bits are read with the leftmost dot as the
+LSB.  Like StdHiRes, this does not model NTSC fringe effects.
+
+We regard the screen as 560x192 whether we're displaying it as color or monochrome.  In color,
+all four dots in a cell are drawn with the cell's color.  The Picture displays rows at double
+height so the proportions match the hi-res screen.
+
+Because it's hard to see individual dots in color mode, drawing operations performed while in
+color mode affect entire cells.  Plotting a single pixel anywhere in a cell sets all four dots
+to the pattern color.  In monochrome mode individual dots are set.
+
+Color patterns are 4 pixels wide by two rows high, the same layout that StdHiRes uses, but each
+entry holds a color number [0,15] rather than a byte of pixel bits.
+*/
+
+import gColorPalette from "./palette.js";
+import StdHiRes from "./std-hi-res.js";
+import Clipping from "./clipping.js";
+import Debug from "./debug.js";
+
+//
+// Manage a 16KB double hi-res screen.
+//
+export default class DblHiRes {
+    static FORMAT_NAME = "dbl-hi-res";
+    static HALF_LEN = 8192;
+    static EXPECTED_LEN = DblHiRes.HALF_LEN * 2;
+    static NUM_COLS = 560;
+    static NUM_COL_BYTES = 80;
+    static NUM_ROWS = 192;
+    static DOTS_PER_CELL = 4;
+    // The mode byte and signature live in the first screen hole of main memory.
+    static MODE_BYTE_OFFSET = DblHiRes.HALF_LEN + StdHiRes.MODE_BYTE_OFFSET;
+    static SIG_BYTE_OFFSET = DblHiRes.HALF_LEN + StdHiRes.SIG_BYTE_OFFSET;
+    // Mode byte values, from the file type note for FOT ($08).
+    static MODE_MONO = 2;       // 560x192 black & white
+    static MODE_COLOR = 3;      // 140x192 16-color
+
+    // Patterns are 4 cells wide by two rows high, one color number per cell.
+    static PATTERN_LEN = 4 * 2;
+
+    // Pattern with all black pixels, used for operations like "cut".
+    CLEAR_PATTERN = new Uint8Array(DblHiRes.PATTERN_LEN);
+
+    // Set by renderArea(), so we know whether drawing should affect whole color cells.
+    drawMono = false;
+
+    //
+    // Constructor.  Loads raw image data from a file ArrayBuffer, or creates a new blank image.
+    //
+    // Throws an exception if the file contents are incompatible.
+    //
+    //  buffer: ArrayBuffer object, or undefined for a new image
+    //
+    constructor(arrayBuffer) {
+        if (arrayBuffer === undefined) {
+            this.rawBytes = new Uint8Array(DblHiRes.EXPECTED_LEN);
+            this.rawBytes[DblHiRes.MODE_BYTE_OFFSET] = DblHiRes.MODE_COLOR;
+            for (let i = 0; i < StdHiRes.SIGNATURE.length; i++) {
+                this.rawBytes[DblHiRes.SIG_BYTE_OFFSET + i] = StdHiRes.SIGNATURE[i];
+            }
+        } else {
+            if (!DblHiRes.checkMatch(arrayBuffer.byteLength)) {
+                throw new Error("incorrect size");      // should have been caught earlier
+            }
+            this.rawBytes = new Uint8Array(arrayBuffer);
+        }
+    }
+
+    toString() { return "[DblHiRes]"; }
+
+    // Map the color number [0,15] to an RGBA color.  The palette is in lo-res color order.
+    static colorToRGBA = Array.from(gColorPalette.values());
+
+    //
+    // Regenerates the color table after the display palette has changed.
+    //
+    static updatePalette() {
+        DblHiRes.colorToRGBA = Array.from(gColorPalette.values());
+    }
+
+    //
+    // Checks to see if the size of the file matches our requirements.
+    //
+    static checkMatch(size) {
+        return size == DblHiRes.EXPECTED_LEN;
+    }
+
+    //
+    // Combines the contents of separate aux and main files into a single buffer.  Each
+    // half must pass StdHiRes.checkMatch(); short files are padded with zeroes.
+    //
+    //  auxBuffer: ArrayBuffer with the aux memory half
+    //  mainBuffer: ArrayBuffer with the main memory half
+    //  (returns): ArrayBuffer with 16KB of data
+    //
+    static combineHalves(auxBuffer, mainBuffer) {
+        Debug.assert(StdHiRes.checkMatch(auxBuffer.byteLength) &&
+            StdHiRes.checkMatch(mainBuffer.byteLength), "bad half lengths");
+        let combined = new Uint8Array(DblHiRes.EXPECTED_LEN);
+        combined.set(new Uint8Array(auxBuffer), 0);
+        combined.set(new Uint8Array(mainBuffer), DblHiRes.HALF_LEN);
+        return combined.buffer;
+    }
+
+    //
+    // Returns a typed array (Uint8Array) with the raw data.  This is a reference to the
+    // original, not a copy.
+    //
+    get rawData() { return this.rawBytes; }
+
+    //
+    // Replaces the raw data array.  The reference will be used directly, not copied.
+    //
+    // This should only be used for undo/redo operations.
+    //
+    set rawData(value) { this.rawBytes = value; }
+
+    //
+    // True if our signature is detected.
+    //
+    get hasSignature() {
+        for (let i = 0; i < StdHiRes.SIGNATURE.length; i++) {
+            if (this.rawBytes[DblHiRes.SIG_BYTE_OFFSET + i] != StdHiRes.SIGNATURE[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    //
+    // True if the mode byte is present and indicates that the image should be monochrome.
+    //
+    get preferMono() {
+        return this.hasSignature && this.rawBytes[DblHiRes.MODE_BYTE_OFFSET] == DblHiRes.MODE_MONO;
+    }
+
+    //
+    // Computes the buffer offset of the byte that holds the specified dot.
+    //
+    //  rowOffset: offset of the row, from StdHiRes.rowToOffset()
+    //  xc: dot column [0,559]
+    //  (returns): offset into rawBytes
+    //
+    static dotToOffset(rowOffset, xc) {
+        let byteCol = Math.trunc(xc / 7);
+        return ((byteCol & 0x01) ? DblHiRes.HALF_LEN : 0) + rowOffset + (byteCol >> 1);
+    }
+
+    //
+    // Reads a single dot.
+    //
+    //  rowOffset: offset of the row, from StdHiRes.rowToOffset()
+    //  xc: dot column [0,559]
+    //  (returns): 0 or 1
+    //
+    getDot(rowOffset, xc) {
+        return (this.rawBytes[DblHiRes.dotToOffset(rowOffset, xc)] >> (xc % 7)) & 0x01;
+    }
+
+    //
+    // Sets a single dot on or off.
+    //
+    //  rowOffset: offset of the row, from StdHiRes.rowToOffset()
+    //  xc: dot column [0,559]
+    //  bit: 0 or 1
+    //
+    putDot(rowOffset, xc, bit) {
+        let offset = DblHiRes.dotToOffset(rowOffset, xc);
+        let mask = 1 << (xc % 7);
+        if (bit) {
+            this.rawBytes[offset] |= mask;
+        } else {
+            this.rawBytes[offset] &= ~mask;
+        }
+    }
+
+    //
+    // Reads the color number of the cell that holds the specified dot.
+    //
+    //  rowOffset: offset of the row, from StdHiRes.rowToOffset()
+    //  xc: dot column [0,559]
+    //  (returns): color number [0,15]
+    //
+    getCellColor(rowOffset, xc) {
+        let left = xc & ~0x03;
+        return this.getDot(rowOffset, left) | (this.getDot(rowOffset, left + 1) << 1) |
+            (this.getDot(rowOffset, left + 2) << 2) | (this.getDot(rowOffset, left + 3) << 3);
+    }
+
+    //
+    // Renders the full image onto an ImageData object.
+    //
+    //  imageData: ImageData object, must be 560x192
+    //  asMono: true if we want to render as monochrome
+    //
+    renderFull(imageData, asMono) {
+        this.renderArea(imageData, asMono, 0, 0, DblHiRes.NUM_COLS, DblHiRes.NUM_ROWS);
+    }
+
+    //
+    // Renders an area into an ImageData object.  Use this to re-render a dirty area.
+    //
+    //  imageData: ImageData object, must be 560x192
+    //  asMono: true if we want to render as monochrome
+    //  left: leftmost column [0,559]
+    //  top: top row number [0,191]
+    //  width: number of columns [1,560]
+    //  height: number of rows [1,192]
+    //
+    renderArea(imageData, asMono, left, top, width, height) {
+        Debug.assert(DblHiRes.isValidScreenArea(left, top, width, height),
+            "invalid args to renderArea()");
+        this.drawMono = asMono;
+
+        // Update the mono/color mode byte now, since we don't get notified before saving.
+        // Don't touch files if our signature isn't present.
+        if (this.hasSignature) {
+            this.rawBytes[DblHiRes.MODE_BYTE_OFFSET] =
+                asMono ? DblHiRes.MODE_MONO : DblHiRes.MODE_COLOR;
+        }
+
+        if (!asMono) {
+            // Changing any dot affects the color of the entire cell, so expand the area to
+            // cover whole cells.
+            let right = ((left + width - 1) | 0x03) + 1;
+            left &= ~0x03;
+            width = right - left;
+        }
+        let rgbaData = imageData.data;
+        for (let row = top; row < top + height; row++) {
+            this.renderLine(rgbaData, row, left, width, asMono, undefined);
+        }
+    }
+
+    //
+    // Renders a section of one line.  In color mode, the left edge and width must be
+    // cell-aligned.
+    //
+    //  rgbaData: ImageData pixel storage (Uint8ClampedArray, RGBA order) (may be undefined)
+    //  row: row number [0,191]
+    //  left: leftmost column [0,559]
+    //  width: number of columns [1,560]
+    //  asMono: true if we want to render as monochrome
+    //  colorMap: map with one byte per dot (may be undefined)
+    //
+    renderLine(rgbaData, row, left, width, asMono, colorMap) {
+        let rgbaColors = DblHiRes.colorToRGBA;
+        let rowOffset = StdHiRes.rowToOffset(row);
+        if (asMono) {
+            for (let xc = left; xc < left + width; xc++) {
+                let colorIndex = this.getDot(rowOffset, xc) ? 15 : 0;     // white or black
+                if (rgbaData != undefined) {
+                    StdHiRes.setRGBAColor(rgbaData, xc, row, DblHiRes.NUM_COLS,
+                        rgbaColors[colorIndex]);
+                }
+                if (colorMap != undefined) {
+                    colorMap[row * DblHiRes.NUM_COLS + xc] = colorIndex;
+                }
+            }
+        } else {
+            Debug.assert((left & 0x03) == 0 && (width & 0x03) == 0, "not cell-aligned");
+            for (let xc = left; xc < left + width; xc += DblHiRes.DOTS_PER_CELL) {
+                let colorIndex = this.getCellColor(rowOffset, xc);
+                for (let i = 0; i < DblHiRes.DOTS_PER_CELL; i++) {
+                    if (rgbaData != undefined) {
+                        StdHiRes.setRGBAColor(rgbaData, xc + i, row, DblHiRes.NUM_COLS,
+                            rgbaColors[colorIndex]);
+                    }
+                    if (colorMap != undefined) {
+                        colorMap[row * DblHiRes.NUM_COLS + xc + i] = colorIndex;
+                    }
+                }
+            }
+        }
+    }
+
+    //
+    // Creates an ImageData filled with the specified pattern.  Each dot is two pixels wide,
+    // and each row is four pixels high, so the swatch has the same proportions as the screen.
+    //
+    //  width: desired image width, in pixels
+    //  height: desired image height, in pixels
+    //  pat: 8-entry color pattern
+    //  asMono: if true, render as monochrome
+    //  (returns): newly-created ImageData object
+    //
+    static renderSwatch(width, height, pat, asMono) {
+        Debug.assert(width > 0 && height > 0 && pat !== undefined &&
+            pat.length == DblHiRes.PATTERN_LEN,
+            `bad args: width=${width} height=${height} pat=${pat}`);
+        let imageData = new ImageData(width, height);
+        let rgbaData = imageData.data;
+        for (let row = 0; row < height; row++) {
+            let line = row >> 2;
+            for (let col = 0; col < width; col++) {
+                let dot = col >> 1;
+                let color = pat[((dot >> 2) & 0x03) | ((line & 0x01) << 2)];
+                if (asMono) {
+                    color = ((color >> (dot & 0x03)) & 0x01) ? 15 : 0;
+                }
+                StdHiRes.setRGBAColor(rgbaData, col, row, width, DblHiRes.colorToRGBA[color]);
+            }
+        }
+        return imageData;
+    }
+
+    //
+    // Gets the pattern color for the cell that holds the specified dot.
+    //
+    static getPatColor(xc, yc, pat) {
+        return pat[((xc >> 2) & 0x03) | ((yc & 0x01) << 2)];
+    }
+
+    //
+    // Sets a single dot according to the current color pattern, ignoring the draw mode.
+    //
+    //  x: X coordinate [0,559]
+    //  y: Y coordinate [0,191]
+    //  pat: color pattern
+    //
+    setDot(x, y, pat) {
+        let color = DblHiRes.getPatColor(x, y, pat);
+        this.putDot(StdHiRes.rowToOffset(y), x, (color >> (x & 0x03)) & 0x01);
+    }
+
+    //
+    // Sets a single pixel according to the current color pattern.  In color mode this sets
+    // all four dots in the cell.
+    //
+    //  x: X coordinate [0,559]
+    //  y: Y coordinate [0,191]
+    //  pat: color pattern
+    //
+    setPixel(x, y, pat) {
+        Debug.assert(x >= 0 && x < DblHiRes.NUM_COLS && y >= 0 && y < DblHiRes.NUM_ROWS &&
+            pat !== undefined && pat.length === DblHiRes.PATTERN_LEN,
+            `invalid args ${x} ${y} ${pat}`);
+        if (this.drawMono) {
+            this.setDot(x, y, pat);
+        } else {
+            let left = x & ~0x03;
+            for (let i = 0; i < DblHiRes.DOTS_PER_CELL; i++) {
+                this.setDot(left + i, y, pat);
+            }
+        }
+    }
+
+    //
+    // Sets the pixels in a horizontal segment.  In color mode, the ends are expanded to
+    // cover whole cells.
+    //
+    //  xc: coordinate of left edge
+    //  yc: row number
+    //  width: number of pixels to draw
+    //  pat: color pattern
+    //
+    plotHorizSegment(xc, yc, width, pat) {
+        Debug.assert(DblHiRes.isValidScreenArea(xc, yc, width, 1) &&
+            pat !== undefined && pat.length == DblHiRes.PATTERN_LEN);
+        let right = xc + width;
+        if (!this.drawMono) {
+            right = ((right - 1) | 0x03) + 1;
+            xc &= ~0x03;
+        }
+        for (let x = xc; x < right; x++) {
+            this.setDot(x, yc, pat);
+        }
+    }
+
+    //
+    // Generates a one-byte-per-dot linear color map.
+    //
+    // The map will be 560x192, with color values 0-15.  In color mode, all four dots in a cell
+    // hold the cell's color.
+    //
+    //  asMono: if true, generate a map with only black and white (0/15)
+    //  (returns): Uint8Array with color map
+    //
+    generateColorMap(asMono) {
+        let map = new Uint8Array(DblHiRes.NUM_COLS * DblHiRes.NUM_ROWS);
+        for (let row = 0; row < DblHiRes.NUM_ROWS; row++) {
+            this.renderLine(undefined, row, 0, DblHiRes.NUM_COLS, asMono, map);
+        }
+        return map;
+    }
+
+    //
+    // Replaces all instances of the specified color with a pattern.  This reads from the color
+    // map and writes to the raw image.
+    //
+    //  colorMap: linear color map of the image (Uint8Array)
+    //  color: color to replace (single-byte value)
+    //  pat: color pattern to draw
+    //
+    replaceColor(colorMap, color, pat) {
+        for (let row = 0; row < DblHiRes.NUM_ROWS; row++) {
+            let rowOffset = row * DblHiRes.NUM_COLS;
+            for (let col = 0; col < DblHiRes.NUM_COLS; col++) {
+                if (colorMap[rowOffset + col] == color) {
+                    this.setDot(col, row, pat);
+                }
+            }
+        }
+    }
+
+    //
+    // Generates a clipping from the specified rectangle.
+    //
+    // Double hi-res clippings hold one byte per dot, so byteStride is the same as width.
+    // The mask is 0xff for every dot included in the clipping.
+    //
+    //  left, top, width, height: rectangular area to clip
+    //  pixelMask: optional Uint8Array with one entry per dot in the area; dots with
+    //    zero entries are excluded from the clipping
+    //  (returns) new Clipping object
+    //
+    createClipping(left, top, width, height, pixelMask) {
+        Debug.assert(DblHiRes.isValidScreenArea(left, top, width, height));
+        let pixArray = new Uint8Array(width * height);
+        let maskArray = new Uint8Array(width * height).fill(0xff);
+        if (pixelMask !== undefined) {
+            for (let i = 0; i < maskArray.length; i++) {
+                if (pixelMask[i] == 0) {
+                    maskArray[i] = 0;
+                }
+            }
+        }
+        for (let row = 0; row < height; row++) {
+            let rowOffset = StdHiRes.rowToOffset(top + row);
+            for (let col = 0; col < width; col++) {
+                pixArray[row * width + col] = this.getDot(rowOffset, left + col);
+            }
+        }
+        return new Clipping(DblHiRes.FORMAT_NAME, width, height, width, 0, pixArray, maskArray);
+    }
+
+    //
+    // Extracts the pixels from a clipping.  Our clippings already hold one value per pixel,
+    // so this just copies the arrays.
+    //
+    //  (returns): [values, mask]; arrays with width*height entries
+    //
+    clippingToPixels(clipping) {
+        return [clipping.pixArray.slice(), clipping.maskArray.slice()];
+    }
+
+    //
+    // Creates a clipping from per-pixel values.  This is the inverse of clippingToPixels().
+    //
+    //  values: array of pixel values, width*height entries
+    //  mask: array with width*height entries; pixels with nonzero entries are included
+    //  width, height: clipping dimensions
+    //
+    pixelsToClipping(values, mask, width, height) {
+        let maskArray = Uint8Array.from(mask, (val) => (val != 0) ? 0xff : 0);
+        return new Clipping(DblHiRes.FORMAT_NAME, width, height, width, 0, Uint8Array.from(values),
+            maskArray);
+    }
+
+    //
+    // Extracts the colors from a clipping.  Each dot is given the color of the cell it's in,
+    // which depends on where the clipping is on the screen.  Dots in cells that extend past
+    // the edges of the clipping are treated as zero.
+    //
+    //  clipping: Clipping object
+    //  left: screen X coordinate of the left edge
+    //  (returns): [colors, mask]; arrays with width*height entries
+    //
+    clippingToColors(clipping, left) {
+        let width = clipping.width;
+        let [dots, mask] = this.clippingToPixels(clipping);
+        let colors = new Uint8Array(dots.length);
+        for (let row = 0; row < clipping.height; row++) {
+            for (let col = 0; col < width; col++) {
+                let cellStart = ((left + col) & ~0x03) - left;
+                let color = 0;
+                for (let i = 0; i < DblHiRes.DOTS_PER_CELL; i++) {
+                    if (cellStart + i >= 0 && cellStart + i < width) {
+                        color |= (dots[row * width + cellStart + i] & 0x01) << i;
+                    }
+                }
+                colors[row * width + col] = color;
+            }
+        }
+        return [colors, mask];
+    }
+
+    //
+    // Creates a clipping from per-dot colors.  This is the inverse of clippingToColors().
+    //
+    //  colors: array of color numbers, width*height entries
+    //  mask: array with width*height entries; dots with nonzero entries are included
+    //  width, height: clipping dimensions
+    //  left: screen X coordinate of the left edge
+    //
+    colorsToClipping(colors, mask, width, height, left) {
+        let dots = new Uint8Array(colors.length);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let offset = row * width + col;
+                dots[offset] = (colors[offset] >> ((left + col) & 0x03)) & 0x01;
+            }
+        }
+        return this.pixelsToClipping(dots, mask, width, height);
+    }
+
+    //
+    // Converts a 1bpp bitmap to a clipping, applying the color pattern to the set pixels.
+    // The mask is set to the bitmap's bits before the pattern is applied.
+    //
+    bitmapToClipping(bitmap, stride, width, pat) {
+        Debug.assert(bitmap.length > 0 && stride > 0 && width > 0);
+        Debug.assert(bitmap.length % stride == 0);
+        let height = bitmap.length / stride;
+        let pixArray = new Uint8Array(width * height);
+        let maskArray = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let srcBit = (bitmap[row * stride + (col >> 3)] << (col & 0x07)) & 0x80;
+                if (srcBit != 0) {
+                    let color = DblHiRes.getPatColor(col, row, pat);
+                    pixArray[row * width + col] = (color >> (col & 0x03)) & 0x01;
+                    maskArray[row * width + col] = 0xff;
+                }
+            }
+        }
+        return new Clipping(DblHiRes.FORMAT_NAME, width, height, width, 0, pixArray, maskArray);
+    }
+
+    //
+    // Copies a clipping onto the frame buffer.  The clipping may be partially or wholly
+    // offscreen.
+    //
+    //  clipping: Clipping object
+    //  xc, yc: top-left corner of pasted image (values may be negative)
+    //  xferMode: transfer mode
+    //
+    putClipping(clipping, xc, yc, xferMode) {
+        Debug.assert(Clipping.isValidXferMode(xferMode));
+        for (let row = 0; row < clipping.height; row++) {
+            let scrRow = row + yc;
+            if (scrRow < 0) {
+                continue;   // offscreen
+            } else if (scrRow >= DblHiRes.NUM_ROWS) {
+                break;
+            }
+            let rowOffset = StdHiRes.rowToOffset(scrRow);
+            for (let col = 0; col < clipping.width; col++) {
+                let scrCol = col + xc;
+                if (scrCol < 0) {
+                    continue;
+                } else if (scrCol >= DblHiRes.NUM_COLS) {
+                    break;
+                }
+                let srcOffset = row * clipping.byteStride + col;
+                if (clipping.maskArray[srcOffset] == 0) {
+                    continue;
+                }
+                let srcBit = clipping.pixArray[srcOffset] & 0x01;
+                switch (xferMode) {
+                    case Clipping.XFER_COPY:
+                        this.putDot(rowOffset, scrCol, srcBit);
+                        break;
+                    case Clipping.XFER_MERGE:
+                        if (srcBit) {
+                            this.putDot(rowOffset, scrCol, 1);
+                        }
+                        break;
+                    case Clipping.XFER_XOR:
+                        this.putDot(rowOffset, scrCol, this.getDot(rowOffset, scrCol) ^ srcBit);
+                        break;
+                    case Clipping.XFER_AND:
+                        this.putDot(rowOffset, scrCol, this.getDot(rowOffset, scrCol) & srcBit);
+                        break;
+                    case Clipping.XFER_NAND:
+                        this.putDot(rowOffset, scrCol,
+                            (this.getDot(rowOffset, scrCol) & srcBit) ^ 0x01);
+                        break;
+                    default:
+                        throw new Error("unhandled xferMode: " + xferMode);
+                }
+            }
+        }
+    }
+
+    //
+    // Determines whether the bounds are non-empty and fully within the screen dimensions.
+    //
+    //  (returns): true if all is well
+    //
+    static isValidScreenArea(left, top, width, height) {
+        return  left >= 0 && left < DblHiRes.NUM_COLS &&
+                top >= 0 && top < DblHiRes.NUM_ROWS &&
+                width > 0 && width + left <= DblHiRes.NUM_COLS &&
+                height > 0 && top + height <= DblHiRes.NUM_ROWS;
+    }
+
+
+    // ==============================================================================
+    // Color patterns
+    // ==============================================================================
+
+    //
+    // Returns an array of solid color patterns, one for each of the 16 colors.
+    //
+    static getSolidPatterns() {
+        let patarray = [];
+        for (let color = 0; color < 16; color++) {
+            patarray.push(new Uint8Array(DblHiRes.PATTERN_LEN).fill(color));
+        }
+        return patarray;
+    }
+
+    //
+    // Returns an array of dithered patterns.  These are simple checkerboards that blend
+    // every pair of colors.
+    //
+    static getDitherPatterns() {
+        let patarray = [];
+        for (let first = 0; first < 16; first++) {
+            for (let second = first + 1; second < 16; second++) {
+                patarray.push(new Uint8Array([first, second, first, second,
+                    second, first, second, first]));
+            }
+        }
+        return patarray;
+    }
+}
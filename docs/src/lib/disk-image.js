@@ -0,0 +1,252 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+Apple II disk image access.
+
+We support unadorned sector images (.do, .po, .dsk) and 2IMG (.2mg) files that hold sector
+data.  Nibble images aren't supported.
+
+A 5.25" disk has 35 tracks of 16 sectors.  DOS 3.3 addresses the disk by track and sector,
+while ProDOS addresses it as 512-byte blocks, each made of two sectors.  The mapping between
+the two is not simple, because ProDOS uses a different sector skew.  Disk image files store
+the sectors in either DOS order or ProDOS order, and ".dsk" files can be either, so we
+figure out the ordering by looking for a recognizable filesystem.  Larger disks, such as
+3.5" floppies and hard drive images, are always in ProDOS order.
+
+The filesystem-specific code is in Dos33Fs and ProDosFs.  This class just provides sector
+and block access.  Writes modify the in-memory copy of the disk image; the caller is
+responsible for saving the result to a file.
+*/
+
+import Dos33Fs from "./dos33-fs.js";
+import ProDosFs from "./prodos-fs.js";
+import Debug from "./debug.js";
+
+export default class DiskImage {
+    static SECTOR_SIZE = 256;
+    static BLOCK_SIZE = 512;
+    static SECTORS_PER_TRACK = 16;
+    static FLOPPY_525_LEN = 35 * 16 * 256;
+
+    // Sector orderings.
+    static DOS_ORDER = "dos";
+    static PRODOS_ORDER = "prodos";
+
+    // 2IMG header fields.
+    static TWO_IMG_SIGNATURE = "2IMG";
+    static TWO_IMG_HEADER_LEN = 64;
+    static TWO_IMG_FMT_DOS = 0;
+    static TWO_IMG_FMT_PRODOS = 1;
+
+    // DOS 3.3 logical sectors that hold the first and second halves of each block in a
+    // track, indexed by (block number % 8).
+    static BLOCK_TO_SECTOR = [
+        [0, 14], [13, 12], [11, 10], [9, 8], [7, 6], [5, 4], [3, 2], [1, 15]
+    ];
+
+    //
+    // Returns true if the filename has a disk image extension.
+    //
+    static isDiskImageName(name) {
+        return /\.(dsk|do|po|2mg)$/i.test(name);
+    }
+
+    //
+    // Constructor.  Parses the disk image and identifies the filesystem.
+    //
+    // Throws an exception if the disk image isn't usable.
+    //
+    //  name: filename
+    //  arrayBuffer: file contents
+    //
+    constructor(name, arrayBuffer) {
+        this.name = name;
+        this.fileBytes = new Uint8Array(arrayBuffer);
+
+        let order = undefined;
+        let dataOffset = 0;
+        let dataLength = this.fileBytes.length;
+        if (/\.2mg$/i.test(name)) {
+            if (dataLength < DiskImage.TWO_IMG_HEADER_LEN ||
+                    String.fromCharCode(...this.fileBytes.subarray(0, 4)) !=
+                        DiskImage.TWO_IMG_SIGNATURE) {
+                throw new Error("not a 2IMG file");
+            }
+            let view = new DataView(arrayBuffer);
+            let format = view.getUint32(12, true);
+            dataOffset = view.getUint32(24, true);
+            dataLength = view.getUint32(28, true);
+            if (format == DiskImage.TWO_IMG_FMT_DOS) {
+                order = DiskImage.DOS_ORDER;
+            } else if (format == DiskImage.TWO_IMG_FMT_PRODOS) {
+                order = DiskImage.PRODOS_ORDER;
+                if (dataLength == 0) {
+                    // Some programs leave this blank for ProDOS-ordered images.
+                    dataLength = view.getUint32(20, true) * DiskImage.BLOCK_SIZE;
+                }
+            } else {
+                throw new Error("nibble images are not supported");
+            }
+            if (dataOffset + dataLength > this.fileBytes.length) {
+                throw new Error("2IMG file is truncated");
+            }
+        } else if (/\.do$/i.test(name)) {
+            order = DiskImage.DOS_ORDER;
+        } else if (/\.po$/i.test(name)) {
+            order = DiskImage.PRODOS_ORDER;
+        }
+        if (dataLength == 0 || dataLength % DiskImage.BLOCK_SIZE != 0) {
+            throw new Error("unexpected disk image length");
+        }
+        // Sector data, as a view into the file contents.
+        this.data = this.fileBytes.subarray(dataOffset, dataOffset + dataLength);
+
+        // DOS ordering only makes sense for 5.25" disks.
+        if (this.data.length != DiskImage.FLOPPY_525_LEN) {
+            if (order == DiskImage.DOS_ORDER) {
+                throw new Error("DOS-ordered image has unexpected length");
+            }
+            order = DiskImage.PRODOS_ORDER;
+        }
+
+        // Try to find a filesystem.  If we don't know the sector order, try both, and keep
+        // whichever combination looks the most plausible.
+        let orders = (order === undefined) ?
+            [DiskImage.DOS_ORDER, DiskImage.PRODOS_ORDER] : [order];
+        let best = undefined;
+        for (let tryOrder of orders) {
+            this.order = tryOrder;
+            for (let fsClass of [Dos33Fs, ProDosFs]) {
+                let score = fsClass.probe(this);
+                if (score > 0 && (best === undefined || score > best.score)) {
+                    best = { score: score, order: tryOrder, fsClass: fsClass };
+                }
+            }
+        }
+        if (best === undefined) {
+            throw new Error("no DOS 3.3 or ProDOS filesystem found");
+        }
+        this.order = best.order;
+        this.fileSystem = new best.fsClass(this);
+        console.log(`opened disk image '${name}': ${this.fileSystem} order=${this.order}`);
+    }
+
+    toString() {
+        return `[DiskImage: name='${this.name}' fs=${this.fileSystem}]`;
+    }
+
+    //
+    // Number of 512-byte blocks in the disk image.
+    //
+    get numBlocks() {
+        return this.data.length / DiskImage.BLOCK_SIZE;
+    }
+
+    //
+    // Computes the offset of a DOS track/sector in the disk image data.
+    //
+    sectorOffset(track, sector) {
+        if (track < 0 || sector < 0 || sector >= DiskImage.SECTORS_PER_TRACK ||
+                (track * DiskImage.SECTORS_PER_TRACK + sector) * DiskImage.SECTOR_SIZE >=
+                    this.data.length) {
+            throw new Error(`invalid track/sector T${track} S${sector}`);
+        }
+        if (this.order == DiskImage.DOS_ORDER) {
+            return (track * DiskImage.SECTORS_PER_TRACK + sector) * DiskImage.SECTOR_SIZE;
+        }
+        // Find the block that holds the sector.
+        for (let i = 0; i < DiskImage.BLOCK_TO_SECTOR.length; i++) {
+            let half = DiskImage.BLOCK_TO_SECTOR[i].indexOf(sector);
+            if (half >= 0) {
+                return (track * 8 + i) * DiskImage.BLOCK_SIZE + half * DiskImage.SECTOR_SIZE;
+            }
+        }
+        throw new Error("unreachable");
+    }
+
+    //
+    // Reads a 256-byte sector, using DOS track/sector addressing.
+    //
+    //  (returns): Uint8Array with a copy of the sector data
+    //
+    readSector(track, sector) {
+        let offset = this.sectorOffset(track, sector);
+        return this.data.slice(offset, offset + DiskImage.SECTOR_SIZE);
+    }
+
+    //
+    // Reads a 512-byte ProDOS block.
+    //
+    //  (returns): Uint8Array with a copy of the block data
+    //
+    readBlock(block) {
+        if (block < 0 || block >= this.numBlocks) {
+            throw new Error("invalid block " + block);
+        }
+        if (this.order == DiskImage.PRODOS_ORDER) {
+            let offset = block * DiskImage.BLOCK_SIZE;
+            return this.data.slice(offset, offset + DiskImage.BLOCK_SIZE);
+        }
+        let track = block >> 3;
+        let [first, second] = DiskImage.BLOCK_TO_SECTOR[block & 0x07];
+        let buf = new Uint8Array(DiskImage.BLOCK_SIZE);
+        buf.set(this.readSector(track, first), 0);
+        buf.set(this.readSector(track, second), DiskImage.SECTOR_SIZE);
+        return buf;
+    }
+
+    //
+    // Writes a 256-byte sector, using DOS track/sector addressing.
+    //
+    //  data: Uint8Array with sector data; must be exactly one sector long
+    //
+    writeSector(track, sector, data) {
+        Debug.assert(data.length == DiskImage.SECTOR_SIZE, "bad sector data length");
+        this.data.set(data, this.sectorOffset(track, sector));
+    }
+
+    //
+    // Writes a 512-byte ProDOS block.
+    //
+    //  data: Uint8Array with block data; must be exactly one block long
+    //
+    writeBlock(block, data) {
+        Debug.assert(data.length == DiskImage.BLOCK_SIZE, "bad block data length");
+        if (block < 0 || block >= this.numBlocks) {
+            throw new Error("invalid block " + block);
+        }
+        if (this.order == DiskImage.PRODOS_ORDER) {
+            this.data.set(data, block * DiskImage.BLOCK_SIZE);
+            return;
+        }
+        let track = block >> 3;
+        let [first, second] = DiskImage.BLOCK_TO_SECTOR[block & 0x07];
+        this.writeSector(track, first, data.subarray(0, DiskImage.SECTOR_SIZE));
+        this.writeSector(track, second, data.subarray(DiskImage.SECTOR_SIZE));
+    }
+
+    //
+    // Returns the full contents of the disk image file, including any header, suitable for
+    // writing back to the filesystem.  Changes made with writeSector() and writeBlock() are
+    // included.
+    //
+    //  (returns): Uint8Array
+    //
+    getFileContents() {
+        return this.fileBytes;
+    }
+}
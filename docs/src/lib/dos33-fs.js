@@ -0,0 +1,435 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+DOS 3.3 filesystem.
+
+The Volume Table of Contents (VTOC) lives in track 17 sector 0.  It points to the first
+catalog sector, and the catalog sectors are linked together.  Each catalog sector holds 7
+file entries of 35 bytes:
+
+  +$00: track of first track/sector list sector ($00 = never used, $ff = deleted)
+  +$01: sector of first track/sector list sector
+  +$02: file type and flags (high bit = locked)
+  +$03: filename, 30 bytes, high-ASCII, padded with spaces
+  +$21: length of file in sectors, including T/S lists
+
+Track/sector lists are linked together, and hold up to 122 track/sector pairs for the file's
+data.  Binary ('B') files start with a 4-byte header that holds the load address and length.
+
+The VTOC also holds the free-sector bitmap, 4 bytes per track starting at +$38.  The first
+byte has sectors 15-8, the second has sectors 7-0, with the high bit holding the highest
+sector number.  A set bit means the sector is free.
+
+Catalog entries returned by getCatalog() have these fields:
+  name: filename, as a string
+  fileType: file type byte, with the locked flag removed
+  typeName: file type as a string, e.g. "B"
+  auxType: load address for 'B' files, zero for everything else
+  length: file length in bytes; for 'B' files this is from the header, otherwise it's the
+    number of sectors times 256
+  locked: true if the file is locked
+*/
+
+export default class Dos33Fs {
+    static VTOC_TRACK = 17;
+    static VTOC_SECTOR = 0;
+    static NUM_TRACKS = 35;
+    static SECTORS_PER_TRACK = 16;
+    static CATALOG_ENTRY_START = 0x0b;
+    static CATALOG_ENTRY_LEN = 35;
+    static CATALOG_ENTRIES_PER_SECTOR = 7;
+    static TS_LIST_START = 0x0c;
+    static TS_PAIRS_PER_SECTOR = 122;
+    static FILENAME_LEN = 30;
+    static BINARY_HEADER_LEN = 4;
+    static BITMAP_START = 0x38;
+    static MAX_BINARY_LEN = 0xffff;
+
+    // Limit on the length of sector chains, to avoid infinite loops on damaged disks.
+    static MAX_CHAIN = Dos33Fs.NUM_TRACKS * Dos33Fs.SECTORS_PER_TRACK;
+
+    static TYPE_BINARY = 0x04;
+    static TYPE_NAMES = new Map([
+        [0x00, "T"], [0x01, "I"], [0x02, "A"], [0x04, "B"],
+        [0x08, "S"], [0x10, "R"], [0x20, "a"], [0x40, "b"]
+    ]);
+
+    //
+    // Checks to see if the disk image appears to hold a DOS 3.3 filesystem.
+    //
+    // The VTOC is in the same place in DOS-ordered and ProDOS-ordered images, so we also
+    // walk the catalog.  Catalog sectors are usually laid out in descending order on track
+    // 17; each one found that way counts toward the score, which lets the caller figure out
+    // which sector ordering is correct.
+    //
+    //  disk: DiskImage object
+    //  (returns): score, zero if this is not DOS 3.3
+    //
+    static probe(disk) {
+        if (disk.numBlocks != 280) {
+            return 0;
+        }
+        let vtoc = disk.readSector(Dos33Fs.VTOC_TRACK, Dos33Fs.VTOC_SECTOR);
+        if (vtoc[0x01] == 0 || vtoc[0x01] >= Dos33Fs.NUM_TRACKS ||
+                vtoc[0x02] >= Dos33Fs.SECTORS_PER_TRACK ||
+                vtoc[0x27] != Dos33Fs.TS_PAIRS_PER_SECTOR ||
+                vtoc[0x34] != Dos33Fs.NUM_TRACKS ||
+                vtoc[0x35] != Dos33Fs.SECTORS_PER_TRACK) {
+            return 0;
+        }
+        let score = 1;
+        let track = vtoc[0x01];
+        let sector = vtoc[0x02];
+        while (track == Dos33Fs.VTOC_TRACK && sector != 0) {
+            let catSector = disk.readSector(track, sector);
+            if (catSector[0x01] != track || catSector[0x02] != sector - 1) {
+                break;
+            }
+            score++;
+            sector--;
+        }
+        return score;
+    }
+
+    constructor(disk) {
+        this.disk = disk;
+        let vtoc = disk.readSector(Dos33Fs.VTOC_TRACK, Dos33Fs.VTOC_SECTOR);
+        this.volumeNum = vtoc[0x06];
+    }
+
+    toString() { return `DOS 3.3 volume ${this.volumeNum}`; }
+
+    //
+    // Reads the catalog.
+    //
+    //  (returns): array of catalog entry objects
+    //
+    getCatalog() {
+        let entries = [];
+        let vtoc = this.disk.readSector(Dos33Fs.VTOC_TRACK, Dos33Fs.VTOC_SECTOR);
+        let track = vtoc[0x01];
+        let sector = vtoc[0x02];
+        for (let count = 0; track != 0 && count < Dos33Fs.MAX_CHAIN; count++) {
+            let catSector = this.disk.readSector(track, sector);
+            for (let i = 0; i < Dos33Fs.CATALOG_ENTRIES_PER_SECTOR; i++) {
+                let offset = Dos33Fs.CATALOG_ENTRY_START + i * Dos33Fs.CATALOG_ENTRY_LEN;
+                let tsTrack = catSector[offset];
+                if (tsTrack == 0x00) {
+                    return entries;     // never used; this is the end of the catalog
+                } else if (tsTrack == 0xff) {
+                    continue;           // deleted
+                }
+                try {
+                    let entry = this.parseEntry(catSector, offset);
+                    entry.catTrack = track;
+                    entry.catSector = sector;
+                    entry.catOffset = offset;
+                    entries.push(entry);
+                } catch (error) {
+                    console.log("skipping bad catalog entry: " + error);
+                }
+            }
+            track = catSector[0x01];
+            sector = catSector[0x02];
+        }
+        return entries;
+    }
+
+    //
+    // Parses a catalog entry.
+    //
+    parseEntry(catSector, offset) {
+        let entry = {
+            name: "",
+            fileType: catSector[offset + 0x02] & 0x7f,
+            typeName: "",
+            auxType: 0,
+            length: 0,
+            locked: (catSector[offset + 0x02] & 0x80) != 0,
+            tsTrack: catSector[offset + 0x00],
+            tsSector: catSector[offset + 0x01],
+        };
+        let nameBytes = catSector.subarray(offset + 0x03, offset + 0x03 + Dos33Fs.FILENAME_LEN);
+        entry.name = String.fromCharCode(...nameBytes.map((ch) => ch & 0x7f)).trimEnd();
+        entry.typeName = Dos33Fs.TYPE_NAMES.get(entry.fileType) ??
+            "$" + entry.fileType.toString(16).padStart(2, "0");
+
+        let sectorCount = catSector[offset + 0x21] | (catSector[offset + 0x22] << 8);
+        if (entry.fileType == Dos33Fs.TYPE_BINARY) {
+            // Get the load address and length from the first data sector.
+            let sectors = this.getDataSectors(entry, 1);
+            if (sectors.length == 0) {
+                throw new Error("binary file has no data: " + entry.name);
+            }
+            let first = this.disk.readSector(...sectors[0]);
+            entry.auxType = first[0] | (first[1] << 8);
+            entry.length = first[2] | (first[3] << 8);
+        } else {
+            entry.length = sectorCount * 256;
+        }
+        return entry;
+    }
+
+    //
+    // Gets the list of data sectors from the file's track/sector lists.  The list ends at
+    // the first unused entry.
+    //
+    //  entry: catalog entry
+    //  maxCount: stop after this many sectors
+    //  (returns): array of [track, sector] pairs
+    //
+    getDataSectors(entry, maxCount) {
+        let result = [];
+        let track = entry.tsTrack;
+        let sector = entry.tsSector;
+        for (let count = 0; track != 0 && count < Dos33Fs.MAX_CHAIN; count++) {
+            let tsList = this.disk.readSector(track, sector);
+            for (let i = 0; i < Dos33Fs.TS_PAIRS_PER_SECTOR; i++) {
+                let dataTrack = tsList[Dos33Fs.TS_LIST_START + i * 2];
+                let dataSector = tsList[Dos33Fs.TS_LIST_START + i * 2 + 1];
+                if (dataTrack == 0 || result.length == maxCount) {
+                    return result;
+                }
+                result.push([dataTrack, dataSector]);
+            }
+            track = tsList[0x01];
+            sector = tsList[0x02];
+        }
+        return result;
+    }
+
+    //
+    // Reads the contents of a file.  For binary files, the 4-byte header is stripped off.
+    //
+    //  entry: catalog entry
+    //  (returns): ArrayBuffer with file contents
+    //
+    readFile(entry) {
+        let length = entry.length;
+        let skip = 0;
+        if (entry.fileType == Dos33Fs.TYPE_BINARY) {
+            skip = Dos33Fs.BINARY_HEADER_LEN;
+        }
+        let sectors = this.getDataSectors(entry, Math.ceil((length + skip) / 256));
+        let buf = new Uint8Array(sectors.length * 256);
+        for (let i = 0; i < sectors.length; i++) {
+            buf.set(this.disk.readSector(...sectors[i]), i * 256);
+        }
+        if (buf.length < skip + length) {
+            throw new Error(`file '${entry.name}' is truncated`);
+        }
+        return buf.slice(skip, skip + length).buffer;
+    }
+
+    //
+    // Converts a filename to a form acceptable to DOS 3.3.  Throws an exception if that's
+    // not possible.
+    //
+    static normalizeName(name) {
+        let upper = name.trim().toUpperCase();
+        if (!/^[A-Z][\x20-\x2b\x2d-\x7e]*$/.test(upper) ||
+                upper.length > Dos33Fs.FILENAME_LEN) {
+            throw new Error(`'${name}' is not a valid DOS 3.3 filename`);
+        }
+        return upper;
+    }
+
+    //
+    // Writes a binary file.  If a binary file with the same name exists, it's replaced.
+    // Nothing on the disk is modified if the operation fails.
+    //
+    //  name: filename; will be converted to upper case
+    //  fileType: ProDOS file type; ignored, since files are always written as type 'B'
+    //  auxType: load address
+    //  data: Uint8Array with file contents
+    //
+    writeFile(name, fileType, auxType, data) {
+        name = Dos33Fs.normalizeName(name);
+        if (data.length > Dos33Fs.MAX_BINARY_LEN) {
+            throw new Error("file is too large");
+        }
+        let existing = this.getCatalog().find((entry) => entry.name == name);
+        let slot;
+        if (existing !== undefined) {
+            if (existing.locked) {
+                throw new Error(`'${name}' is locked`);
+            } else if (existing.fileType != Dos33Fs.TYPE_BINARY) {
+                throw new Error(`'${name}' exists and is not a binary file`);
+            }
+            slot = [existing.catTrack, existing.catSector, existing.catOffset];
+        } else {
+            slot = this.findFreeSlot();
+            if (slot === undefined) {
+                throw new Error("catalog is full");
+            }
+        }
+
+        // Release the old file's sectors, then allocate space for the new one.  The VTOC
+        // is only modified in memory until everything is ready.
+        let vtoc = this.disk.readSector(Dos33Fs.VTOC_TRACK, Dos33Fs.VTOC_SECTOR);
+        if (existing !== undefined) {
+            for (let [track, sector] of this.getFileSectors(existing)) {
+                Dos33Fs.setSectorFree(vtoc, track, sector, true);
+            }
+        }
+        let fileData = new Uint8Array(
+            Math.ceil((data.length + Dos33Fs.BINARY_HEADER_LEN) / 256) * 256);
+        fileData[0] = auxType & 0xff;
+        fileData[1] = auxType >> 8;
+        fileData[2] = data.length & 0xff;
+        fileData[3] = data.length >> 8;
+        fileData.set(data, Dos33Fs.BINARY_HEADER_LEN);
+        let numData = fileData.length / 256;
+        let numLists = Math.max(1, Math.ceil(numData / Dos33Fs.TS_PAIRS_PER_SECTOR));
+        let allocated = Dos33Fs.allocSectors(vtoc, numLists + numData);
+        let listSectors = allocated.slice(0, numLists);
+        let dataSectors = allocated.slice(numLists);
+
+        // Write the data and the track/sector lists.
+        for (let i = 0; i < numData; i++) {
+            this.disk.writeSector(...dataSectors[i], fileData.subarray(i * 256, (i + 1) * 256));
+        }
+        for (let i = 0; i < numLists; i++) {
+            let tsList = new Uint8Array(256);
+            if (i < numLists - 1) {
+                [tsList[0x01], tsList[0x02]] = listSectors[i + 1];
+            }
+            let firstIndex = i * Dos33Fs.TS_PAIRS_PER_SECTOR;
+            tsList[0x05] = firstIndex & 0xff;
+            tsList[0x06] = firstIndex >> 8;
+            let pairs = dataSectors.slice(firstIndex, firstIndex + Dos33Fs.TS_PAIRS_PER_SECTOR);
+            for (let j = 0; j < pairs.length; j++) {
+                [tsList[Dos33Fs.TS_LIST_START + j * 2], tsList[Dos33Fs.TS_LIST_START + j * 2 + 1]] =
+                    pairs[j];
+            }
+            this.disk.writeSector(...listSectors[i], tsList);
+        }
+
+        // Update the catalog entry and the VTOC.
+        let [catTrack, catSector, offset] = slot;
+        let catData = this.disk.readSector(catTrack, catSector);
+        [catData[offset + 0x00], catData[offset + 0x01]] = listSectors[0];
+        catData[offset + 0x02] = Dos33Fs.TYPE_BINARY;
+        for (let i = 0; i < Dos33Fs.FILENAME_LEN; i++) {
+            catData[offset + 0x03 + i] = (i < name.length ? name.charCodeAt(i) : 0x20) | 0x80;
+        }
+        let sectorCount = numLists + numData;
+        catData[offset + 0x21] = sectorCount & 0xff;
+        catData[offset + 0x22] = sectorCount >> 8;
+        this.disk.writeSector(catTrack, catSector, catData);
+        this.disk.writeSector(Dos33Fs.VTOC_TRACK, Dos33Fs.VTOC_SECTOR, vtoc);
+        console.log(`wrote '${name}' (${data.length} bytes, ${sectorCount} sectors)`);
+    }
+
+    //
+    // Finds an unused catalog entry.
+    //
+    //  (returns): [track, sector, offset] of entry, or undefined if the catalog is full
+    //
+    findFreeSlot() {
+        let vtoc = this.disk.readSector(Dos33Fs.VTOC_TRACK, Dos33Fs.VTOC_SECTOR);
+        let track = vtoc[0x01];
+        let sector = vtoc[0x02];
+        for (let count = 0; track != 0 && count < Dos33Fs.MAX_CHAIN; count++) {
+            let catSector = this.disk.readSector(track, sector);
+            for (let i = 0; i < Dos33Fs.CATALOG_ENTRIES_PER_SECTOR; i++) {
+                let offset = Dos33Fs.CATALOG_ENTRY_START + i * Dos33Fs.CATALOG_ENTRY_LEN;
+                if (catSector[offset] == 0x00 || catSector[offset] == 0xff) {
+                    return [track, sector, offset];
+                }
+            }
+            track = catSector[0x01];
+            sector = catSector[0x02];
+        }
+        return undefined;
+    }
+
+    //
+    // Gets all sectors used by a file, including the track/sector lists.
+    //
+    //  (returns): array of [track, sector] pairs
+    //
+    getFileSectors(entry) {
+        let result = [];
+        let track = entry.tsTrack;
+        let sector = entry.tsSector;
+        for (let count = 0; track != 0 && count < Dos33Fs.MAX_CHAIN; count++) {
+            result.push([track, sector]);
+            let tsList = this.disk.readSector(track, sector);
+            for (let i = 0; i < Dos33Fs.TS_PAIRS_PER_SECTOR; i++) {
+                let dataTrack = tsList[Dos33Fs.TS_LIST_START + i * 2];
+                if (dataTrack != 0) {
+                    result.push([dataTrack, tsList[Dos33Fs.TS_LIST_START + i * 2 + 1]]);
+                }
+            }
+            track = tsList[0x01];
+            sector = tsList[0x02];
+        }
+        return result;
+    }
+
+    //
+    // Computes the VTOC bitmap byte offset and bit mask for a sector.
+    //
+    static bitmapPosn(track, sector) {
+        let offset = Dos33Fs.BITMAP_START + track * 4 + (sector < 8 ? 1 : 0);
+        return [offset, 1 << (sector & 0x07)];
+    }
+
+    static isSectorFree(vtoc, track, sector) {
+        let [offset, mask] = Dos33Fs.bitmapPosn(track, sector);
+        return (vtoc[offset] & mask) != 0;
+    }
+
+    static setSectorFree(vtoc, track, sector, isFree) {
+        let [offset, mask] = Dos33Fs.bitmapPosn(track, sector);
+        if (isFree) {
+            vtoc[offset] |= mask;
+        } else {
+            vtoc[offset] &= ~mask;
+        }
+    }
+
+    //
+    // Allocates sectors, marking them as in-use in the VTOC.  Like DOS, we start near the
+    // catalog track and work outward.  Track 0 and the catalog track are never used.
+    //
+    //  vtoc: VTOC sector data; will be modified
+    //  count: number of sectors needed
+    //  (returns): array of [track, sector] pairs
+    //
+    static allocSectors(vtoc, count) {
+        let result = [];
+        for (let dist = 1; dist < Dos33Fs.NUM_TRACKS && result.length < count; dist++) {
+            for (let track of [Dos33Fs.VTOC_TRACK + dist, Dos33Fs.VTOC_TRACK - dist]) {
+                if (track <= 0 || track >= Dos33Fs.NUM_TRACKS) {
+                    continue;
+                }
+                for (let sector = Dos33Fs.SECTORS_PER_TRACK - 1; sector >= 0; sector--) {
+                    if (result.length < count && Dos33Fs.isSectorFree(vtoc, track, sector)) {
+                        Dos33Fs.setSectorFree(vtoc, track, sector, false);
+                        result.push([track, sector]);
+                    }
+                }
+            }
+        }
+        if (result.length < count) {
+            throw new Error("disk is full");
+        }
+        return result;
+    }
+}
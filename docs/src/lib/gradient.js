@@ -0,0 +1,164 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Debug from "./debug.js";
+
+//
+// Dithered gradient fill.  We can't blend colors, so we move from the start pattern to the
+// end pattern with an ordered (Bayer) dither: each pixel is drawn with one pattern or the
+// other, depending on how far it is along the gradient and its position in the dither
+// matrix.  Because the patterns themselves are aligned to the screen, the result works
+// with solid colors and dither patterns alike, in any image format.
+//
+// Intermediate patterns may be provided as additional steps, e.g. the Graphics Magician
+// patterns on the hi-res screen.  The dither then mixes each step with the next one.
+//
+// The gradient is stretched to fit the bounds of the area being filled.  A gradient is
+// created without bounds, and bind() is used to produce a copy for a specific area.
+//
+// Instances are immutable.
+//
+export default class Gradient {
+    static TYPE_LINEAR = "linear";
+    static TYPE_RADIAL = "radial";
+
+    // 4x4 Bayer threshold matrix, giving 17 distinct steps.
+    static BAYER_DIM = 4;
+    static BAYER = [
+         0,  8,  2, 10,
+        12,  4, 14,  6,
+         3, 11,  1,  9,
+        15,  7, 13,  5
+    ];
+
+    //
+    // Constructor.
+    //
+    //  type: TYPE_LINEAR or TYPE_RADIAL
+    //  angle: direction of a linear gradient, in degrees counter-clockwise from "left to
+    //    right"; ignored for radial
+    //  startPat, endPat: color patterns at the start and end of the gradient
+    //  rect: bounds of the filled area (Rect); may be undefined if not yet bound
+    //  cellWidth: width of a dither cell, in pixels; all pixels in a cell are drawn with
+    //    the same pattern
+    //  steps: intermediate patterns, as an array of { pat, pos } objects sorted by position,
+    //    with pos in (0,1); may be undefined
+    //
+    constructor(type, angle, startPat, endPat, rect, cellWidth, steps) {
+        Debug.assert(type == Gradient.TYPE_LINEAR || type == Gradient.TYPE_RADIAL,
+            "bad gradient type " + type);
+        this.type = type;
+        this.angle = angle;
+        this.startPat = startPat;
+        this.endPat = endPat;
+        this.rect = rect;
+        this.cellWidth = (cellWidth === undefined) ? 1 : cellWidth;
+        this.steps = (steps === undefined) ? [] : steps;
+        this.stops = [{ pat: startPat, pos: 0 }, ...this.steps, { pat: endPat, pos: 1 }];
+    }
+
+    toString() {
+        return `[Gradient ${this.type} angle=${this.angle} rect=${this.rect}]`;
+    }
+
+    //
+    // Returns a copy of the gradient, stretched to fit the specified area.
+    //
+    //  rect: bounds of the filled area
+    //  cellWidth: width of a dither cell, in pixels
+    //  steps: intermediate patterns; may be undefined
+    //
+    bind(rect, cellWidth, steps) {
+        return new Gradient(this.type, this.angle, this.startPat, this.endPat, rect,
+            cellWidth, steps);
+    }
+
+    //
+    // Computes the position of a point along the gradient.
+    //
+    //  xc, yc: pixel coordinates
+    //  (returns): position, [0,1]
+    //
+    getPosition(xc, yc) {
+        let rect = this.rect;
+        // Work in coordinates normalized to the bounds, centered at zero, so the gradient
+        // spans the area regardless of its proportions.
+        let nx = (rect.width > 1) ? (xc - rect.left) / (rect.width - 1) - 0.5 : 0;
+        let ny = (rect.height > 1) ? (yc - rect.top) / (rect.height - 1) - 0.5 : 0;
+        let pos;
+        if (this.type == Gradient.TYPE_RADIAL) {
+            // Reaches the end color at the edge of the inscribed ellipse.
+            pos = Math.sqrt(nx * nx + ny * ny) * 2;
+        } else {
+            // Project onto the direction vector.  Y increases downward, so flip the sign
+            // to make angles counter-clockwise.
+            let rad = this.angle * Math.PI / 180;
+            let dirX = Math.cos(rad);
+            let dirY = -Math.sin(rad);
+            let extent = (Math.abs(dirX) + Math.abs(dirY)) / 2;     // projection of corner
+            pos = (nx * dirX + ny * dirY) / (extent * 2) + 0.5;
+        }
+        return Math.max(0, Math.min(pos, 1));
+    }
+
+    //
+    // Returns the pattern to use for the specified pixel.
+    //
+    getPattern(xc, yc) {
+        // Find the position at the center of the dither cell, so that every pixel in the
+        // cell gets the same pattern.
+        let cellIndex = Math.trunc(xc / this.cellWidth);
+        let pos = this.getPosition(cellIndex * this.cellWidth + (this.cellWidth - 1) / 2, yc);
+
+        // Find the pair of steps that the position falls between.
+        let stops = this.stops;
+        let next = 1;
+        while (next < stops.length - 1 && pos > stops[next].pos) {
+            next++;
+        }
+        let prev = next - 1;
+        let frac = (pos - stops[prev].pos) / (stops[next].pos - stops[prev].pos);
+
+        let cellX = cellIndex % Gradient.BAYER_DIM;
+        let cellY = yc % Gradient.BAYER_DIM;
+        let threshold = (Gradient.BAYER[cellY * Gradient.BAYER_DIM + cellX] + 0.5) /
+            (Gradient.BAYER.length);
+        return (frac > threshold) ? stops[next].pat : stops[prev].pat;
+    }
+
+    //
+    // Fills a horizontal segment.  Adjacent pixels that use the same pattern are drawn
+    // together.
+    //
+    //  rawImage: raw image object, e.g. StdHiRes
+    //  xc: coordinate of left edge
+    //  yc: row number
+    //  width: number of pixels to draw
+    //
+    plotSpan(rawImage, xc, yc, width) {
+        Debug.assert(this.rect !== undefined, "gradient not bound");
+        let runStart = xc;
+        let runPat = this.getPattern(xc, yc);
+        for (let xx = xc + 1; xx <= xc + width; xx++) {
+            let pat = (xx < xc + width) ? this.getPattern(xx, yc) : undefined;
+            if (pat !== runPat) {
+                rawImage.plotHorizSegment(runStart, yc, xx - runStart, runPat);
+                runStart = xx;
+                runPat = pat;
+            }
+        }
+    }
+}
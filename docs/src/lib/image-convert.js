@@ -0,0 +1,257 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+Conversion of ordinary raster images (PNG, JPEG, GIF) to Apple II hi-res.
+
+The conversion happens in two steps.  First, the source image is scaled and cropped to
+280x192, producing an RGBA ImageData.  Second, the pixels are converted to hi-res bits.
+
+Hi-res has two constraints that make this harder than a simple palette reduction.  Each byte
+holds 7 pixels and a "palette" bit, so all 7 pixels must choose from either black/purple/
+green/white or black/blue/orange/white.  Also, the color of a pixel depends on its neighbors:
+a lone set bit is colored, two adjacent set bits are white.  We handle this by converting one
+byte at a time.  For each byte we try both values of the palette bit, choosing each pixel
+greedily based on the color it would produce given the pixel to its left, and keep whichever
+byte has the lower total error.  Since we don't know the value of the pixel to the right yet,
+we optimistically assume it'll be whatever produces the best color.  This is a simple
+approximation, but it does a reasonable job.
+
+Error-diffusion dithering uses Floyd-Steinberg.  Ordered dithering uses a 4x4 Bayer matrix.
+*/
+
+import StdHiRes from "./std-hi-res.js";
+import Debug from "./debug.js";
+
+export default class ImageConvert {
+    // Scaling modes.
+    static SCALE_FIT = "fit";           // scale to fit, preserving aspect ratio; letterbox
+    static SCALE_FILL = "fill";         // scale to fill, preserving aspect ratio; crop
+    static SCALE_STRETCH = "stretch";   // scale to fill, ignoring aspect ratio
+
+    // Dithering modes.
+    static DITHER_DIFFUSION = "diffusion";
+    static DITHER_ORDERED = "ordered";
+    static DITHER_NONE = "none";
+
+    // 4x4 Bayer threshold matrix.
+    static BAYER4 = [
+         0,  8,  2, 10,
+        12,  4, 14,  6,
+         3, 11,  1,  9,
+        15,  7, 13,  5
+    ];
+    // Amplitude of the ordered dither offset, in 8-bit color units.
+    static ORDERED_SPREAD = 96;
+
+    // Hi-res colors [0,7] as [R, G, B].
+    static HGR_RGB = ImageConvert.makeRGBTable();
+
+    //
+    // Generates the [R, G, B] table from the hi-res color table.
+    //
+    static makeRGBTable() {
+        return StdHiRes.colorToRGBA.map((color) =>
+            [(color >>> 24) & 0xff, (color >> 16) & 0xff, (color >> 8) & 0xff]);
+    }
+
+    //
+    // Regenerates the color table after the display palette has changed.  Must be called
+    // after StdHiRes.updatePalette().
+    //
+    static updatePalette() {
+        ImageConvert.HGR_RGB = ImageConvert.makeRGBTable();
+    }
+
+    //
+    // Returns true if the file appears to be an image that the browser can decode.
+    //
+    //  file: File object
+    //
+    static isImageFile(file) {
+        if (file.type == "image/png" || file.type == "image/jpeg" || file.type == "image/gif") {
+            return true;
+        }
+        return /\.(png|jpe?g|gif)$/i.test(file.name);
+    }
+
+    //
+    // Draws an image onto a canvas of the specified size, and returns the pixels.  Areas
+    // not covered by the image are black.
+    //
+    //  source: ImageBitmap (or anything else drawImage() accepts)
+    //  width, height: desired output size
+    //  scaleMode: one of the SCALE_* constants
+    //  (returns): ImageData
+    //
+    static scaleImage(source, width, height, scaleMode) {
+        let canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        let ctx = canvas.getContext("2d", { willReadFrequently: true });
+        ctx.fillStyle = "black";
+        ctx.fillRect(0, 0, width, height);
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = "high";
+
+        let srcWidth = source.width;
+        let srcHeight = source.height;
+        switch (scaleMode) {
+            case ImageConvert.SCALE_STRETCH:
+                ctx.drawImage(source, 0, 0, width, height);
+                break;
+            case ImageConvert.SCALE_FIT:
+            case ImageConvert.SCALE_FILL: {
+                let xmult = width / srcWidth;
+                let ymult = height / srcHeight;
+                let mult = (scaleMode == ImageConvert.SCALE_FIT) ?
+                    Math.min(xmult, ymult) : Math.max(xmult, ymult);
+                let dstWidth = srcWidth * mult;
+                let dstHeight = srcHeight * mult;
+                // Center the image.  For "fill" this crops equal amounts from both sides.
+                ctx.drawImage(source, (width - dstWidth) / 2, (height - dstHeight) / 2,
+                    dstWidth, dstHeight);
+                break;
+            }
+            default:
+                throw new Error("unknown scale mode: " + scaleMode);
+        }
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    //
+    // Converts a 280x192 RGBA image to hi-res.
+    //
+    //  imageData: ImageData object, must be 280x192
+    //  ditherMode: one of the DITHER_* constants
+    //  (returns): ArrayBuffer with hi-res data, suitable for passing to StdHiRes
+    //
+    static toStdHiRes(imageData, ditherMode) {
+        Debug.assert(imageData.width == StdHiRes.NUM_COLS &&
+            imageData.height == StdHiRes.NUM_ROWS, "bad image dimensions");
+        const width = StdHiRes.NUM_COLS;
+        const diffuse = (ditherMode == ImageConvert.DITHER_DIFFUSION);
+        // Start with a blank image, so the screen holes get our usual signature.
+        let rawBytes = new StdHiRes(undefined).rawData;
+        let rgba = imageData.data;
+
+        // Error accumulators for the current and next rows.  Entries are [R,G,B] for each
+        // column, with one extra column on each side so we don't have to check the edges.
+        let curErr = new Float32Array((width + 2) * 3);
+        let nextErr = new Float32Array((width + 2) * 3);
+
+        for (let row = 0; row < StdHiRes.NUM_ROWS; row++) {
+            let rowOffset = StdHiRes.rowToOffset(row);
+            let prevBit = 0;
+            for (let byteCol = 0; byteCol < StdHiRes.NUM_COL_BYTES; byteCol++) {
+                // Try both palettes, and keep the one with less error.
+                let best = undefined;
+                for (let hiBit = 0; hiBit <= 1; hiBit++) {
+                    let trial = {
+                        curErr: diffuse ? curErr.slice() : curErr,
+                        nextErr: diffuse ? nextErr.slice() : nextErr,
+                        prevBit: prevBit,
+                        byteVal: hiBit << 7,
+                        total: 0
+                    };
+                    ImageConvert.convertByte(rgba, row, byteCol, hiBit, ditherMode, trial);
+                    if (best === undefined || trial.total < best.total) {
+                        best = trial;
+                    }
+                }
+                rawBytes[rowOffset + byteCol] = best.byteVal;
+                prevBit = best.prevBit;
+                curErr = best.curErr;
+                nextErr = best.nextErr;
+            }
+            // Advance the error rows.
+            curErr = nextErr;
+            nextErr = new Float32Array((width + 2) * 3);
+        }
+        return rawBytes.buffer;
+    }
+
+    //
+    // Converts the 7 pixels for one byte, using the specified palette bit.  The trial object
+    // is updated with the results.
+    //
+    static convertByte(rgba, row, byteCol, hiBit, ditherMode, trial) {
+        const width = StdHiRes.NUM_COLS;
+        const hiAdj = hiBit << 2;
+        for (let bit = 0; bit < 7; bit++) {
+            let col = byteCol * 7 + bit;
+            let srcOffset = (row * width + col) * 4;
+            let errOffset = (col + 1) * 3;
+
+            // Compute the color we want.
+            let target = [0, 0, 0];
+            for (let i = 0; i < 3; i++) {
+                let val = rgba[srcOffset + i];
+                if (ditherMode == ImageConvert.DITHER_DIFFUSION) {
+                    val += trial.curErr[errOffset + i];
+                } else if (ditherMode == ImageConvert.DITHER_ORDERED) {
+                    let threshold = ImageConvert.BAYER4[(col & 0x03) | ((row & 0x03) << 2)];
+                    val += (threshold / 16 - 0.5) * ImageConvert.ORDERED_SPREAD;
+                }
+                target[i] = Math.min(Math.max(val, 0), 255);
+            }
+
+            // Evaluate the colors we'd get with the bit clear and set.  We don't know what
+            // the next bit will be, so we try both, and assume it'll be whichever is better.
+            let oddAdj = (col & 0x01) << 3;
+            let bestBit = 0;
+            let bestDist = -1;
+            let bestColor = undefined;
+            for (let curBit = 0; curBit <= 1; curBit++) {
+                for (let nextBit = 0; nextBit <= 1; nextBit++) {
+                    let index = StdHiRes.bitsToColor[oddAdj | (trial.prevBit << 2) |
+                        (curBit << 1) | nextBit];
+                    let color = ImageConvert.HGR_RGB[index | hiAdj];
+                    let dist = ImageConvert.colorDistance(target, color);
+                    if (bestDist < 0 || dist < bestDist) {
+                        bestBit = curBit;
+                        bestDist = dist;
+                        bestColor = color;
+                    }
+                }
+            }
+            trial.byteVal |= bestBit << bit;
+            trial.prevBit = bestBit;
+            trial.total += bestDist;
+
+            if (ditherMode == ImageConvert.DITHER_DIFFUSION) {
+                // Floyd-Steinberg: 7/16 right, 3/16 below-left, 5/16 below, 1/16 below-right.
+                for (let i = 0; i < 3; i++) {
+                    let err = target[i] - bestColor[i];
+                    trial.curErr[errOffset + 3 + i] += err * 7 / 16;
+                    trial.nextErr[errOffset - 3 + i] += err * 3 / 16;
+                    trial.nextErr[errOffset + i] += err * 5 / 16;
+                    trial.nextErr[errOffset + 3 + i] += err * 1 / 16;
+                }
+            }
+        }
+    }
+
+    //
+    // Computes a weighted squared distance between two RGB colors.
+    //
+    static colorDistance(rgb1, rgb2) {
+        let dr = rgb1[0] - rgb2[0];
+        let dg = rgb1[1] - rgb2[1];
+        let db = rgb1[2] - rgb2[2];
+        return dr * dr * 0.30 + dg * dg * 0.59 + db * db * 0.11;
+    }
+}
@@ -0,0 +1,471 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+Implementation of Apple II lo-res and double lo-res graphics.
+
+Lo-res graphics share memory with the 40-column text screen, a 1KB block that is laid out
+with the same interleave as the first line of each 8-line hi-res character row.  The last 8
+bytes of every 128 are "screen holes" that aren't displayed.  Files are usually 1024 bytes,
+though a BSAVE of $400-$7f7 yields 1016 bytes.
+
+Each byte holds two vertically-stacked pixels, with the top pixel in the low nibble, so the
+screen is 40x48.  The pixel values are the 16 colors listed in palette.js.
+
+Double lo-res combines 1KB of auxiliary memory with 1KB of main memory to form an 80x48 screen.
+Even columns come from aux memory and odd columns from main, just like double hi-res.  The
+file layout is aux followed by main.  Because of the way the video hardware shifts the pixels
+out, the color values in aux memory are rotated one bit to the right: to display color %abcd,
+store %dabc.
+
+Lo-res pixels are much wider than they are tall (7:4 for lo-res, 7:8 for double lo-res), so
+Picture stretches the image when it's displayed.  There's no monochrome mode; the mono
+setting displays the image in shades of gray.
+
+Color patterns are 4 pixels wide by two rows high, like StdHiRes, but each entry holds a
+color number [0,15], the same as DblHiRes.
+*/
+
+import gColorPalette from "./palette.js";
+import StdHiRes from "./std-hi-res.js";
+import Clipping from "./clipping.js";
+import Debug from "./debug.js";
+
+//
+// Manage a 1KB lo-res screen or 2KB double lo-res screen.
+//
+export default class LoRes {
+    static FORMAT_NAME = "lo-res";
+    static DBL_FORMAT_NAME = "dbl-lo-res";
+    static PAGE_LEN = 1024;
+    static MIN_LEN = 1016;
+    static NUM_COLS = 40;
+    static DBL_NUM_COLS = 80;
+    static NUM_ROWS = 48;
+
+    // Patterns are 4 pixels wide by two rows high, one color number per pixel.
+    static PATTERN_LEN = 4 * 2;
+
+    // Pattern with all black pixels, used for operations like "cut".
+    CLEAR_PATTERN = new Uint8Array(LoRes.PATTERN_LEN);
+
+    //
+    // Constructor.  Loads raw image data from a file ArrayBuffer, or creates a new blank image.
+    //
+    // Throws an exception if the file contents are incompatible.
+    //
+    //  buffer: ArrayBuffer object, or undefined for a new image
+    //  isDouble: true for double lo-res
+    //
+    constructor(arrayBuffer, isDouble) {
+        this.isDouble = isDouble;
+        this.numCols = isDouble ? LoRes.DBL_NUM_COLS : LoRes.NUM_COLS;
+        if (arrayBuffer === undefined) {
+            this.rawBytes = new Uint8Array(isDouble ? LoRes.PAGE_LEN * 2 : LoRes.PAGE_LEN);
+        } else {
+            let size = arrayBuffer.byteLength;
+            if (isDouble ? !LoRes.checkMatchDouble(size) : !LoRes.checkMatch(size)) {
+                throw new Error("incorrect size");      // should have been caught earlier
+            }
+            this.rawBytes = new Uint8Array(arrayBuffer);
+        }
+    }
+
+    toString() { return this.isDouble ? "[LoRes double]" : "[LoRes]"; }
+
+    // Map the color number [0,15] to an RGBA color, in color and grayscale.
+    static colorToRGBA = Array.from(gColorPalette.values());
+    static colorToGrayRGBA = LoRes.makeGrayTable(LoRes.colorToRGBA);
+
+    //
+    // Converts a table of RGBA colors to grayscale.
+    //
+    static makeGrayTable(colors) {
+        return colors.map((color) => {
+            let gray = Math.round(((color >>> 24) & 0xff) * 0.30 +
+                ((color >> 16) & 0xff) * 0.59 + ((color >> 8) & 0xff) * 0.11);
+            return ((gray << 24) | (gray << 16) | (gray << 8) | 0xff) >>> 0;
+        });
+    }
+
+    //
+    // Regenerates the color tables after the display palette has changed.
+    //
+    static updatePalette() {
+        LoRes.colorToRGBA = Array.from(gColorPalette.values());
+        LoRes.colorToGrayRGBA = LoRes.makeGrayTable(LoRes.colorToRGBA);
+    }
+
+    //
+    // Checks to see if the size of the file matches our requirements.
+    //
+    static checkMatch(size) {
+        return size >= LoRes.MIN_LEN && size <= LoRes.PAGE_LEN;
+    }
+    static checkMatchDouble(size) {
+        return size == LoRes.PAGE_LEN * 2;
+    }
+
+    //
+    // Format name, for clippings.
+    //
+    get formatName() {
+        return this.isDouble ? LoRes.DBL_FORMAT_NAME : LoRes.FORMAT_NAME;
+    }
+
+    //
+    // Returns a typed array (Uint8Array) with the raw data.  This is a reference to the
+    // original, not a copy.
+    //
+    get rawData() { return this.rawBytes; }
+
+    //
+    // Replaces the raw data array.  The reference will be used directly, not copied.
+    //
+    // This should only be used for undo/redo operations.
+    //
+    set rawData(value) { this.rawBytes = value; }
+
+    //
+    // Lo-res doesn't have a monochrome mode.
+    //
+    get preferMono() { return false; }
+
+    //
+    // Computes the offset of the text row that holds the specified pixel row.
+    //
+    //  rowNum: pixel row number [0,47]
+    //  (returns): buffer offset [0,1023]
+    //
+    static rowToOffset(rowNum) {
+        Debug.assert(rowNum >= 0 && rowNum < LoRes.NUM_ROWS, "invalid row " + rowNum);
+        return StdHiRes.rowToOffset((rowNum >> 1) * 8);
+    }
+
+    // Rotate a 4-bit color value, for double lo-res aux memory.
+    static rol4(val) { return ((val << 1) | (val >> 3)) & 0x0f; }
+    static ror4(val) { return ((val >> 1) | (val << 3)) & 0x0f; }
+
+    //
+    // Computes the buffer offset of the byte that holds the specified pixel.
+    //
+    pixelToOffset(xc, yc) {
+        if (this.isDouble) {
+            return ((xc & 0x01) ? LoRes.PAGE_LEN : 0) + LoRes.rowToOffset(yc) + (xc >> 1);
+        } else {
+            return LoRes.rowToOffset(yc) + xc;
+        }
+    }
+
+    //
+    // Reads the color of a single pixel.
+    //
+    //  xc: column
+    //  yc: row [0,47]
+    //  (returns): color number [0,15]
+    //
+    getPixel(xc, yc) {
+        let val = this.rawBytes[this.pixelToOffset(xc, yc)];
+        val = (yc & 0x01) ? val >> 4 : val & 0x0f;
+        if (this.isDouble && (xc & 0x01) == 0) {
+            val = LoRes.rol4(val);
+        }
+        return val;
+    }
+
+    //
+    // Sets the color of a single pixel.
+    //
+    //  xc: column
+    //  yc: row [0,47]
+    //  color: color number [0,15]
+    //
+    putPixel(xc, yc, color) {
+        if (this.isDouble && (xc & 0x01) == 0) {
+            color = LoRes.ror4(color);
+        }
+        let offset = this.pixelToOffset(xc, yc);
+        if (yc & 0x01) {
+            this.rawBytes[offset] = (this.rawBytes[offset] & 0x0f) | (color << 4);
+        } else {
+            this.rawBytes[offset] = (this.rawBytes[offset] & 0xf0) | color;
+        }
+    }
+
+    //
+    // Renders the full image onto an ImageData object.
+    //
+    //  imageData: ImageData object, must be 40x48 or 80x48
+    //  asMono: true if we want to render as grayscale
+    //
+    renderFull(imageData, asMono) {
+        this.renderArea(imageData, asMono, 0, 0, this.numCols, LoRes.NUM_ROWS);
+    }
+
+    //
+    // Renders an area into an ImageData object.  Use this to re-render a dirty area.
+    //
+    //  imageData: ImageData object, must be 40x48 or 80x48
+    //  asMono: true if we want to render as grayscale
+    //  left: leftmost column
+    //  top: top row number [0,47]
+    //  width: number of columns
+    //  height: number of rows [1,48]
+    //
+    renderArea(imageData, asMono, left, top, width, height) {
+        Debug.assert(this.isValidScreenArea(left, top, width, height),
+            "invalid args to renderArea()");
+        let rgbaColors = asMono ? LoRes.colorToGrayRGBA : LoRes.colorToRGBA;
+        let rgbaData = imageData.data;
+        for (let row = top; row < top + height; row++) {
+            for (let col = left; col < left + width; col++) {
+                StdHiRes.setRGBAColor(rgbaData, col, row, this.numCols,
+                    rgbaColors[this.getPixel(col, row)]);
+            }
+        }
+    }
+
+    //
+    // Gets the pattern color for the specified pixel.
+    //
+    static getPatColor(xc, yc, pat) {
+        return pat[(xc & 0x03) | ((yc & 0x01) << 2)];
+    }
+
+    //
+    // Sets a single pixel according to the current color pattern.
+    //
+    //  x: X coordinate
+    //  y: Y coordinate [0,47]
+    //  pat: color pattern
+    //
+    setPixel(x, y, pat) {
+        Debug.assert(x >= 0 && x < this.numCols && y >= 0 && y < LoRes.NUM_ROWS &&
+            pat !== undefined && pat.length === LoRes.PATTERN_LEN,
+            `invalid args ${x} ${y} ${pat}`);
+        this.putPixel(x, y, LoRes.getPatColor(x, y, pat));
+    }
+
+    //
+    // Sets the pixels in a horizontal segment.
+    //
+    //  xc: coordinate of left edge
+    //  yc: row number
+    //  width: number of pixels to draw
+    //  pat: color pattern
+    //
+    plotHorizSegment(xc, yc, width, pat) {
+        Debug.assert(this.isValidScreenArea(xc, yc, width, 1) &&
+            pat !== undefined && pat.length == LoRes.PATTERN_LEN);
+        for (let x = xc; x < xc + width; x++) {
+            this.putPixel(x, yc, LoRes.getPatColor(x, yc, pat));
+        }
+    }
+
+    //
+    // Generates a one-byte-per-pixel linear color map, holding color numbers 0-15.  There's
+    // no "asMono" argument, because the map is the same either way.
+    //
+    //  (returns): Uint8Array with color map
+    //
+    generateColorMap() {
+        let map = new Uint8Array(this.numCols * LoRes.NUM_ROWS);
+        for (let row = 0; row < LoRes.NUM_ROWS; row++) {
+            for (let col = 0; col < this.numCols; col++) {
+                map[row * this.numCols + col] = this.getPixel(col, row);
+            }
+        }
+        return map;
+    }
+
+    //
+    // Replaces all instances of the specified color with a pattern.  This reads from the color
+    // map and writes to the raw image.
+    //
+    //  colorMap: linear color map of the image (Uint8Array)
+    //  color: color to replace (single-byte value)
+    //  pat: color pattern to draw
+    //
+    replaceColor(colorMap, color, pat) {
+        for (let row = 0; row < LoRes.NUM_ROWS; row++) {
+            let rowOffset = row * this.numCols;
+            for (let col = 0; col < this.numCols; col++) {
+                if (colorMap[rowOffset + col] == color) {
+                    this.putPixel(col, row, LoRes.getPatColor(col, row, pat));
+                }
+            }
+        }
+    }
+
+    //
+    // Generates a clipping from the specified rectangle.
+    //
+    // Lo-res clippings hold one color number per pixel, so byteStride is the same as width.
+    // The mask is 0xff for every pixel included in the clipping.
+    //
+    //  left, top, width, height: rectangular area to clip
+    //  pixelMask: optional Uint8Array with one entry per pixel in the area; pixels with
+    //    zero entries are excluded from the clipping
+    //  (returns) new Clipping object
+    //
+    createClipping(left, top, width, height, pixelMask) {
+        Debug.assert(this.isValidScreenArea(left, top, width, height));
+        let pixArray = new Uint8Array(width * height);
+        let maskArray = new Uint8Array(width * height).fill(0xff);
+        if (pixelMask !== undefined) {
+            for (let i = 0; i < maskArray.length; i++) {
+                if (pixelMask[i] == 0) {
+                    maskArray[i] = 0;
+                }
+            }
+        }
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                pixArray[row * width + col] = this.getPixel(left + col, top + row);
+            }
+        }
+        return new Clipping(this.formatName, width, height, width, 0, pixArray, maskArray);
+    }
+
+    //
+    // Extracts the pixels from a clipping.  Our clippings already hold one value per pixel,
+    // so this just copies the arrays.
+    //
+    //  (returns): [values, mask]; arrays with width*height entries
+    //
+    clippingToPixels(clipping) {
+        return [clipping.pixArray.slice(), clipping.maskArray.slice()];
+    }
+
+    //
+    // Creates a clipping from per-pixel values.  This is the inverse of clippingToPixels().
+    //
+    //  values: array of pixel values, width*height entries
+    //  mask: array with width*height entries; pixels with nonzero entries are included
+    //  width, height: clipping dimensions
+    //
+    pixelsToClipping(values, mask, width, height) {
+        let maskArray = Uint8Array.from(mask, (val) => (val != 0) ? 0xff : 0);
+        return new Clipping(this.formatName, width, height, width, 0, Uint8Array.from(values),
+            maskArray);
+    }
+
+    //
+    // Extracts the colors from a clipping.  Each pixel holds a color number, so this is the
+    // same as clippingToPixels().
+    //
+    clippingToColors(clipping) {
+        return this.clippingToPixels(clipping);
+    }
+
+    //
+    // Creates a clipping from per-pixel colors.  This is the same as pixelsToClipping().
+    //
+    colorsToClipping(colors, mask, width, height) {
+        return this.pixelsToClipping(colors, mask, width, height);
+    }
+
+    //
+    // Converts a 1bpp bitmap to a clipping, applying the color pattern to the set pixels.
+    // The mask is set to the bitmap's bits.
+    //
+    bitmapToClipping(bitmap, stride, width, pat) {
+        Debug.assert(bitmap.length > 0 && stride > 0 && width > 0);
+        Debug.assert(bitmap.length % stride == 0);
+        let height = bitmap.length / stride;
+        let pixArray = new Uint8Array(width * height);
+        let maskArray = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let srcBit = (bitmap[row * stride + (col >> 3)] << (col & 0x07)) & 0x80;
+                if (srcBit != 0) {
+                    pixArray[row * width + col] = LoRes.getPatColor(col, row, pat);
+                    maskArray[row * width + col] = 0xff;
+                }
+            }
+        }
+        return new Clipping(this.formatName, width, height, width, 0, pixArray, maskArray);
+    }
+
+    //
+    // Copies a clipping onto the frame buffer.  The clipping may be partially or wholly
+    // offscreen.
+    //
+    // In merge mode, black pixels are treated as the background.
+    //
+    //  clipping: Clipping object
+    //  xc, yc: top-left corner of pasted image (values may be negative)
+    //  xferMode: transfer mode
+    //
+    putClipping(clipping, xc, yc, xferMode) {
+        Debug.assert(Clipping.isValidXferMode(xferMode));
+        for (let row = 0; row < clipping.height; row++) {
+            let scrRow = row + yc;
+            if (scrRow < 0) {
+                continue;   // offscreen
+            } else if (scrRow >= LoRes.NUM_ROWS) {
+                break;
+            }
+            for (let col = 0; col < clipping.width; col++) {
+                let scrCol = col + xc;
+                if (scrCol < 0) {
+                    continue;
+                } else if (scrCol >= this.numCols) {
+                    break;
+                }
+                let srcOffset = row * clipping.byteStride + col;
+                if (clipping.maskArray[srcOffset] == 0) {
+                    continue;
+                }
+                let color = clipping.pixArray[srcOffset];
+                switch (xferMode) {
+                    case Clipping.XFER_COPY:
+                        this.putPixel(scrCol, scrRow, color);
+                        break;
+                    case Clipping.XFER_MERGE:
+                        if (color != 0) {
+                            this.putPixel(scrCol, scrRow, color);
+                        }
+                        break;
+                    case Clipping.XFER_XOR:
+                        this.putPixel(scrCol, scrRow, this.getPixel(scrCol, scrRow) ^ color);
+                        break;
+                    case Clipping.XFER_AND:
+                        this.putPixel(scrCol, scrRow, this.getPixel(scrCol, scrRow) & color);
+                        break;
+                    case Clipping.XFER_NAND:
+                        this.putPixel(scrCol, scrRow,
+                            ~(this.getPixel(scrCol, scrRow) & color) & 0x0f);
+                        break;
+                    default:
+                        throw new Error("unhandled xferMode: " + xferMode);
+                }
+            }
+        }
+    }
+
+    //
+    // Determines whether the bounds are non-empty and fully within the screen dimensions.
+    //
+    //  (returns): true if all is well
+    //
+    isValidScreenArea(left, top, width, height) {
+        return  left >= 0 && left < this.numCols &&
+                top >= 0 && top < LoRes.NUM_ROWS &&
+                width > 0 && width + left <= this.numCols &&
+                height > 0 && top + height <= LoRes.NUM_ROWS;
+    }
+}
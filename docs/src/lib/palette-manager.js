@@ -0,0 +1,150 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+Display palette management.
+
+The lo-res, hi-res, and double hi-res renderers all get their colors from gColorPalette.  We
+provide a handful of preset palettes, modeled after various emulators and RGB display cards,
+and allow the user to define their own.  Switching palettes updates gColorPalette in place and
+then asks each renderer to rebuild its lookup tables.  Pictures must be re-rendered afterward.
+
+Palettes are arrays of 16 RGBA8888 values, in lo-res color order.  Super hi-res pictures carry
+their own palettes, and are not affected.
+*/
+
+import gColorPalette from "./palette.js";
+import StdHiRes from "./std-hi-res.js";
+import DblHiRes from "./dbl-hi-res.js";
+import LoRes from "./lo-res.js";
+import ImageConvert from "./image-convert.js";
+
+export default class PaletteManager {
+    static NUM_COLORS = 16;
+
+    // Identifier for the user-defined palette.
+    static CUSTOM_ID = "custom";
+    // Identifier for the default palette.
+    static DEFAULT_ID = "iigs";
+
+    // Preset palettes.  The IIgs palette is the one defined in palette.js.  KEGS uses the
+    // same values: its g_lores_colors table (video.c) holds the 12-bit 0xRGB equivalents.
+    static PRESETS = new Map([
+        [ "iigs", {
+            label: "IIgs RGB / KEGS",
+            colors: Array.from(gColorPalette.values())
+        } ],
+        [ "applewin", {
+            label: "AppleWin",
+            colors: [
+                0x000000ff, 0x9d0966ff, 0x2a2ae5ff, 0xc734ffff,
+                0x008000ff, 0x808080ff, 0x0da1ffff, 0xaaaaffff,
+                0x555500ff, 0xf25e00ff, 0xc0c0c0ff, 0xff89e5ff,
+                0x38cb00ff, 0xd5d51aff, 0x62f699ff, 0xffffffff
+            ]
+        } ],
+        [ "lcm", {
+            label: "Le Chat Mauve RGB",
+            colors: [
+                0x000000ff, 0xaa0055ff, 0x0000aaff, 0xaa00ffff,
+                0x005500ff, 0x555555ff, 0x0055ffff, 0x55aaffff,
+                0x555500ff, 0xff5500ff, 0xaaaaaaff, 0xff55aaff,
+                0x00ff00ff, 0xffff55ff, 0x55ffaaff, 0xffffffff
+            ]
+        } ],
+    ]);
+
+    //
+    // Returns the colors in the current display palette.
+    //
+    static getColors() {
+        return Array.from(gColorPalette.values());
+    }
+
+    //
+    // Returns the display name of each color, in palette order.
+    //
+    static getColorNames() {
+        return Array.from(gColorPalette.keys());
+    }
+
+    //
+    // Makes the specified colors the current display palette.
+    //
+    //  colors: array of 16 RGBA8888 values
+    //  (returns): true if the palette changed
+    //
+    static apply(colors) {
+        if (colors.length != PaletteManager.NUM_COLORS) {
+            throw new Error("palette must have 16 colors: " + colors.length);
+        }
+        let names = PaletteManager.getColorNames();
+        let changed = false;
+        for (let i = 0; i < names.length; i++) {
+            if (gColorPalette.get(names[i]) != colors[i]) {
+                gColorPalette.set(names[i], colors[i]);
+                changed = true;
+            }
+        }
+        if (changed) {
+            StdHiRes.updatePalette();
+            DblHiRes.updatePalette();
+            LoRes.updatePalette();
+            ImageConvert.updatePalette();   // must come after StdHiRes
+        }
+        return changed;
+    }
+
+    //
+    // Converts an RGBA8888 color to a "#rrggbb" string, suitable for an HTML color input.
+    //
+    static toHexString(color) {
+        return "#" + (color >>> 8).toString(16).padStart(6, "0");
+    }
+
+    //
+    // Converts a "#rrggbb" string to an RGBA8888 color.  Returns undefined if the string
+    // isn't valid.
+    //
+    static fromHexString(str) {
+        if (!/^#[0-9a-f]{6}$/i.test(str)) {
+            return undefined;
+        }
+        return ((parseInt(str.substring(1), 16) << 8) | 0xff) >>> 0;
+    }
+
+    //
+    // Converts a palette to a string of comma-separated "#rrggbb" values, for storage.
+    //
+    static toListString(colors) {
+        return colors.map((color) => PaletteManager.toHexString(color)).join(",");
+    }
+
+    //
+    // Converts a string generated by toListString() back to a palette.  Returns undefined if
+    // the string isn't valid.
+    //
+    static fromListString(str) {
+        if (typeof str !== "string") {
+            return undefined;
+        }
+        let colors = str.split(",").map((part) => PaletteManager.fromHexString(part.trim()));
+        if (colors.length != PaletteManager.NUM_COLORS || colors.includes(undefined)) {
+            return undefined;
+        }
+        return colors;
+    }
+}
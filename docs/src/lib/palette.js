@@ -16,7 +16,8 @@
 
 //
 // Apple II color palette, for lo-res, hi-res, and double hi-res.  The colors were selected
-// to match Apple IIgs RGB output.
+// to match Apple IIgs RGB output.  PaletteManager replaces the values when the user picks a
+// different display palette.
 //
 // RGBA8888 format.
 //
@@ -15,7 +15,13 @@
  */
 
 import StdHiRes from "./std-hi-res.js";
+import DblHiRes from "./dbl-hi-res.js";
+import SuperHiRes from "./super-hi-res.js";
+import LoRes from "./lo-res.js";
 import UndoItem from "./undo-item.js";
+import Clipping from "./clipping.js";
+import Gradient from "./gradient.js";
+import SelectionMask from "./selection-mask.js";
 import Rect from "./rect.js";
 import Debug from "./debug.js";
 
@@ -28,6 +34,8 @@ import Debug from "./debug.js";
 //     to access RGBA pixels.  This class holds an ImageData object whose dimensions match
 //     the image we want to display.  For standard hi-res this is 280x192, unless we wanted
 //     to model half-pixel shifts, in which case it would be doubled in both dimensions.
+//     Some formats have pixels that aren't square, e.g. double hi-res is 560x192, so we
+//     also track an aspect multiplier that is applied when the image is drawn.
 //  3. Canvas.  This class is provided by the JavaScript library, and can be referenced
 //     from HTML+CSS.  It supports a variety of drawing operations through "context"
 //     objects.  We use the "2d" context here.  The ImageData may be drawn on multiple
@@ -54,6 +62,13 @@ export default class Picture {
     static STROKE_THICK = "thick";
     static STROKE_APPLESOFT = "applesoft";
 
+    // Flood fill modes.  "Match" fills the connected area with the same color as the clicked
+    // pixel, "border" fills the connected area up to a specific border color, and "global"
+    // replaces the clicked color everywhere.
+    static FILL_MATCH = "match";
+    static FILL_BORDER = "border";
+    static FILL_GLOBAL = "global";
+
     //
     // Constructor.
     //
@@ -63,21 +78,56 @@ export default class Picture {
     //  arrayBuffer: file data if available, or undefined for a new image
     //
     constructor(name, type, fileHandle, arrayBuffer) {
-        // Images are 1:1; scaling up and panning around is handled by drawImage().
+        // Images are 1:1; scaling up and panning around is handled by drawImage().  The
+        // aspect multipliers stretch non-square pixels.  The grid group is the number of
+        // columns between highlighted lines in the pixel grid.
+        this.aspectX = this.aspectY = 1;
         if (type == StdHiRes.FORMAT_NAME) {
             this.rawImage = new StdHiRes(arrayBuffer);
             this.pixelImage = new ImageData(StdHiRes.NUM_COLS, StdHiRes.NUM_ROWS);
             this.mUseMono = this.rawImage.preferMono;
+            this.gridGroup = 7;         // bytes
+        } else if (type == DblHiRes.FORMAT_NAME) {
+            this.rawImage = new DblHiRes(arrayBuffer);
+            this.pixelImage = new ImageData(DblHiRes.NUM_COLS, DblHiRes.NUM_ROWS);
+            this.mUseMono = this.rawImage.preferMono;
+            this.aspectY = 2;
+            this.gridGroup = DblHiRes.DOTS_PER_CELL;    // color cells
+        } else if (type == SuperHiRes.FORMAT_NAME) {
+            this.rawImage = new SuperHiRes(arrayBuffer);
+            this.pixelImage = new ImageData(SuperHiRes.NUM_COLS, SuperHiRes.NUM_ROWS);
+            this.mUseMono = this.rawImage.preferMono;
+            this.aspectY = 2;
+            this.gridGroup = 2;         // 320 mode pixels
+        } else if (type == LoRes.FORMAT_NAME || type == LoRes.DBL_FORMAT_NAME) {
+            let isDouble = (type == LoRes.DBL_FORMAT_NAME);
+            this.rawImage = new LoRes(arrayBuffer, isDouble);
+            this.pixelImage = new ImageData(this.rawImage.numCols, LoRes.NUM_ROWS);
+            this.mUseMono = this.rawImage.preferMono;
+            // Lo-res pixels are 7 hi-res pixels wide and 4 rows high.  Double lo-res pixels
+            // are half as wide, and we display them at double-hi-res proportions.
+            this.aspectX = 7;
+            this.aspectY = isDouble ? 8 : 4;
+            this.gridGroup = isDouble ? 2 : 1;      // aux/main pairs
         } else {
             throw new Error("unknown type " + type);
         }
+        this.mFormat = type;
 
         if (name.length === 0) {
-            this.mName = "Untitled#062000";
+            // Add the file type attributes, e.g. BIN $2000 or PIC $0000.
+            if (type == SuperHiRes.FORMAT_NAME) {
+                this.mName = "Untitled#c10000";
+            } else if (type == LoRes.FORMAT_NAME || type == LoRes.DBL_FORMAT_NAME) {
+                this.mName = "Untitled#060400";
+            } else {
+                this.mName = "Untitled#062000";
+            }
         } else {
             this.mName = name;
         }
         this.mFileHandle = fileHandle;
+        this.mDiskTarget = undefined;
 
         // Create an intermediary canvas that we can draw the pixel image data onto.  The ImageData
         // object can only be drawn at 1:1, so we want to draw it onto a temporary canvas that
@@ -89,8 +139,8 @@ export default class Picture {
 
         // Set initial scale and center position.
         this.mScale = 1;
-        this.mScaledCenterX = this.pixelImage.width / 2;
-        this.mScaledCenterY = this.pixelImage.height / 2;
+        this.mScaledCenterX = this.pixelImage.width * this.aspectX / 2;
+        this.mScaledCenterY = this.pixelImage.height * this.aspectY / 2;
 
         // Generate initial rendering.
         this.render();
@@ -100,6 +150,35 @@ export default class Picture {
         return `[Picture: name='${this.name}' handle=${this.fileHandle} rawImage=${this.rawImage}]`;
     }
 
+    //
+    // Determines the image format from the length of a file.
+    //
+    //  length: file length, in bytes
+    //  (returns): format name, e.g. StdHiRes.FORMAT_NAME, or undefined if not recognized
+    //
+    static formatFromLength(length) {
+        if (StdHiRes.checkMatch(length)) {
+            return StdHiRes.FORMAT_NAME;
+        } else if (DblHiRes.checkMatch(length)) {
+            return DblHiRes.FORMAT_NAME;
+        } else if (SuperHiRes.checkMatch(length)) {
+            return SuperHiRes.FORMAT_NAME;
+        } else if (LoRes.checkMatch(length)) {
+            return LoRes.FORMAT_NAME;
+        } else if (LoRes.checkMatchDouble(length)) {
+            return LoRes.DBL_FORMAT_NAME;
+        } else {
+            return undefined;
+        }
+    }
+
+    //
+    // Image format, e.g. StdHiRes.FORMAT_NAME.
+    //
+    get format() {
+        return this.mFormat;
+    }
+
     //
     // Filename, or empty string if this is a new image.
     //
@@ -122,6 +201,22 @@ export default class Picture {
         this.mFileHandle = value;
     }
 
+    //
+    // Location of the image inside a disk image, if it was opened from or saved into one.
+    // Will be undefined otherwise.  The object has these fields:
+    //  disk: DiskImage object
+    //  diskHandle: FileSystemFileHandle for the disk image file; may be undefined
+    //  fileName: name of the file in the disk image
+    //  fileType: ProDOS file type
+    //  auxType: ProDOS aux type
+    //
+    get diskTarget() {
+        return this.mDiskTarget;
+    }
+    set diskTarget(value) {
+        this.mDiskTarget = value;
+    }
+
     //
     // Returns a reference to the raw data array, for saving the file to disk.  This will be
     // a Uint8Array.
@@ -130,6 +225,28 @@ export default class Picture {
         return this.rawImage.rawData;
     }
 
+    //
+    // Returns the image's color palettes, as arrays of RGBA8888 values, or undefined if the
+    // format doesn't have palettes.
+    //
+    getPalettes() {
+        if (this.format != SuperHiRes.FORMAT_NAME) {
+            return undefined;
+        }
+        return this.rawImage.getPalettes();
+    }
+
+    //
+    // Returns the number of rows that use each palette, or undefined if the format doesn't
+    // have palettes.
+    //
+    getPaletteUsage() {
+        if (this.format != SuperHiRes.FORMAT_NAME) {
+            return undefined;
+        }
+        return this.rawImage.getPaletteUsage();
+    }
+
     //
     // Width/height of pixel image, e.g. will be 280 / 192 for standard hi-res.
     //
@@ -150,6 +267,49 @@ export default class Picture {
         this.mUseMono = !!value;
     }
 
+    //
+    // Width of a dither cell for gradient fills.  Colored pixels are formed from groups of
+    // adjacent pixels in some formats; dithering in smaller units would change the colors.
+    // On the hi-res screen, the palette bit is shared by all pixels in a byte, so the cell
+    // is a full byte even in monochrome.
+    //
+    get ditherCellWidth() {
+        if (this.mFormat == StdHiRes.FORMAT_NAME) {
+            return StdHiRes.PIXELS_PER_BYTE;
+        } else if (this.mUseMono) {
+            return 1;
+        } else if (this.mFormat == SuperHiRes.FORMAT_NAME) {
+            return 2;
+        } else if (this.mFormat == DblHiRes.FORMAT_NAME) {
+            return DblHiRes.DOTS_PER_CELL;
+        } else {
+            return 1;
+        }
+    }
+
+    //
+    // Color rendering simulates the NTSC composite signal if this is set.  This is ignored
+    // by formats that don't support it.  Changing the value re-renders the image.
+    //
+    get useNtsc() {
+        return this.rawImage.useNtsc === true;
+    }
+    set useNtsc(value) {
+        if (this.rawImage.useNtsc !== undefined && this.rawImage.useNtsc != !!value) {
+            this.rawImage.useNtsc = !!value;
+            this.refresh();
+        }
+    }
+
+    //
+    // Re-renders the entire picture, e.g. after the display palette has changed.
+    //
+    refresh() {
+        this.render();
+        // Update the temporary canvas, so the thumbnail can be redrawn directly.
+        this.tempCtx.putImageData(this.pixelImage, 0, 0);
+    }
+
     //
     // Scale multiplier for this image (1-N).
     //
@@ -165,6 +325,17 @@ export default class Picture {
         this.mScale = value;
     }
 
+    //
+    // Horizontal and vertical scale multipliers, with the aspect ratio factored in.  These
+    // define the size of a single pixel on the canvas.
+    //
+    get scaleX() {
+        return this.mScale * this.aspectX;
+    }
+    get scaleY() {
+        return this.mScale * this.aspectY;
+    }
+
     //
     // Scaled center point for display.
     //
@@ -181,8 +352,8 @@ export default class Picture {
     setScaledCenter(newX, newY, canvasWidth, canvasHeight) {
         Debug.assert(canvasWidth !== undefined && canvasHeight !== undefined,
             `bad canvas dimensions: ${canvasWidth}x${canvasHeight}`);
-        let scaledWidth = this.width * this.scale;
-        let scaledHeight = this.height * this.scale;
+        let scaledWidth = this.width * this.scaleX;
+        let scaledHeight = this.height * this.scaleY;
         // console.log(`setScaledCenter(${newX},${newY}, ${canvasWidth},${canvasHeight});` +
         //     ` image=${scaledWidth}x${scaledHeight}`);
 
@@ -231,6 +402,13 @@ export default class Picture {
         Debug.assert(value instanceof Rect, "bad rect: " + value);
         this.mOutlineRect = value;
     }
+    // Optional SelectionMask for a non-rectangular outline.  If set, the outline follows the
+    // edges of the mask instead of the rect.
+    outlineMask = undefined;
+    // If set, handles for resizing are drawn at the corners of the outline rect.
+    showHandles = false;
+    // Size of the resize handles, in canvas pixels.
+    static HANDLE_SIZE = 8;
     // Marching ant iteration step.  The specific value doesn't matter, so we don't need to reset
     // this when marching stops/starts.
     outlineRectMarch = 0;
@@ -306,15 +484,15 @@ export default class Picture {
         // Draw primary image, scaling up.
         // console.log(`draw ${this.width}x${this.height} at ${canvasOffX},${canvasOffY}`);
         picCtx.drawImage(this.tempCanvas, canvasOffX, canvasOffY,
-                this.width * this.scale, this.height * this.scale);
+                this.width * this.scaleX, this.height * this.scaleY);
 
         if (this.nope) {
             // Draw an overlay that dims alternate 7-pixel sections.
             picCtx.fillStyle = "#80808080";
-            let blockWidth = 7 * this.scale;
+            let blockWidth = 7 * this.scaleX;
             for (let i = 1; i < Math.trunc(this.pixelImage.width / 7); i += 2) {
-                let xc = Math.trunc(canvasOffX + (i * 7 * this.scale));
-                picCtx.fillRect(xc, canvasOffY, blockWidth, this.pixelImage.height * this.scale);
+                let xc = Math.trunc(canvasOffX + (i * 7 * this.scaleX));
+                picCtx.fillRect(xc, canvasOffY, blockWidth, this.pixelImage.height * this.scaleY);
             }
         }
 
@@ -331,10 +509,10 @@ export default class Picture {
 
         // Compute the visibility rect, using unscaled image coordinates.  We know the
         // center position within the image.
-        let vx = Math.trunc((this.scaledCenterX - (picCanvas.width / 2)) / this.scale);
-        let vy = Math.trunc((this.scaledCenterY - (picCanvas.height / 2)) / this.scale);
-        let vwidth = Math.ceil(picCanvas.width / this.scale);
-        let vheight = Math.ceil(picCanvas.height / this.scale);
+        let vx = Math.trunc((this.scaledCenterX - (picCanvas.width / 2)) / this.scaleX);
+        let vy = Math.trunc((this.scaledCenterY - (picCanvas.height / 2)) / this.scaleY);
+        let vwidth = Math.ceil(picCanvas.width / this.scaleX);
+        let vheight = Math.ceil(picCanvas.height / this.scaleY);
         // console.log(`vis: ${vx},${vy} ${vwidth}x${vheight}`);
         // Create an inverted clip rect, so we draw everywhere except the visible region.  Use
         // this to grey out the parts of the panner image that are offscreen.
@@ -347,27 +525,27 @@ export default class Picture {
         pannerCtx.fillRect(0, 0, pannerCanvas.width, pannerCanvas.height);
         pannerCtx.restore();
 
-        if (this.scale >= 8) {
+        if (this.scaleX >= 8) {
             // At larger scales, frame pixel cells with faint lines.  We can use the visibility
             // rect we just computed to reduce offscreen rendering.
             for (let i = vx; i < vx + vwidth; i++) {
-                if (i % 7 == 6) {
-                    picCtx.strokeStyle = "#a0a0a080";   // highlight byte boundaries
+                if (i % this.gridGroup == this.gridGroup - 1) {
+                    picCtx.strokeStyle = "#a0a0a080";   // highlight byte/cell boundaries
                 } else {
                     picCtx.strokeStyle = "#60606080";
                 }
-                let xc = canvasOffX + (i * this.scale) + this.scale;
+                let xc = canvasOffX + (i * this.scaleX) + this.scaleX;
                 picCtx.beginPath();
                 picCtx.moveTo(xc, canvasOffY);
-                picCtx.lineTo(xc, canvasOffY + this.pixelImage.height * this.scale);
+                picCtx.lineTo(xc, canvasOffY + this.pixelImage.height * this.scaleY);
                 picCtx.stroke();
             }
             picCtx.strokeStyle = "#80808080";
             for (let i = vy; i < vy + vheight; i++) {
-                let yc = canvasOffY + (i * this.scale) + this.scale;
+                let yc = canvasOffY + (i * this.scaleY) + this.scaleY;
                 picCtx.beginPath();
                 picCtx.moveTo(canvasOffX, yc);
-                picCtx.lineTo(canvasOffX + this.pixelImage.width * this.scale, yc);
+                picCtx.lineTo(canvasOffX + this.pixelImage.width * this.scaleX, yc);
                 picCtx.stroke();
             }
         }
@@ -380,13 +558,108 @@ export default class Picture {
             picCtx.setLineDash([4, 2]);
             picCtx.strokeStyle = "#b0b0b0";
             picCtx.lineDashOffset = this.outlineRectMarch;
-            picCtx.strokeRect(canvasOffX + outRect.left * this.scale,
-                canvasOffY + outRect.top * this.scale,
-                outRect.width * this.scale, outRect.height * this.scale);
+            if (this.outlineMask === undefined) {
+                picCtx.strokeRect(canvasOffX + outRect.left * this.scaleX,
+                    canvasOffY + outRect.top * this.scaleY,
+                    outRect.width * this.scaleX, outRect.height * this.scaleY);
+            } else {
+                let left = canvasOffX + this.outlineMask.rect.left * this.scaleX;
+                let top = canvasOffY + this.outlineMask.rect.top * this.scaleY;
+                picCtx.beginPath();
+                for (let [x0, y0, x1, y1] of this.outlineMask.edges) {
+                    picCtx.moveTo(left + x0 * this.scaleX, top + y0 * this.scaleY);
+                    picCtx.lineTo(left + x1 * this.scaleX, top + y1 * this.scaleY);
+                }
+                picCtx.stroke();
+            }
             picCtx.restore();
+
+            if (this.showHandles) {
+                picCtx.fillStyle = "#e0e0e0";
+                picCtx.strokeStyle = "#282828";
+                picCtx.lineWidth = 1;
+                let half = Picture.HANDLE_SIZE / 2;
+                for (let [xc, yc] of this.getHandlePositions(picCanvas.width, picCanvas.height)) {
+                    picCtx.fillRect(xc - half, yc - half, Picture.HANDLE_SIZE, Picture.HANDLE_SIZE);
+                    picCtx.strokeRect(xc - half, yc - half, Picture.HANDLE_SIZE,
+                        Picture.HANDLE_SIZE);
+                }
+            }
         }
     }
 
+    //
+    // Computes the positions of the resize handles, which sit on the corners of the outline
+    // rect.
+    //
+    //  canvasWidth, canvasHeight: dimensions of the canvas the picture is drawn on
+    //  (returns): array of [x,y] canvas coordinates, in the order top-left, top-right,
+    //    bottom-left, bottom-right (so bit 0 of the index is set for the right side, and
+    //    bit 1 for the bottom)
+    //
+    getHandlePositions(canvasWidth, canvasHeight) {
+        let canvasOffX = Math.trunc((canvasWidth / 2) - this.scaledCenterX);
+        let canvasOffY = Math.trunc((canvasHeight / 2) - this.scaledCenterY);
+        let outRect = this.outlineRect;
+        let left = canvasOffX + outRect.left * this.scaleX;
+        let top = canvasOffY + outRect.top * this.scaleY;
+        let right = canvasOffX + outRect.right * this.scaleX;
+        let bottom = canvasOffY + outRect.bottom * this.scaleY;
+        return [[left, top], [right, top], [left, bottom], [right, bottom]];
+    }
+
+    //
+    // Renders the image onto a new canvas, e.g. for exporting as PNG.  Non-square pixels are
+    // stretched according to the aspect ratio.
+    //
+    //  scale: integer scale factor
+    //  asMono: true if we want to render as monochrome
+    //  showGrid: true if lines should be drawn between pixels; ignored in each direction
+    //    where the pixels are less than 2 wide (or tall), since there's no room for them
+    //  (returns): canvas element
+    //
+    renderToCanvas(scale, asMono, showGrid) {
+        let image = this.pixelImage;
+        if (asMono != this.useMono) {
+            image = new ImageData(this.width, this.height);
+            this.rawImage.renderFull(image, asMono);
+            // Rendering can update per-image state, such as the mode byte, so render
+            // again with the current setting.
+            this.render();
+        }
+        this.tempCtx.putImageData(image, 0, 0);
+
+        let scaleX = scale * this.aspectX;
+        let scaleY = scale * this.aspectY;
+        let canvas = document.createElement("canvas");
+        canvas.width = this.width * scaleX;
+        canvas.height = this.height * scaleY;
+        let ctx = canvas.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.tempCanvas, 0, 0, canvas.width, canvas.height);
+        // Restore the temporary canvas, in case we rendered something different.
+        this.tempCtx.putImageData(this.pixelImage, 0, 0);
+
+        // Use the same colors as the on-screen grid.
+        if (showGrid && scaleX >= 2) {
+            for (let i = 1; i < this.width; i++) {
+                if (i % this.gridGroup == 0) {
+                    ctx.fillStyle = "#a0a0a080";
+                } else {
+                    ctx.fillStyle = "#60606080";
+                }
+                ctx.fillRect(i * scaleX, 0, 1, canvas.height);
+            }
+        }
+        if (showGrid && scaleY >= 2) {
+            ctx.fillStyle = "#80808080";
+            for (let i = 1; i < this.height; i++) {
+                ctx.fillRect(0, i * scaleY, canvas.width, 1);
+            }
+        }
+        return canvas;
+    }
+
     //
     // Draws the image in the specified canvas.  Intended for rendering down-scaled
     // thumbnail images.
@@ -496,8 +769,129 @@ export default class Picture {
     //
     // Creates a clipping from an area of the screen.
     //
-    clipArea(rect) {
-        return this.rawImage.createClipping(rect.left, rect.top, rect.width, rect.height);
+    //  rect: area to clip
+    //  mask: optional SelectionMask, covering the same rect, for a non-rectangular area
+    //
+    clipArea(rect, mask) {
+        Debug.assert(mask === undefined || mask.rect.equals(rect), "mask doesn't match rect");
+        return this.rawImage.createClipping(rect.left, rect.top, rect.width, rect.height,
+            mask === undefined ? undefined : mask.bits);
+    }
+
+    //
+    // Flips or rotates a clipping.
+    //
+    // Rotations pivot around the center of the clipping.  On the hi-res screen, the color of
+    // a pixel depends on whether its column is odd or even, so in color mode a horizontal
+    // mirror is shifted by a pixel when necessary to keep the colors intact.  (This isn't
+    // possible for 90-degree rotations, which turn rows into columns.)  The clipping's colors
+    // are correct when drawn at colorLeft, which may differ from the current position if the
+    // clipping has been moved; the transformed clipping's colors are correct at the same
+    // offset from the new position.
+    //
+    //  clipping: Clipping object
+    //  rect: position of the clipping
+    //  mask: SelectionMask for a non-rectangular clipping; may be undefined
+    //  transform: one of the Clipping.FLIP_* or Clipping.ROTATE_* constants
+    //  colorLeft: X coordinate at which the clipping has the correct colors
+    //  (returns): [clipping, rect, mask] for the transformed clipping
+    //
+    transformClipping(clipping, rect, mask, transform, colorLeft) {
+        Debug.assert(rect.width == clipping.width && rect.height == clipping.height,
+            "clipping doesn't match rect");
+        let width = rect.width;
+        let height = rect.height;
+        let [values, pixMask] = this.rawImage.clippingToPixels(clipping);
+        values = Clipping.transformGrid(values, width, height, transform);
+        pixMask = Clipping.transformGrid(pixMask, width, height, transform);
+
+        let newRect;
+        if (Clipping.isRotation90(transform)) {
+            newRect = new Rect(rect.left + Math.trunc((width - height) / 2),
+                rect.top + Math.trunc((height - width) / 2), height, width);
+        } else {
+            newRect = rect;
+            if (Clipping.isHorizMirror(transform) && this.mFormat == StdHiRes.FORMAT_NAME &&
+                    !this.mUseMono && width % 2 == 0) {
+                // Odd and even columns trade places.  Shift left or right depending on the
+                // color position, so that flipping twice puts it back where it started.
+                newRect = rect.translate((colorLeft % 2 == 0) ? 1 : -1, 0);
+            }
+        }
+        let newMask = undefined;
+        if (mask !== undefined) {
+            newMask = new SelectionMask(newRect,
+                Clipping.transformGrid(mask.bits, width, height, transform));
+        }
+        let newClipping = this.rawImage.pixelsToClipping(values, pixMask,
+            newRect.width, newRect.height, newRect.left);
+        return [newClipping, newRect, newMask];
+    }
+
+    //
+    // Prepares a clipping to be drawn somewhere other than where its colors were established,
+    // so that the colors stay the same.  On the hi-res screen, moving a clipping an odd
+    // number of pixels swaps purple with green and blue with orange, so the clipping has to
+    // be re-encoded.  Other formats, and monochrome mode, don't need any changes.
+    //
+    //  clipping: Clipping object
+    //  srcLeft: X coordinate at which the clipping has the correct colors
+    //  dstLeft: X coordinate at which the clipping will be drawn
+    //  (returns): [clipping, xc]; the clipping to draw, and the X coordinate to draw it at
+    //
+    shiftClippingColors(clipping, srcLeft, dstLeft) {
+        if (this.mFormat != StdHiRes.FORMAT_NAME || this.mUseMono ||
+                (dstLeft - srcLeft) % 2 == 0) {
+            return [clipping, dstLeft];
+        }
+        return [this.rawImage.shiftClippingColors(clipping, dstLeft), dstLeft - 1];
+    }
+
+    //
+    // Resizes a clipping.
+    //
+    // Pixels are sampled from the clipping's colors rather than its raw bits, and then
+    // converted back.  This matters for formats like hi-res, where the color of a pixel
+    // depends on its neighbors and position.  In monochrome mode we use the raw pixels.
+    //
+    //  clipping: Clipping object
+    //  rect: position of the clipping
+    //  mask: SelectionMask for a non-rectangular clipping; may be undefined
+    //  newRect: position and size of the resized clipping
+    //  colorLeft: X coordinate at which the clipping has the correct colors
+    //  (returns): [clipping, rect, mask] for the resized clipping; its colors are correct at
+    //    the new position
+    //
+    scaleClipping(clipping, rect, mask, newRect, colorLeft) {
+        Debug.assert(rect.width == clipping.width && rect.height == clipping.height,
+            "clipping doesn't match rect");
+        let values, pixMask;
+        if (this.mUseMono) {
+            [values, pixMask] = this.rawImage.clippingToPixels(clipping);
+        } else {
+            [values, pixMask] = this.rawImage.clippingToColors(clipping, colorLeft);
+        }
+        let resample = (grid) => Clipping.resampleGrid(grid, rect.width, rect.height,
+            newRect.width, newRect.height);
+        values = resample(values);
+        pixMask = resample(pixMask);
+
+        let newMask = undefined;
+        if (mask !== undefined) {
+            newMask = new SelectionMask(newRect, resample(mask.bits));
+            if (newMask.isRectangular) {
+                newMask = undefined;
+            }
+        }
+        let newClipping;
+        if (this.mUseMono) {
+            newClipping = this.rawImage.pixelsToClipping(values, pixMask,
+                newRect.width, newRect.height, newRect.left);
+        } else {
+            newClipping = this.rawImage.colorsToClipping(values, pixMask,
+                newRect.width, newRect.height, newRect.left);
+        }
+        return [newClipping, newRect, newMask];
     }
 
     //
@@ -513,9 +907,14 @@ export default class Picture {
     //  clipping: Clipping object to render
     //  xc, yc: top-left corner; may be offscreen
     //  xferMode: transfer mode
+    //  transColor: color number to skip, for XFER_TRANSPARENT; numbered as in the color map
     //  (returns): dirty rect
     //
-    putClipping(clipping, xc, yc, xferMode) {
+    putClipping(clipping, xc, yc, xferMode, transColor) {
+        if (xferMode == Clipping.XFER_TRANSPARENT) {
+            clipping = this.maskClippingColor(clipping, xc, transColor);
+            xferMode = Clipping.XFER_COPY;
+        }
         this.rawImage.putClipping(clipping, xc, yc, xferMode);
         let dirtyRect = new Rect(xc, yc, clipping.width, clipping.height);
         // The rect can extend offscreen, so clamp to screen bounds.
@@ -525,6 +924,27 @@ export default class Picture {
         return dirtyRect;
     }
 
+    //
+    // Removes the pixels of one color from a clipping.  Colors are determined as they would
+    // be with the clipping drawn at the specified position, using color mode even if we're
+    // currently displaying in monochrome.  The pixels that remain are unchanged.
+    //
+    //  clipping: Clipping object
+    //  xc: X coordinate the clipping will be drawn at
+    //  color: color number to remove
+    //  (returns): new Clipping
+    //
+    maskClippingColor(clipping, xc, color) {
+        let [values, mask] = this.rawImage.clippingToPixels(clipping);
+        let [colors,] = this.rawImage.clippingToColors(clipping, xc);
+        for (let i = 0; i < colors.length; i++) {
+            if (colors[i] == color) {
+                mask[i] = 0;
+            }
+        }
+        return this.rawImage.pixelsToClipping(values, mask, clipping.width, clipping.height, xc);
+    }
+
     //
     // Sets one pixel.
     //
@@ -567,6 +987,73 @@ export default class Picture {
         return dirtyRect;
     }
 
+    //
+    // Paints a line with a brush, stamping the brush tip at every point along the line.  The
+    // pattern is aligned to the screen, not the brush, so dithers line up across strokes.
+    //
+    //  x0, y0: first coordinate
+    //  x1, y1: second coordinate
+    //  brush: Brush object
+    //  pat: color pattern
+    //  (returns): dirty rect
+    //
+    drawBrushLine(x0, y0, x1, y1, brush, pat) {
+        let deltaX = Math.abs(x1 - x0);
+        let moveX = (x0 < x1) ? 1 : -1;
+        let deltaY = -Math.abs(y1 - y0);
+        let moveY = (y0 < y1) ? 1: - 1;
+        let error = deltaX + deltaY;
+        let xc = x0;
+        let yc = y0;
+
+        while (true) {
+            this.stampBrush(xc, yc, brush, pat);
+            let error2 = error * 2;
+            if (error2 >= deltaY) {
+                if (xc === x1) {
+                    break;
+                }
+                error += deltaY;
+                xc += moveX;
+            }
+            if (error2 <= deltaX) {
+                if (yc === y1) {
+                    break;
+                }
+                error += deltaX;
+                yc += moveY;
+            }
+        }
+
+        let dirtyRect = Rect.fromCoords(x0, y0, x1, y1);
+        dirtyRect = new Rect(dirtyRect.left - brush.hotX, dirtyRect.top - brush.hotY,
+            dirtyRect.width + brush.width - 1, dirtyRect.height + brush.height - 1);
+        dirtyRect = dirtyRect.intersect(new Rect(0, 0, this.width, this.height));
+        this.renderArea(dirtyRect);
+        return dirtyRect;
+    }
+
+    //
+    // Stamps a brush tip onto the image, clipping it to the screen bounds.
+    //
+    stampBrush(xc, yc, brush, pat) {
+        let left = xc - brush.hotX;
+        let top = yc - brush.hotY;
+        for (let row = 0; row < brush.height; row++) {
+            let yy = top + row;
+            if (yy < 0 || yy >= this.height) {
+                continue;
+            }
+            for (let [offset, length] of brush.rowSpans[row]) {
+                let start = Math.max(left + offset, 0);
+                let end = Math.min(left + offset + length, this.width);
+                if (start < end) {
+                    this.rawImage.plotHorizSegment(start, yy, end - start, pat);
+                }
+            }
+        }
+    }
+
     //
     // Standard all-octant Bresenham line algorithm.
     //
@@ -670,31 +1157,266 @@ export default class Picture {
     //
     //  x0, y0: first corner
     //  x1, y1: second corner
-    //  pat: color pattern
+    //  pat: color pattern or Gradient
     //  (returns): dirty rect
     //
     drawFillRect(x0, y0, x1, y1, pat) {
         let dirtyRect = Rect.fromCoords(x0, y0, x1, y1);
+        let fill = this.bindFill(pat, dirtyRect);
         for (let yc = dirtyRect.top; yc < dirtyRect.top + dirtyRect.height; yc++) {
-            this.rawImage.plotHorizSegment(dirtyRect.left, yc, dirtyRect.width, pat);
+            this.fillSpan(dirtyRect.left, yc, dirtyRect.width, fill);
         }
         this.renderArea(dirtyRect);
         return dirtyRect;
     }
 
+    //
+    // Draws a stroke rect with rounded corners.  The corners are quarter-circles, drawn with
+    // the ellipse arc code, so the thick style works the same as it does for ellipses.
+    //
+    //  x0, y0: first corner
+    //  x1, y1: second corner
+    //  radius: corner radius; reduced if the rect is too small
+    //  pat: color pattern
+    //  style: line stroke style
+    //  (returns): dirty rect
+    //
+    drawStrokeRoundRect(x0, y0, x1, y1, radius, pat, style) {
+        let rect = Rect.fromCoords(x0, y0, x1, y1);
+        let rad = Picture.clampCornerRadius(rect, radius);
+        if (rad == 0) {
+            return this.drawStrokeRect(x0, y0, x1, y1, pat, style);
+        }
+        let [left, top, right, bottom] = [rect.left, rect.top, rect.right - 1, rect.bottom - 1];
+        this.drawLine(left + rad, top, right - rad, top, pat, style);
+        this.drawLine(right, top + rad, right, bottom - rad, pat, style);
+        this.drawLine(right - rad, bottom, left + rad, bottom, pat, style);
+        this.drawLine(left, bottom - rad, left, top + rad, pat, style);
+        for (let [cx, cy, startAngle] of this.getCornerArcs(left, top, right, bottom, rad)) {
+            this.doDrawEllipse(cx - rad, cy - rad, cx + rad, cy + rad, pat, style, false,
+                startAngle, startAngle + Math.PI / 2);
+        }
+
+        let dirtyRect = rect;
+        if (style === Picture.STROKE_THICK && dirtyRect.right < this.width) {
+            dirtyRect = dirtyRect.adjustSize(1, 0);
+        }
+        return dirtyRect;
+    }
+
+    //
+    // Draws a filled rect with rounded corners.
+    //
+    //  x0, y0: first corner
+    //  x1, y1: second corner
+    //  radius: corner radius; reduced if the rect is too small
+    //  pat: color pattern
+    //  (returns): dirty rect
+    //
+    drawFillRoundRect(x0, y0, x1, y1, radius, pat) {
+        let rect = Rect.fromCoords(x0, y0, x1, y1);
+        let rad = Picture.clampCornerRadius(rect, radius);
+        if (rad == 0) {
+            return this.drawFillRect(x0, y0, x1, y1, pat);
+        }
+        let [left, top, right, bottom] = [rect.left, rect.top, rect.right - 1, rect.bottom - 1];
+        // Fill a cross shape, then round off the corners with quarter-circles.
+        for (let yc = top; yc <= bottom; yc++) {
+            if (yc < top + rad || yc > bottom - rad) {
+                this.rawImage.plotHorizSegment(left + rad, yc, rect.width - rad * 2, pat);
+            } else {
+                this.rawImage.plotHorizSegment(left, yc, rect.width, pat);
+            }
+        }
+        for (let [cx, cy, startAngle] of this.getCornerArcs(left, top, right, bottom, rad)) {
+            this.doDrawEllipse(cx - rad, cy - rad, cx + rad, cy + rad, pat, Picture.STROKE_THIN,
+                true, startAngle, startAngle + Math.PI / 2);
+        }
+        this.renderArea(rect);
+        return rect;
+    }
+
+    //
+    // Reduces the corner radius so that the corners of a rounded rect don't overlap.
+    //
+    static clampCornerRadius(rect, radius) {
+        return Math.max(0, Math.min(radius,
+            Math.trunc((rect.width - 1) / 2), Math.trunc((rect.height - 1) / 2)));
+    }
+
+    //
+    // Returns the center and start angle of the quarter-circle at each corner of a rounded
+    // rect, as [centerX, centerY, startAngle] arrays.  Coordinates are inclusive.
+    //
+    getCornerArcs(left, top, right, bottom, rad) {
+        return [
+            [right - rad, top + rad, 0],
+            [left + rad, top + rad, Math.PI / 2],
+            [left + rad, bottom - rad, Math.PI],
+            [right - rad, bottom - rad, Math.PI * 3 / 2]
+        ];
+    }
+
     //
     // Clears a rectangular area to black.
     //
     //  rect: area to clear
+    //  mask: optional SelectionMask, covering the same rect; only selected pixels are cleared
     //  (returns): dirty rect
     //
-    clearRect(rect) {
+    clearRect(rect, mask) {
         let pat = this.rawImage.CLEAR_PATTERN;
-        this.drawFillRect(rect.left, rect.top, rect.right - 1, rect.bottom - 1, pat);
+        if (mask === undefined) {
+            this.drawFillRect(rect.left, rect.top, rect.right - 1, rect.bottom - 1, pat);
+        } else {
+            Debug.assert(mask.rect.equals(rect), "mask doesn't match rect");
+            for (let row = 0; row < rect.height; row++) {
+                let runStart = -1;
+                for (let col = 0; col <= rect.width; col++) {
+                    let isSet = col < rect.width && mask.bits[row * rect.width + col] != 0;
+                    if (isSet && runStart < 0) {
+                        runStart = col;
+                    } else if (!isSet && runStart >= 0) {
+                        this.rawImage.plotHorizSegment(rect.left + runStart, rect.top + row,
+                            col - runStart, pat);
+                        runStart = -1;
+                    }
+                }
+            }
+        }
         this.renderArea(rect);
         return rect;
     }
 
+    //
+    // Draws a series of connected lines with the specified style.
+    //
+    //  points: array of [x,y] coordinates
+    //  pat: color pattern
+    //  style: line stroke style
+    //  close: if true, a line is drawn from the last point back to the first
+    //  (returns): dirty rect
+    //
+    drawPolyline(points, pat, style, close) {
+        if (points.length == 1) {
+            this.drawLine(...points[0], ...points[0], pat, style);
+        }
+        for (let i = 1; i < points.length; i++) {
+            this.drawLine(...points[i - 1], ...points[i], pat, style);
+        }
+        if (close && points.length > 2) {
+            this.drawLine(...points[points.length - 1], ...points[0], pat, style);
+        }
+        return this.getPolygonBounds(points, style === Picture.STROKE_THICK);
+    }
+
+    //
+    // Draws a filled polygon.  Pixels are filled according to the even-odd rule, and the
+    // outline is drawn with thin lines so that the edges match a thin polygon frame.
+    //
+    //  points: array of [x,y] coordinates
+    //  pat: color pattern
+    //  (returns): dirty rect
+    //
+    drawFillPolygon(points, pat) {
+        let dirtyRect = this.getPolygonBounds(points, false);
+        for (let yc = dirtyRect.top; yc < dirtyRect.bottom; yc++) {
+            // Find the places where the edges cross this row.  Each edge includes its top
+            // end but not its bottom end, so vertices aren't counted twice.
+            let crossings = [];
+            for (let i = 0; i < points.length; i++) {
+                let [x0, y0] = points[i];
+                let [x1, y1] = points[(i + 1) % points.length];
+                if ((yc >= y0 && yc < y1) || (yc >= y1 && yc < y0)) {
+                    crossings.push(x0 + (yc - y0) * (x1 - x0) / (y1 - y0));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                let left = Math.round(crossings[i]);
+                let right = Math.round(crossings[i + 1]);
+                this.rawImage.plotHorizSegment(left, yc, right - left + 1, pat);
+            }
+        }
+        for (let i = 0; i < points.length; i++) {
+            let [x0, y0] = points[i];
+            let [x1, y1] = points[(i + 1) % points.length];
+            this.doDrawLine(x0, y0, x1, y1, pat, false);
+        }
+        this.renderArea(dirtyRect);
+        return dirtyRect;
+    }
+
+    //
+    // Draws a Bezier curve with the specified style.  The curve is approximated with short
+    // line segments, so all of the line stroke styles work.
+    //
+    //  points: control polygon, as an array of [x,y] coordinates; 2 points for a straight
+    //    line, 3 for a quadratic curve, 4 for a cubic curve
+    //  pat: color pattern
+    //  style: line stroke style
+    //  (returns): dirty rect
+    //
+    drawBezier(points, pat, style) {
+        // Pick the number of steps from the length of the control polygon, which is always
+        // at least as long as the curve.  Aim for segments a couple of pixels long.
+        let polyLen = 0;
+        for (let i = 1; i < points.length; i++) {
+            polyLen += Math.hypot(points[i][0] - points[i - 1][0],
+                points[i][1] - points[i - 1][1]);
+        }
+        let numSteps = Math.max(1, Math.ceil(polyLen / 2));
+
+        let linePoints = [points[0]];
+        for (let step = 1; step <= numSteps; step++) {
+            let [xc, yc] = Picture.evalBezier(points, step / numSteps);
+            let pt = [Math.round(xc), Math.round(yc)];
+            let prev = linePoints[linePoints.length - 1];
+            if (pt[0] != prev[0] || pt[1] != prev[1]) {
+                linePoints.push(pt);
+            }
+        }
+        this.drawPolyline(linePoints, pat, style, false);
+        // The curve stays inside the control polygon's bounding box, so that's our dirty rect.
+        return this.getPolygonBounds(points, style === Picture.STROKE_THICK);
+    }
+
+    //
+    // Evaluates a Bezier curve at a point, using de Casteljau's algorithm.
+    //
+    //  points: control polygon, as an array of [x,y] coordinates
+    //  t: position along curve [0,1]
+    //  (returns): [x,y] position, not rounded
+    //
+    static evalBezier(points, t) {
+        let work = points.map((pt) => [pt[0], pt[1]]);
+        for (let count = work.length - 1; count > 0; count--) {
+            for (let i = 0; i < count; i++) {
+                work[i][0] += (work[i + 1][0] - work[i][0]) * t;
+                work[i][1] += (work[i + 1][1] - work[i][1]) * t;
+            }
+        }
+        return work[0];
+    }
+
+    //
+    // Computes the rectangle that encloses a set of points.
+    //
+    //  points: array of [x,y] coordinates
+    //  doublePix: if true, widen the rect by one pixel for the thick stroke style
+    //  (returns): bounding rect
+    //
+    getPolygonBounds(points, doublePix) {
+        let xs = points.map((pt) => pt[0]);
+        let ys = points.map((pt) => pt[1]);
+        let rect = Rect.fromCoords(Math.min(...xs), Math.min(...ys),
+            Math.max(...xs), Math.max(...ys));
+        if (doublePix && rect.right < this.width) {
+            rect = rect.adjustSize(1, 0);
+        }
+        return rect;
+    }
+
     //
     // Draws a stroke ellipse that fills the bounding box.
     //
@@ -709,18 +1431,88 @@ export default class Picture {
     }
 
     //
-    // Draws a filled ellipse that fills the bounding box.
+    // Draws a filled ellipse that fills the bounding box.  The pattern may be a Gradient.
     //
     drawFillEllipse(x0, y0, x1, y1, pat) {
         return this.doDrawEllipse(x0, y0, x1, y1, pat, Picture.STROKE_THIN, true);
     }
 
     //
-    // Draws an ellipse.
+    // Draws part of the outline of an ellipse that fills the bounding box.  The arc runs
+    // counter-clockwise from the start angle to the end angle.
+    //
+    // Angles are in radians, measured counter-clockwise from the positive X axis.  They're
+    // relative to the ellipse, not the screen, so 45 degrees is always the middle of a
+    // quadrant.  Use getEllipseAngle() to convert a screen position.
+    //
+    //  x0, y0: first corner
+    //  x1, y1: second corner
+    //  startAngle, endAngle: extent of the arc
+    //  pat: color pattern
+    //  style: line stroke style
+    //  (returns): dirty rect
+    //
+    drawStrokeArc(x0, y0, x1, y1, startAngle, endAngle, pat, style) {
+        return this.doDrawEllipse(x0, y0, x1, y1, pat, style, false, startAngle, endAngle);
+    }
+
+    //
+    // Draws a filled pie slice, cut from an ellipse that fills the bounding box.  Angles
+    // work the same as for drawStrokeArc().
+    //
+    drawFillPie(x0, y0, x1, y1, startAngle, endAngle, pat) {
+        let dirtyRect = this.doDrawEllipse(x0, y0, x1, y1, pat, Picture.STROKE_THIN, true,
+            startAngle, endAngle);
+        // Draw the edges of the slice, so that a very thin slice is still visible.
+        let [cx, cy, rx, ry] = Picture.getEllipseGeometry(x0, y0, x1, y1);
+        let centerX = Math.round(cx);
+        let centerY = Math.round(cy);
+        for (let angle of [startAngle, endAngle]) {
+            this.doDrawLine(centerX, centerY, Math.round(cx + rx * Math.cos(angle)),
+                Math.round(cy - ry * Math.sin(angle)), pat, false);
+        }
+        this.renderArea(dirtyRect);
+        return dirtyRect;
+    }
+
+    //
+    // Computes the center and radii of an ellipse that fills the bounding box.  The radii
+    // are never less than 1/2, so angles can be computed for degenerate ellipses.
+    //
+    //  (returns): [centerX, centerY, radiusX, radiusY]
+    //
+    static getEllipseGeometry(x0, y0, x1, y1) {
+        return [(x0 + x1) / 2, (y0 + y1) / 2,
+            Math.max(Math.abs(x1 - x0) / 2, 0.5), Math.max(Math.abs(y1 - y0) / 2, 0.5)];
+    }
+
+    //
+    // Computes the angle of a point, relative to an ellipse that fills the bounding box.
+    //
+    //  x0, y0, x1, y1: bounding box corners
+    //  xc, yc: point
+    //  (returns): angle, in radians [0,2pi)
+    //
+    static getEllipseAngle(x0, y0, x1, y1, xc, yc) {
+        let [cx, cy, rx, ry] = Picture.getEllipseGeometry(x0, y0, x1, y1);
+        let angle = Math.atan2((cy - yc) / ry, (xc - cx) / rx);
+        return (angle < 0) ? angle + 2 * Math.PI : angle;
+    }
+
+    //
+    // Draws an ellipse, or part of one.
     //
     // From an implementation by Alois Zingl (https://zingl.github.io/bresenham.html). MIT license.
     //
-    doDrawEllipse(x0, y0, x1, y1, pat, style, fill) {
+    //  x0, y0, x1, y1: bounding box corners
+    //  pat: color pattern; may be a Gradient if filling a full ellipse
+    //  style: line stroke style
+    //  fill: if true, draw a filled ellipse
+    //  startAngle, endAngle: if defined, only the part of the ellipse between the angles is
+    //    drawn (an arc, or a pie slice if filled)
+    //  (returns): dirty rect
+    //
+    doDrawEllipse(x0, y0, x1, y1, pat, style, fill, startAngle, endAngle) {
         // console.log(`ellipse ${x0},${y0} ${x1},${y1} style=${style} fill=${fill}`);
         let doublePix = (style === Picture.STROKE_THICK);
         let maxDouble = this.width - 1;
@@ -728,6 +1520,52 @@ export default class Picture {
         if (doublePix && dirtyRect.right < this.width) {
             dirtyRect = dirtyRect.adjustSize(1, 0);
         }
+        if (fill) {
+            pat = this.bindFill(pat, Rect.fromCoords(x0, y0, x1, y1));
+        } else if (style === Picture.STROKE_APPLESOFT) {
+            this.drawEllipseApplesoft(x0, y0, x1, y1, pat, startAngle, endAngle);
+            this.renderArea(dirtyRect);
+            return dirtyRect;
+        }
+
+        // Set up the angle test for partial ellipses.  Pixels are included if their angle is
+        // within the counter-clockwise sweep from the start angle.
+        const TWO_PI = 2 * Math.PI;
+        let inArc = () => true;
+        if (startAngle !== undefined) {
+            let [cx, cy, rx, ry] = Picture.getEllipseGeometry(x0, y0, x1, y1);
+            let sweep = ((endAngle - startAngle) % TWO_PI + TWO_PI) % TWO_PI;
+            inArc = (xc, yc) => {
+                let angle = Math.atan2((cy - yc) / ry, (xc - cx) / rx) - startAngle;
+                return ((angle % TWO_PI + TWO_PI) % TWO_PI) <= sweep;
+            };
+        }
+        // Plots a single point on the outline.
+        let plot = (xc, yc) => {
+            if (inArc(xc, yc)) {
+                this.rawImage.setPixel(xc, yc, pat);
+                if (doublePix && xc < maxDouble) {
+                    this.rawImage.setPixel(xc + 1, yc, pat);
+                }
+            }
+        };
+        // Plots a horizontal span of the interior, skipping the parts outside the arc.
+        let span = (xc, yc, width) => {
+            if (startAngle === undefined) {
+                this.fillSpan(xc, yc, width, pat);
+                return;
+            }
+            let runStart = -1;
+            for (let xx = xc; xx <= xc + width; xx++) {
+                let inside = (xx < xc + width) && inArc(xx, yc);
+                if (inside && runStart < 0) {
+                    runStart = xx;
+                } else if (!inside && runStart >= 0) {
+                    this.rawImage.plotHorizSegment(runStart, yc, xx - runStart, pat);
+                    runStart = -1;
+                }
+            }
+        };
 
         let a = Math.abs(x1 - x0);
         let b = Math.abs(y1 - y0);
@@ -754,23 +1592,15 @@ export default class Picture {
                 // Only render if we've moved to a different line, to avoid overdraw.  This
                 // works because we render the widest part first.
                 if (y0 != lastY) {
-                    this.rawImage.plotHorizSegment(x0, y0, x1 - x0 + 1, pat);
-                    this.rawImage.plotHorizSegment(x0, y1, x1 - x0 + 1, pat);
+                    span(x0, y0, x1 - x0 + 1);
+                    span(x0, y1, x1 - x0 + 1);
                     lastY = y0;
                 }
             } else {
-                this.rawImage.setPixel(x1, y0, pat);
-                this.rawImage.setPixel(x0, y0, pat);
-                this.rawImage.setPixel(x0, y1, pat);
-                this.rawImage.setPixel(x1, y1, pat);
-                if (doublePix) {
-                    this.rawImage.setPixel(x0 + 1, y0, pat);
-                    this.rawImage.setPixel(x0 + 1, y1, pat);
-                    if (x1 < maxDouble) {
-                        this.rawImage.setPixel(x1 + 1, y0, pat);
-                        this.rawImage.setPixel(x1 + 1, y1, pat);
-                    }
-                }
+                plot(x1, y0);
+                plot(x0, y0);
+                plot(x0, y1);
+                plot(x1, y1);
             }
             let error2 = error * 2;
             if (error2 <= dy) {
@@ -791,13 +1621,13 @@ export default class Picture {
         // "too early stop of flat ellipses a=1" ... needed for very narrow ellipses
         while (y0-y1 < b) {
             if (fill) {
-                this.rawImage.plotHorizSegment(x0 - 1, y0, (x1+1) - (x0-1) + 1, pat);
+                span(x0 - 1, y0, (x1+1) - (x0-1) + 1);
                 y0++, y1--;
             } else {
-                this.rawImage.setPixel(x0-1, y0, pat);
-                this.rawImage.setPixel(x1+1, y0++, pat);
-                this.rawImage.setPixel(x0-1, y1, pat);
-                this.rawImage.setPixel(x1+1, y1--, pat);
+                plot(x0-1, y0);
+                plot(x1+1, y0++);
+                plot(x0-1, y1);
+                plot(x1+1, y1--);
             }
         }
 
@@ -805,26 +1635,132 @@ export default class Picture {
         return dirtyRect;
     }
 
+    //
+    // Draws the outline of an ellipse, or part of one, the way an Applesoft program would:
+    // as a series of short lines between points computed with sine and cosine, each drawn
+    // with "HPLOT TO".
+    //
+    //  x0, y0, x1, y1: bounding box corners
+    //  pat: color pattern
+    //  startAngle, endAngle: if defined, only the arc between the angles is drawn
+    //
+    drawEllipseApplesoft(x0, y0, x1, y1, pat, startAngle, endAngle) {
+        const TWO_PI = 2 * Math.PI;
+        const SEGMENT_LEN = 4;      // approximate length of each line, in pixels
+        let [cx, cy, rx, ry] = Picture.getEllipseGeometry(x0, y0, x1, y1);
+        let rect = Rect.fromCoords(x0, y0, x1, y1);
+        let sweep = TWO_PI;
+        if (startAngle === undefined) {
+            startAngle = 0;
+        } else {
+            sweep = ((endAngle - startAngle) % TWO_PI + TWO_PI) % TWO_PI;
+        }
+        let count = Math.max(Math.ceil(sweep * Math.max(rx, ry) / SEGMENT_LEN), 1);
+        // Computes a point on the ellipse, keeping it inside the bounding box.
+        let getPoint = (angle) => [
+            Math.min(Math.max(Math.round(cx + rx * Math.cos(angle)), rect.left), rect.right - 1),
+            Math.min(Math.max(Math.round(cy - ry * Math.sin(angle)), rect.top), rect.bottom - 1)
+        ];
+        let [lastX, lastY] = getPoint(startAngle);
+        for (let i = 1; i <= count; i++) {
+            let [xc, yc] = getPoint(startAngle + sweep * i / count);
+            this.drawLineApplesoft(lastX, lastY, xc, yc, pat);
+            [lastX, lastY] = [xc, yc];
+        }
+    }
+
+    //
+    // Returns the color of a pixel, as it appears in the color map used for flood fills.
+    // The value depends on the image format and whether we're in mono mode.
+    //
+    getMapColor(xc, yc) {
+        let colorMap = this.rawImage.generateColorMap(this.useMono);
+        return colorMap[yc * this.width + xc];
+    }
+
+    //
+    // Returns the color of a pixel, for the eyedropper.  Colors are numbered as they are in
+    // the color map, but mono mode is ignored, and hi-res black1/white1 are kept distinct.
+    //
+    getPixelColor(xc, yc) {
+        if (this.mFormat == StdHiRes.FORMAT_NAME) {
+            return this.rawImage.getColor(xc, yc);
+        }
+        let colorMap = this.rawImage.generateColorMap(false);
+        return colorMap[yc * this.width + xc];
+    }
+
+    //
+    // Returns the color pattern cell that holds the specified pixel, or undefined if the
+    // format's patterns don't map directly onto the image data.  Currently only hi-res
+    // supports this.
+    //
+    getPatternCell(xc, yc) {
+        if (this.mFormat != StdHiRes.FORMAT_NAME) {
+            return undefined;
+        }
+        return this.rawImage.getPatternCell(xc, yc);
+    }
+
+    //
+    // Selects pixels that match the color of the specified pixel.
+    //
+    //  xc, yc: coordinates of pixel to match
+    //  global: if true, select all matching pixels; otherwise only select those connected
+    //    to the starting pixel
+    //  (returns): SelectionMask
+    //
+    selectColor(xc, yc, global) {
+        let colorMap = this.rawImage.generateColorMap(this.useMono);
+        let repColor = colorMap[yc * this.width + xc];
+        let bitmap = new Uint8Array(colorMap.length);
+        if (global) {
+            for (let i = 0; i < colorMap.length; i++) {
+                bitmap[i] = (colorMap[i] == repColor) ? 1 : 0;
+            }
+        } else {
+            this.doFlood(xc, yc, 0xff, colorMap, false, (color) => color == repColor);
+            for (let i = 0; i < colorMap.length; i++) {
+                bitmap[i] = (colorMap[i] == 0xff) ? 1 : 0;
+            }
+        }
+        return SelectionMask.fromBitmap(this.width, this.height, bitmap);
+    }
+
     //
     // Flood-fills a region.
     //
     //  xc, yc: starting coordinate
-    //  pat: color pattern
-    //  (returns): rect that encompasses modified area
+    //  pat: color pattern or Gradient
+    //  mode: one of the FILL_* constants; default is FILL_MATCH
+    //  eightWay: if true, the fill spreads diagonally as well as N/S/E/W
+    //  borderColor: for FILL_BORDER, the color map value that stops the fill
+    //  (returns): rect that encompasses modified area; empty if nothing was filled
     //
-    drawFloodFill(xc, yc, pat) {
+    drawFloodFill(xc, yc, pat, mode, eightWay, borderColor) {
         // We're doing a pattern fill, so we can't do the fill directly on the image itself
         // without risking an infinite loop.  Instead, we obtain a one-byte-per-pixel linear
         // map, do the fill on that, and then tell the graphics object to perform color
         // replacement.
         let colorMap = this.rawImage.generateColorMap(this.useMono);
+        let repColor = colorMap[yc * this.width + xc];      // color we will be replacing
 
         // Do the fill, replacing the color with 0xff.
-        this.doFlood(xc, yc, 0xff, colorMap);
-        // Replace the fill with the pattern.
-        this.rawImage.replaceColor(colorMap, 0xff, pat);
-
-        // Calculate dirty rect.
+        if (mode == Picture.FILL_GLOBAL) {
+            for (let i = 0; i < colorMap.length; i++) {
+                if (colorMap[i] == repColor) {
+                    colorMap[i] = 0xff;
+                }
+            }
+        } else if (mode == Picture.FILL_BORDER) {
+            if (repColor == borderColor) {
+                return new Rect(0, 0, 0, 0);        // clicked on the border
+            }
+            this.doFlood(xc, yc, 0xff, colorMap, eightWay,
+                (color) => color != borderColor && color != 0xff);
+        } else {
+            this.doFlood(xc, yc, 0xff, colorMap, eightWay, (color) => color == repColor);
+        }
         let minX = this.width;
         let minY = this.height;
         let maxX = -1;
@@ -842,15 +1778,76 @@ export default class Picture {
         }
         let dirtyRect = Rect.fromCoords(minX, minY, maxX, maxY);
         // console.log("flood fill area: " + dirtyRect);
+
+        // Replace the fill with the pattern.  Gradients are stretched across the filled
+        // region, and drawn a row at a time.
+        if (pat instanceof Gradient) {
+            let fill = this.bindFill(pat, dirtyRect);
+            for (let row = minY; row <= maxY; row++) {
+                let rowOffset = row * this.width;
+                let runStart = -1;
+                for (let col = minX; col <= maxX + 1; col++) {
+                    let inside = col <= maxX && colorMap[rowOffset + col] == 0xff;
+                    if (inside && runStart < 0) {
+                        runStart = col;
+                    } else if (!inside && runStart >= 0) {
+                        fill.plotSpan(this.rawImage, runStart, row, col - runStart);
+                        runStart = -1;
+                    }
+                }
+            }
+        } else {
+            this.rawImage.replaceColor(colorMap, 0xff, pat);
+        }
         this.renderArea(dirtyRect);
         return dirtyRect;
     }
 
-    doFlood(xc, yc, newColor, colorMap) {
+    //
+    // If the fill is a gradient, returns a copy stretched to fit the specified area.
+    // Otherwise the fill is returned unmodified.  On the hi-res screen, the gradient steps
+    // through the Graphics Magician patterns that lie between its two patterns.
+    //
+    //  fill: color pattern or Gradient
+    //  rect: bounds of area to be filled
+    //
+    bindFill(fill, rect) {
+        if (!(fill instanceof Gradient)) {
+            return fill;
+        }
+        let steps = (this.mFormat == StdHiRes.FORMAT_NAME) ?
+            StdHiRes.getBlendPatterns(fill.startPat, fill.endPat) : undefined;
+        return fill.bind(rect, this.ditherCellWidth, steps);
+    }
+
+    //
+    // Fills a horizontal segment with a color pattern or bound Gradient.
+    //
+    fillSpan(xc, yc, width, fill) {
+        if (fill instanceof Gradient) {
+            fill.plotSpan(this.rawImage, xc, yc, width);
+        } else {
+            this.rawImage.plotHorizSegment(xc, yc, width, fill);
+        }
+    }
+
+    //
+    // Fills a connected area of the color map.
+    //
+    //  xc, yc: starting coordinate
+    //  newColor: value to store in filled pixels
+    //  colorMap: linear color map of the image
+    //  eightWay: if true, spread to diagonal neighbors as well
+    //  canFill: function that takes a color map value and returns true if the pixel should
+    //    be filled; must return false for newColor
+    //
+    doFlood(xc, yc, newColor, colorMap, eightWay, canFill) {
         let width = this.width;
         let height = this.height;
-        let repColor = colorMap[yc * width + xc];   // color we will be replacing
         let toVisit = [];
+        const neighbors = eightWay ?
+            [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]] :
+            [[-1, 0], [1, 0], [0, -1], [0, 1]];
 
         // Use the simple algorithm.
         toVisit.push([xc, yc]);
@@ -860,18 +1857,14 @@ export default class Picture {
             // Replace the color.
             colorMap[ny * width + nx] = newColor;
 
-            // Check N/S/E/W.  We only add to the queue if it needs to be filled.
-            if (nx > 0 && colorMap[ny * width + nx - 1] == repColor) {
-                toVisit.push([nx - 1, ny]);
-            }
-            if (nx < width - 1 && colorMap[ny * width + nx + 1] == repColor) {
-                toVisit.push([nx + 1, ny]);
-            }
-            if (ny > 0 && colorMap[(ny - 1) * width + nx] == repColor) {
-                toVisit.push([nx, ny - 1]);
-            }
-            if (ny < height - 1 && colorMap[(ny + 1) * width + nx] == repColor) {
-                toVisit.push([nx, ny + 1]);
+            // Check the neighbors.  We only add to the queue if it needs to be filled.
+            for (let [dx, dy] of neighbors) {
+                let tx = nx + dx;
+                let ty = ny + dy;
+                if (tx >= 0 && tx < width && ty >= 0 && ty < height &&
+                        canFill(colorMap[ty * width + tx])) {
+                    toVisit.push([tx, ty]);
+                }
             }
         }
     }
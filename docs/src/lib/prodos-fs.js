@@ -0,0 +1,462 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ProDOS filesystem.
+
+The volume directory starts in block 2.  Directories are linked lists of blocks, each of
+which starts with prev/next block pointers, followed by 39-byte entries.  The first entry in
+the first block is a header that describes the directory.  File entries look like:
+
+  +$00: storage type (high nybble) and filename length (low nybble)
+  +$01: filename, 15 bytes
+  +$10: file type
+  +$11: key block pointer
+  +$13: blocks used
+  +$15: EOF, 3 bytes
+  +$18: creation date/time
+  +$1c: version, min version
+  +$1e: access flags
+  +$1f: aux type
+  +$21: modification date/time
+  +$25: header pointer (key block of the directory that holds the entry)
+
+Files up to 512 bytes are "seedlings", with the data in the key block.  Files up to 128KB
+are "saplings", where the key block is an index block that holds up to 256 block pointers
+(low bytes in the first half, high bytes in the second).  Larger files are "trees", with a
+master index block pointing at index blocks.  A zero block pointer indicates a sparse
+(all-zero) block.
+
+The volume bitmap starts at the block identified in the volume directory header.  Each bit
+represents one block, with the high bit of the first byte representing block 0.  A set bit
+means the block is free.
+
+Catalog entries returned by getCatalog() have these fields:
+  name: pathname, with subdirectory names separated by '/'
+  fileType: ProDOS file type
+  typeName: file type as a string, e.g. "BIN"
+  auxType: ProDOS aux type
+  length: file length in bytes (the EOF)
+  access: access flags; writing is allowed if $02 is set
+*/
+
+export default class ProDosFs {
+    static VOL_DIR_BLOCK = 2;
+    static DIR_ENTRY_START = 4;
+    static DIR_ENTRY_LEN = 0x27;
+    static DIR_ENTRIES_PER_BLOCK = 13;
+    static BLOCK_SIZE = 512;
+    static MAX_NAME_LEN = 15;
+    static ACCESS_UNLOCKED = 0xe3;
+    static ACCESS_WRITE = 0x02;
+
+    // Storage types.
+    static STORAGE_DELETED = 0x0;
+    static STORAGE_SEEDLING = 0x1;
+    static STORAGE_SAPLING = 0x2;
+    static STORAGE_TREE = 0x3;
+    static STORAGE_SUBDIR = 0xd;
+    static STORAGE_SUBDIR_HEADER = 0xe;
+    static STORAGE_VOL_HEADER = 0xf;
+
+    // Limit on the number of blocks in a directory, to avoid infinite loops.
+    static MAX_DIR_BLOCKS = 1024;
+    static MAX_DIR_DEPTH = 16;
+
+    static TYPE_NAMES = new Map([
+        [0x00, "NON"], [0x04, "TXT"], [0x06, "BIN"], [0x08, "FOT"], [0x0f, "DIR"],
+        [0xc0, "PNT"], [0xc1, "PIC"], [0xfa, "INT"], [0xfc, "BAS"], [0xfd, "VAR"],
+        [0xfe, "REL"], [0xff, "SYS"]
+    ]);
+
+    //
+    // Returns the name of a file type, e.g. "BIN", or a hex value like "$f8" if it doesn't
+    // have one.
+    //
+    static getTypeName(fileType) {
+        return ProDosFs.TYPE_NAMES.get(fileType) ?? "$" + fileType.toString(16).padStart(2, "0");
+    }
+
+    //
+    // Checks to see if the disk image appears to hold a ProDOS filesystem.  Each volume
+    // directory block with a correct back-pointer counts toward the score.
+    //
+    //  disk: DiskImage object
+    //  (returns): score, zero if this is not ProDOS
+    //
+    static probe(disk) {
+        if (disk.numBlocks <= ProDosFs.VOL_DIR_BLOCK) {
+            return 0;
+        }
+        let block = disk.readBlock(ProDosFs.VOL_DIR_BLOCK);
+        if (block[0x00] != 0 || block[0x01] != 0 ||
+                (block[0x04] >> 4) != ProDosFs.STORAGE_VOL_HEADER ||
+                (block[0x04] & 0x0f) == 0 ||
+                block[0x23] != ProDosFs.DIR_ENTRY_LEN ||
+                block[0x24] != ProDosFs.DIR_ENTRIES_PER_BLOCK) {
+            return 0;
+        }
+        let score = 1;
+        let prev = ProDosFs.VOL_DIR_BLOCK;
+        let next = block[0x02] | (block[0x03] << 8);
+        while (next != 0 && next < disk.numBlocks && score < ProDosFs.MAX_DIR_BLOCKS) {
+            block = disk.readBlock(next);
+            if ((block[0x00] | (block[0x01] << 8)) != prev) {
+                break;
+            }
+            score++;
+            prev = next;
+            next = block[0x02] | (block[0x03] << 8);
+        }
+        return score;
+    }
+
+    constructor(disk) {
+        this.disk = disk;
+        let block = disk.readBlock(ProDosFs.VOL_DIR_BLOCK);
+        this.volumeName = ProDosFs.getName(block, ProDosFs.DIR_ENTRY_START);
+    }
+
+    toString() { return `ProDOS /${this.volumeName}`; }
+
+    //
+    // Extracts the filename from a directory entry.
+    //
+    static getName(block, offset) {
+        let len = block[offset] & 0x0f;
+        return String.fromCharCode(...block.subarray(offset + 1, offset + 1 + len));
+    }
+
+    //
+    // Reads the full catalog, including the contents of subdirectories.
+    //
+    //  (returns): array of catalog entry objects
+    //
+    getCatalog() {
+        let entries = [];
+        this.readDirectory(ProDosFs.VOL_DIR_BLOCK, "", entries, 0);
+        return entries;
+    }
+
+    //
+    // Reads the contents of a directory, adding the entries to the list.
+    //
+    readDirectory(keyBlock, prefix, entries, depth) {
+        if (depth > ProDosFs.MAX_DIR_DEPTH) {
+            console.log("directory nesting is too deep: " + prefix);
+            return;
+        }
+        let blockNum = keyBlock;
+        for (let count = 0; blockNum != 0 && count < ProDosFs.MAX_DIR_BLOCKS; count++) {
+            let block = this.disk.readBlock(blockNum);
+            for (let i = 0; i < ProDosFs.DIR_ENTRIES_PER_BLOCK; i++) {
+                let offset = ProDosFs.DIR_ENTRY_START + i * ProDosFs.DIR_ENTRY_LEN;
+                let storageType = block[offset] >> 4;
+                if (storageType == ProDosFs.STORAGE_DELETED ||
+                        storageType == ProDosFs.STORAGE_SUBDIR_HEADER ||
+                        storageType == ProDosFs.STORAGE_VOL_HEADER) {
+                    continue;
+                }
+                let name = prefix + ProDosFs.getName(block, offset);
+                let entryKey = block[offset + 0x11] | (block[offset + 0x12] << 8);
+                if (storageType == ProDosFs.STORAGE_SUBDIR) {
+                    try {
+                        this.readDirectory(entryKey, name + "/", entries, depth + 1);
+                    } catch (error) {
+                        console.log(`unable to read directory '${name}': ${error}`);
+                    }
+                    continue;
+                }
+                let fileType = block[offset + 0x10];
+                entries.push({
+                    name: name,
+                    fileType: fileType,
+                    typeName: ProDosFs.getTypeName(fileType),
+                    auxType: block[offset + 0x1f] | (block[offset + 0x20] << 8),
+                    length: block[offset + 0x15] | (block[offset + 0x16] << 8) |
+                        (block[offset + 0x17] << 16),
+                    access: block[offset + 0x1e],
+                    storageType: storageType,
+                    keyBlock: entryKey,
+                    dirKey: keyBlock,
+                    entryBlock: blockNum,
+                    entryOffset: offset,
+                });
+            }
+            blockNum = block[0x02] | (block[0x03] << 8);
+        }
+    }
+
+    //
+    // Gets the list of data blocks for a file.  Sparse blocks are represented by zero.
+    //
+    //  entry: catalog entry
+    //  (returns): array of block numbers
+    //
+    getDataBlocks(entry) {
+        let numBlocks = Math.ceil(entry.length / ProDosFs.BLOCK_SIZE);
+        switch (entry.storageType) {
+            case ProDosFs.STORAGE_SEEDLING:
+                return [entry.keyBlock];
+            case ProDosFs.STORAGE_SAPLING:
+                return ProDosFs.readIndex(this.disk.readBlock(entry.keyBlock), numBlocks);
+            case ProDosFs.STORAGE_TREE: {
+                let result = [];
+                let master = ProDosFs.readIndex(this.disk.readBlock(entry.keyBlock),
+                    Math.ceil(numBlocks / 256));
+                for (let indexBlock of master) {
+                    let count = Math.min(256, numBlocks - result.length);
+                    if (indexBlock == 0) {
+                        result.push(...new Array(count).fill(0));
+                    } else {
+                        result.push(...ProDosFs.readIndex(this.disk.readBlock(indexBlock), count));
+                    }
+                }
+                return result;
+            }
+            default:
+                throw new Error(`unsupported storage type ${entry.storageType} for '${entry.name}'`);
+        }
+    }
+
+    //
+    // Extracts block numbers from an index block.
+    //
+    static readIndex(indexBlock, count) {
+        let result = [];
+        for (let i = 0; i < count && i < 256; i++) {
+            result.push(indexBlock[i] | (indexBlock[256 + i] << 8));
+        }
+        return result;
+    }
+
+    //
+    // Reads the contents of a file.
+    //
+    //  entry: catalog entry
+    //  (returns): ArrayBuffer with file contents
+    //
+    readFile(entry) {
+        let blocks = this.getDataBlocks(entry);
+        let buf = new Uint8Array(blocks.length * ProDosFs.BLOCK_SIZE);
+        for (let i = 0; i < blocks.length; i++) {
+            if (blocks[i] != 0) {
+                buf.set(this.disk.readBlock(blocks[i]), i * ProDosFs.BLOCK_SIZE);
+            }
+        }
+        return buf.slice(0, entry.length).buffer;
+    }
+
+    //
+    // Converts a filename to a form acceptable to ProDOS.  Throws an exception if that's
+    // not possible.
+    //
+    static normalizeName(name) {
+        let upper = name.trim().toUpperCase();
+        if (!/^[A-Z][A-Z0-9.]*$/.test(upper) || upper.length > ProDosFs.MAX_NAME_LEN) {
+            throw new Error(`'${name}' is not a valid ProDOS filename`);
+        }
+        return upper;
+    }
+
+    //
+    // Converts a JavaScript Date to ProDOS date/time bytes.
+    //
+    static toProDate(when) {
+        let date = ((when.getFullYear() % 100) << 9) | ((when.getMonth() + 1) << 5) |
+            when.getDate();
+        return [date & 0xff, date >> 8, when.getMinutes(), when.getHours()];
+    }
+
+    //
+    // Writes a file.  If a file with the same pathname and file type exists, it's replaced;
+    // a file with a different type is left alone.  New files are created in the volume
+    // directory.  Nothing on the disk is modified if the operation fails.
+    //
+    //  name: filename, or pathname of an existing file
+    //  fileType: ProDOS file type
+    //  auxType: ProDOS aux type
+    //  data: Uint8Array with file contents; must be 128KB or less
+    //
+    writeFile(name, fileType, auxType, data) {
+        let upper = name.trim().toUpperCase();
+        let existing = this.getCatalog().find((entry) => entry.name.toUpperCase() == upper);
+        let slot;
+        if (existing !== undefined) {
+            if ((existing.access & ProDosFs.ACCESS_WRITE) == 0) {
+                throw new Error(`'${name}' is locked`);
+            } else if (existing.fileType != fileType) {
+                throw new Error(
+                    `'${name}' exists and is not a ${ProDosFs.getTypeName(fileType)} file`);
+            }
+            slot = [existing.entryBlock, existing.entryOffset, existing.dirKey];
+        } else {
+            if (upper.includes("/")) {
+                throw new Error("new files can only be created in the volume directory");
+            }
+            upper = ProDosFs.normalizeName(upper);
+            slot = this.findFreeSlot();
+            if (slot === undefined) {
+                throw new Error("volume directory is full");
+            }
+        }
+        let numData = Math.max(1, Math.ceil(data.length / ProDosFs.BLOCK_SIZE));
+        if (numData > 256) {
+            throw new Error("file is too large");
+        }
+
+        // Release the old file's blocks, then allocate space for the new one.  The bitmap
+        // is only modified in memory until everything is ready.
+        let volHeader = this.disk.readBlock(ProDosFs.VOL_DIR_BLOCK);
+        let bitmapStart = volHeader[0x27] | (volHeader[0x28] << 8);
+        let totalBlocks = volHeader[0x29] | (volHeader[0x2a] << 8);
+        let numBitmapBlocks = Math.ceil(totalBlocks / (ProDosFs.BLOCK_SIZE * 8));
+        let bitmap = new Uint8Array(numBitmapBlocks * ProDosFs.BLOCK_SIZE);
+        for (let i = 0; i < numBitmapBlocks; i++) {
+            bitmap.set(this.disk.readBlock(bitmapStart + i), i * ProDosFs.BLOCK_SIZE);
+        }
+        if (existing !== undefined) {
+            for (let block of this.getFileBlocks(existing)) {
+                bitmap[block >> 3] |= 0x80 >> (block & 0x07);
+            }
+        }
+        let isSapling = (numData > 1);
+        let allocated = ProDosFs.allocBlocks(bitmap, totalBlocks, numData + (isSapling ? 1 : 0));
+        let keyBlock = allocated[0];
+        let dataBlocks = isSapling ? allocated.slice(1) : allocated;
+
+        // Write the data and the index block.
+        for (let i = 0; i < numData; i++) {
+            let blockData = new Uint8Array(ProDosFs.BLOCK_SIZE);
+            blockData.set(data.subarray(i * ProDosFs.BLOCK_SIZE, (i + 1) * ProDosFs.BLOCK_SIZE));
+            this.disk.writeBlock(dataBlocks[i], blockData);
+        }
+        if (isSapling) {
+            let index = new Uint8Array(ProDosFs.BLOCK_SIZE);
+            for (let i = 0; i < numData; i++) {
+                index[i] = dataBlocks[i] & 0xff;
+                index[256 + i] = dataBlocks[i] >> 8;
+            }
+            this.disk.writeBlock(keyBlock, index);
+        }
+
+        // Update the directory entry.  For a replacement, keep the name, creation date,
+        // access flags, and header pointer.
+        let [entryBlock, offset, dirKey] = slot;
+        let dirData = this.disk.readBlock(entryBlock);
+        let now = ProDosFs.toProDate(new Date());
+        let storageType = isSapling ? ProDosFs.STORAGE_SAPLING : ProDosFs.STORAGE_SEEDLING;
+        if (existing === undefined) {
+            dirData.fill(0, offset, offset + ProDosFs.DIR_ENTRY_LEN);
+            for (let i = 0; i < upper.length; i++) {
+                dirData[offset + 0x01 + i] = upper.charCodeAt(i);
+            }
+            dirData[offset + 0x00] = upper.length;
+            dirData.set(now, offset + 0x18);
+            dirData[offset + 0x1e] = ProDosFs.ACCESS_UNLOCKED;
+            dirData[offset + 0x25] = dirKey & 0xff;
+            dirData[offset + 0x26] = dirKey >> 8;
+        }
+        dirData[offset + 0x00] = (storageType << 4) | (dirData[offset + 0x00] & 0x0f);
+        dirData[offset + 0x10] = fileType;
+        dirData[offset + 0x11] = keyBlock & 0xff;
+        dirData[offset + 0x12] = keyBlock >> 8;
+        dirData[offset + 0x13] = allocated.length & 0xff;
+        dirData[offset + 0x14] = allocated.length >> 8;
+        dirData[offset + 0x15] = data.length & 0xff;
+        dirData[offset + 0x16] = (data.length >> 8) & 0xff;
+        dirData[offset + 0x17] = data.length >> 16;
+        dirData[offset + 0x1f] = auxType & 0xff;
+        dirData[offset + 0x20] = auxType >> 8;
+        dirData.set(now, offset + 0x21);
+        this.disk.writeBlock(entryBlock, dirData);
+
+        if (existing === undefined) {
+            // Increment the file count in the directory header.
+            let header = this.disk.readBlock(dirKey);
+            let fileCount = (header[0x25] | (header[0x26] << 8)) + 1;
+            header[0x25] = fileCount & 0xff;
+            header[0x26] = fileCount >> 8;
+            this.disk.writeBlock(dirKey, header);
+        }
+        for (let i = 0; i < numBitmapBlocks; i++) {
+            this.disk.writeBlock(bitmapStart + i,
+                bitmap.subarray(i * ProDosFs.BLOCK_SIZE, (i + 1) * ProDosFs.BLOCK_SIZE));
+        }
+        console.log(`wrote '${name}' (${data.length} bytes, ${allocated.length} blocks)`);
+    }
+
+    //
+    // Finds an unused entry in the volume directory.
+    //
+    //  (returns): [block, offset, directory key block], or undefined if the directory is full
+    //
+    findFreeSlot() {
+        let blockNum = ProDosFs.VOL_DIR_BLOCK;
+        for (let count = 0; blockNum != 0 && count < ProDosFs.MAX_DIR_BLOCKS; count++) {
+            let block = this.disk.readBlock(blockNum);
+            for (let i = 0; i < ProDosFs.DIR_ENTRIES_PER_BLOCK; i++) {
+                let offset = ProDosFs.DIR_ENTRY_START + i * ProDosFs.DIR_ENTRY_LEN;
+                if ((block[offset] >> 4) == ProDosFs.STORAGE_DELETED) {
+                    return [blockNum, offset, ProDosFs.VOL_DIR_BLOCK];
+                }
+            }
+            blockNum = block[0x02] | (block[0x03] << 8);
+        }
+        return undefined;
+    }
+
+    //
+    // Gets all blocks used by a file, including index blocks.  Sparse blocks are omitted.
+    //
+    //  (returns): array of block numbers
+    //
+    getFileBlocks(entry) {
+        let result = this.getDataBlocks(entry).filter((block) => block != 0);
+        if (entry.storageType == ProDosFs.STORAGE_SAPLING) {
+            result.push(entry.keyBlock);
+        } else if (entry.storageType == ProDosFs.STORAGE_TREE) {
+            let numBlocks = Math.ceil(entry.length / ProDosFs.BLOCK_SIZE);
+            let master = ProDosFs.readIndex(this.disk.readBlock(entry.keyBlock),
+                Math.ceil(numBlocks / 256));
+            result.push(entry.keyBlock, ...master.filter((block) => block != 0));
+        }
+        return result;
+    }
+
+    //
+    // Allocates blocks, marking them as in-use in the bitmap.
+    //
+    //  bitmap: volume bitmap data; will be modified
+    //  totalBlocks: number of blocks on the volume
+    //  count: number of blocks needed
+    //  (returns): array of block numbers
+    //
+    static allocBlocks(bitmap, totalBlocks, count) {
+        let result = [];
+        for (let block = 0; block < totalBlocks && result.length < count; block++) {
+            let mask = 0x80 >> (block & 0x07);
+            if ((bitmap[block >> 3] & mask) != 0) {
+                bitmap[block >> 3] &= ~mask;
+                result.push(block);
+            }
+        }
+        if (result.length < count) {
+            throw new Error("disk is full");
+        }
+        return result;
+    }
+}
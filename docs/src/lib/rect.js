@@ -76,6 +76,14 @@ export default class Rect {
                yc >= this.mTop && yc < this.mTop + this.mHeight;
     }
 
+    //
+    // Returns true if the other rect has the same position and size.
+    //
+    equals(otherRect) {
+        return this.mLeft === otherRect.mLeft && this.mTop === otherRect.mTop &&
+            this.mWidth === otherRect.mWidth && this.mHeight === otherRect.mHeight;
+    }
+
     //
     // Returns a new rect with an offset position.
     //
@@ -0,0 +1,259 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Rect from "./rect.js";
+import Debug from "./debug.js";
+
+//
+// Non-rectangular selection.  This is a one-byte-per-pixel mask that covers the selection's
+// bounding rect, which is in picture coordinates.  Nonzero entries are selected.
+//
+// Rectangular selections don't need a mask, so the editor represents them with just the
+// outline rect.
+//
+// Instances are immutable.  Moving a mask creates a new object that shares the bits.
+//
+export default class SelectionMask {
+    //
+    // Constructor.
+    //
+    //  rect: bounding rect, in picture coordinates
+    //  bits: Uint8Array with one entry per pixel in the rect
+    //
+    constructor(rect, bits) {
+        Debug.assert(rect instanceof Rect && !rect.isEmpty, "bad mask rect");
+        Debug.assert(bits.length == rect.width * rect.height, "bad mask length");
+        this.rect = rect;
+        this.bits = bits;
+        this.mEdges = undefined;
+    }
+
+    toString() {
+        return `[SelectionMask ${this.rect}]`;
+    }
+
+    //
+    // Creates a mask from a picture-sized bitmap, trimming it to the selected area.
+    //
+    //  width, height: picture dimensions
+    //  bitmap: Uint8Array with one entry per picture pixel
+    //  (returns): new mask, or undefined if nothing is selected
+    //
+    static fromBitmap(width, height, bitmap) {
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (bitmap[row * width + col] != 0) {
+                    if (col < minX) { minX = col; }
+                    if (col > maxX) { maxX = col; }
+                    if (row < minY) { minY = row; }
+                    if (row > maxY) { maxY = row; }
+                }
+            }
+        }
+        if (maxX < 0) {
+            return undefined;
+        }
+        let rect = Rect.fromCoords(minX, minY, maxX, maxY);
+        let bits = new Uint8Array(rect.width * rect.height);
+        for (let row = 0; row < rect.height; row++) {
+            let srcOffset = (rect.top + row) * width + rect.left;
+            bits.set(bitmap.subarray(srcOffset, srcOffset + rect.width), row * rect.width);
+        }
+        return new SelectionMask(rect, bits);
+    }
+
+    //
+    // Creates a mask with every pixel in the rect selected.
+    //
+    static fromRect(rect) {
+        return new SelectionMask(rect, new Uint8Array(rect.width * rect.height).fill(1));
+    }
+
+    //
+    // Combines two selections.
+    //
+    //  width, height: picture dimensions
+    //  first: first selection; may be undefined
+    //  second: selection to add to or remove from the first
+    //  subtract: if true, remove the second selection from the first; otherwise add it
+    //  (returns): new mask, or undefined if nothing is selected
+    //
+    static combine(width, height, first, second, subtract) {
+        let bitmap = new Uint8Array(width * height);
+        let paint = (mask, value) => {
+            let rect = mask.rect;
+            for (let row = 0; row < rect.height; row++) {
+                for (let col = 0; col < rect.width; col++) {
+                    let xc = rect.left + col;
+                    let yc = rect.top + row;
+                    if (mask.bits[row * rect.width + col] != 0 &&
+                            xc >= 0 && xc < width && yc >= 0 && yc < height) {
+                        bitmap[yc * width + xc] = value;
+                    }
+                }
+            }
+        };
+        if (first !== undefined) {
+            paint(first, 1);
+        }
+        paint(second, subtract ? 0 : 1);
+        return SelectionMask.fromBitmap(width, height, bitmap);
+    }
+
+    //
+    // Returns true if every pixel in the rect is selected.
+    //
+    get isRectangular() {
+        return this.bits.every((val) => val != 0);
+    }
+
+    //
+    // Creates a mask from a polygon.  The interior is filled with the even-odd rule, and the
+    // outline is included, so the mask matches what the filled polygon tool would draw.
+    //
+    //  points: array of [x,y] vertices
+    //  width, height: picture dimensions; the polygon is clipped to these
+    //  (returns): new mask, or undefined if nothing is selected
+    //
+    static fromPolygon(points, width, height) {
+        let bitmap = new Uint8Array(width * height);
+        let setSpan = (left, right, yc) => {
+            if (yc < 0 || yc >= height) {
+                return;
+            }
+            left = Math.max(left, 0);
+            right = Math.min(right, width - 1);
+            if (left <= right) {
+                bitmap.fill(1, yc * width + left, yc * width + right + 1);
+            }
+        };
+
+        // Fill the interior.  Each edge includes its top end but not its bottom end, so
+        // vertices aren't counted twice.
+        let minY = Math.min(...points.map((pt) => pt[1]));
+        let maxY = Math.max(...points.map((pt) => pt[1]));
+        for (let yc = minY; yc <= maxY; yc++) {
+            let crossings = [];
+            for (let i = 0; i < points.length; i++) {
+                let [x0, y0] = points[i];
+                let [x1, y1] = points[(i + 1) % points.length];
+                if ((yc >= y0 && yc < y1) || (yc >= y1 && yc < y0)) {
+                    crossings.push(x0 + (yc - y0) * (x1 - x0) / (y1 - y0));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                setSpan(Math.round(crossings[i]), Math.round(crossings[i + 1]), yc);
+            }
+        }
+
+        // Add the outline, using the standard Bresenham line algorithm.
+        for (let i = 0; i < points.length; i++) {
+            let [xc, yc] = points[i];
+            let [x1, y1] = points[(i + 1) % points.length];
+            let deltaX = Math.abs(x1 - xc);
+            let moveX = (xc < x1) ? 1 : -1;
+            let deltaY = -Math.abs(y1 - yc);
+            let moveY = (yc < y1) ? 1 : -1;
+            let error = deltaX + deltaY;
+            while (true) {
+                setSpan(xc, xc, yc);
+                if (xc == x1 && yc == y1) {
+                    break;
+                }
+                let error2 = error * 2;
+                if (error2 >= deltaY) {
+                    error += deltaY;
+                    xc += moveX;
+                }
+                if (error2 <= deltaX) {
+                    error += deltaX;
+                    yc += moveY;
+                }
+            }
+        }
+        return SelectionMask.fromBitmap(width, height, bitmap);
+    }
+
+    //
+    // Returns true if the pixel at the specified picture coordinates is selected.
+    //
+    contains(xc, yc) {
+        if (!this.rect.contains(xc, yc)) {
+            return false;
+        }
+        return this.bits[(yc - this.rect.top) * this.rect.width + (xc - this.rect.left)] != 0;
+    }
+
+    //
+    // Returns a copy of the mask, moved by the specified amount.
+    //
+    translate(deltaX, deltaY) {
+        let mask = new SelectionMask(this.rect.translate(deltaX, deltaY), this.bits);
+        mask.mEdges = this.mEdges;      // edges are relative to the rect, so they still apply
+        return mask;
+    }
+
+    //
+    // Returns the boundary between selected and unselected pixels, as a list of horizontal
+    // and vertical line segments, [x0,y0,x1,y1].  Coordinates are relative to the top-left
+    // corner of the rect, and fall on pixel edges.  Computed on first use.
+    //
+    get edges() {
+        if (this.mEdges !== undefined) {
+            return this.mEdges;
+        }
+        let width = this.rect.width;
+        let height = this.rect.height;
+        let isSet = (col, row) => {
+            return col >= 0 && col < width && row >= 0 && row < height &&
+                this.bits[row * width + col] != 0;
+        };
+        let edges = [];
+        // Horizontal edges, above each row (and below the last).  Merge adjacent pieces.
+        for (let row = 0; row <= height; row++) {
+            let runStart = -1;
+            for (let col = 0; col <= width; col++) {
+                let isEdge = col < width && isSet(col, row - 1) != isSet(col, row);
+                if (isEdge && runStart < 0) {
+                    runStart = col;
+                } else if (!isEdge && runStart >= 0) {
+                    edges.push([runStart, row, col, row]);
+                    runStart = -1;
+                }
+            }
+        }
+        // Vertical edges, left of each column (and right of the last).
+        for (let col = 0; col <= width; col++) {
+            let runStart = -1;
+            for (let row = 0; row <= height; row++) {
+                let isEdge = row < height && isSet(col - 1, row) != isSet(col, row);
+                if (isEdge && runStart < 0) {
+                    runStart = row;
+                } else if (!isEdge && runStart >= 0) {
+                    edges.push([col, runStart, col, row]);
+                    runStart = -1;
+                }
+            }
+        }
+        this.mEdges = edges;
+        return edges;
+    }
+}
@@ -17,9 +17,10 @@
 /*
 Implementation of Apple II standard hi-res graphics.
 
-This does not model half-pixel shifts or NTSC fringe effects.  The screen is regarded as
-280x192 whether we're currently displaying it as color or monochrome.  When generating color,
-we need to look at the bits surrounding each pixel to determine what the color should be.
+The standard color rendering does not model half-pixel shifts or NTSC fringe effects.  The
+screen is regarded as 280x192 whether we're currently displaying it as color or monochrome.
+When generating color, we need to look at the bits surrounding each pixel to determine what
+the color should be.
 Examples ('B'=black, 'W'=white, 'G'=green, 'P'=purple, bits reversed to match screen order):
  $00 x-> 0000000 -> BBBBBBB
  $7f x-> 1111111 -> WWWWWWW
@@ -41,6 +42,16 @@ For any given pixel, we can determine its base color based on the three bits bef
 after the pixel's position.  This is combined with the high bit of the pixel's byte to determine
 whether we use green/purple or orange/blue.
 
+An alternate color renderer simulates the composite video signal instead.  The hardware
+shifts each bit out twice, producing 14 "dots" per byte on a 560-dot line.  If the byte's
+high bit is set, the output is delayed by one dot, and the last dot of the previous byte is
+held for an extra dot.  A color monitor decodes the signal in 4-dot groups, one per cycle
+of the color reference, so the color seen at any point depends on the 4 dots around it.  We
+treat each pixel as the center of a 4-dot window, running from the dot before the pixel to
+the dot after it, and use the window contents to select one of the 16 colors.  This
+reproduces the color fringes at the edges of shapes, and the color changes caused by the
+half-pixel shift, without altering the pixel grid.
+
 To render the pixel data for display, we use an ImageData object, which allows us to specify
 pixels as RGBA8888 data.  ImageData objects are created for a specific Canvas context, and we
 want to keep our objects independent from Canvas, so we need to pass ImageData objects in as
@@ -70,6 +81,7 @@ export default class StdHiRes {
     static MAX_LEN = StdHiRes.EXPECTED_LEN;
     static NUM_COLS = 280;
     static NUM_COL_BYTES = 280 / 7;
+    static PIXELS_PER_BYTE = 7;
     static NUM_ROWS = 192;
     static MODE_BYTE_OFFSET = 120;
     static SIG_BYTE_OFFSET = 121;
@@ -113,6 +125,8 @@ export default class StdHiRes {
             // Make a copy of the data in the ArrayBuffer.
             this.rawBytes = new Uint8Array(arrayBuffer);
         }
+        // If set, color images are rendered with the NTSC simulation.
+        this.useNtsc = false;
     }
 
     toString() { return "[StdHiRes]"; }
@@ -140,27 +154,39 @@ export default class StdHiRes {
         3,      // 111  white0/white1
     ];
     // Map the hi-res color index [0,7] to an RGBA color.
-    static colorToRGBA = [
-        gColorPalette.get("Black"),
-        gColorPalette.get("Purple"),
-        gColorPalette.get("LightGreen"),
-        gColorPalette.get("White"),
-        gColorPalette.get("Black"),
-        gColorPalette.get("MediumBlue"),
-        gColorPalette.get("Orange"),
-        gColorPalette.get("White")
-    ];
+    static colorToRGBA = StdHiRes.makeColorTable(false);
+    // Colors for the NTSC renderer, indexed by the 4-dot window value.  Bit 0 holds the dot
+    // at phase 0 of the color cycle.  This matches the lo-res color numbering.
+    static ntscToRGBA = Array.from(gColorPalette.values());
     // Alternate palette that makes black1/white1 visually distinct.
-    static colorToRGBAAlt = [
-        gColorPalette.get("Black"),
-        gColorPalette.get("Purple"),
-        gColorPalette.get("LightGreen"),
-        gColorPalette.get("White"),
-        0x101040ff,
-        gColorPalette.get("MediumBlue"),
-        gColorPalette.get("Orange"),
-        0xefefffff
-    ];
+    static colorToRGBAAlt = StdHiRes.makeColorTable(true);
+
+    //
+    // Generates the hi-res color table from the current display palette.
+    //
+    //  distinct: if true, black1 and white1 are tinted so they can be told apart
+    //
+    static makeColorTable(distinct) {
+        return [
+            gColorPalette.get("Black"),
+            gColorPalette.get("Purple"),
+            gColorPalette.get("LightGreen"),
+            gColorPalette.get("White"),
+            distinct ? 0x101040ff : gColorPalette.get("Black"),
+            gColorPalette.get("MediumBlue"),
+            gColorPalette.get("Orange"),
+            distinct ? 0xefefffff : gColorPalette.get("White")
+        ];
+    }
+
+    //
+    // Regenerates the color tables after the display palette has changed.
+    //
+    static updatePalette() {
+        StdHiRes.colorToRGBA = StdHiRes.makeColorTable(false);
+        StdHiRes.ntscToRGBA = Array.from(gColorPalette.values());
+        StdHiRes.colorToRGBAAlt = StdHiRes.makeColorTable(true);
+    }
 
     //
     // Checks to see if the size of the file matches our requirements.
@@ -263,11 +289,25 @@ export default class StdHiRes {
                 // console.log(`col renderArea L=${left} W=${width} -> NL=${newLeft} NW=${newWidth}`);
                 left = newLeft;
                 width = newWidth;
+
+                if (this.useNtsc) {
+                    // The NTSC window extends one pixel past the byte, and the high bit
+                    // affects the held dot at the left edge, so expand by one more pixel.
+                    if (left > 0) {
+                        left--;
+                        width++;
+                    }
+                    if (left + width < StdHiRes.NUM_COLS) {
+                        width++;
+                    }
+                }
         }
         // Do the actual render.
         for (let row = top; row < top + height; row++) {
             if (asMono) {
                 this.renderLineAsMono(rgbaData, row, left, width, undefined);
+            } else if (this.useNtsc) {
+                this.renderLineAsNtsc(rgbaData, row, left, width);
             } else {
                 this.renderLineAsColor(rgbaData, row, left, width, undefined);
             }
@@ -389,6 +429,62 @@ export default class StdHiRes {
         }
     }
 
+    //
+    // Renders a section of one line, simulating the NTSC composite signal.
+    //
+    // The caller is expected to have expanded the left/width arguments to cover all pixels that
+    // can be dirty.
+    //
+    //  rgbaData: ImageData pixel storage (Uint8ClampedArray, RGBA order)
+    //  row: row number [0,191]
+    //  left: leftmost column [0,279]
+    //  width: number of columns [1,280]
+    //
+    renderLineAsNtsc(rgbaData, row, left, width) {
+        let dots = this.generateDots(row);
+        for (let col = left; col < left + width; col++) {
+            // Window spans dots (col*2 - 1) through (col*2 + 2).  In the dots array, dot N
+            // is at index N+1.
+            let firstDot = col * 2 - 1;
+            let value = 0;
+            for (let i = 0; i < 4; i++) {
+                value |= dots[firstDot + i + 1] << ((firstDot + i) & 0x03);
+            }
+            StdHiRes.setRGBAColor(rgbaData, col, row, StdHiRes.NUM_COLS,
+                StdHiRes.ntscToRGBA[value]);
+        }
+    }
+
+    //
+    // Generates the 560-dot signal for one line.  The array has one extra entry at each end,
+    // so dot N is at index N+1.  The extra entries are zero, except that a delayed final byte
+    // pushes its last dot into the right-hand entry.
+    //
+    //  row: row number [0,191]
+    //  (returns): Uint8Array with one entry (0 or 1) per dot
+    //
+    generateDots(row) {
+        let dots = new Uint8Array(StdHiRes.NUM_COLS * 2 + 2);
+        let rowOffset = StdHiRes.rowToOffset(row);
+        let prevDot = 0;
+        for (let byteCol = 0; byteCol < StdHiRes.NUM_COL_BYTES; byteCol++) {
+            let byteVal = this.rawBytes[rowOffset + byteCol];
+            let posn = byteCol * 14 + 1;
+            if ((byteVal & 0x80) != 0) {
+                // Delayed: hold the previous dot.  The last dot of this byte will be
+                // overwritten by the next byte.
+                dots[posn++] = prevDot;
+            }
+            for (let bit = 0; bit < 7; bit++) {
+                let dot = (byteVal >> bit) & 0x01;
+                dots[posn++] = dot;
+                dots[posn++] = dot;
+            }
+            prevDot = (byteVal >> 6) & 0x01;
+        }
+        return dots;
+    }
+
     //
     // Renders a pattern into a strip of colors.  The left/right edges are treated as if the
     // pattern wraps around.
@@ -657,6 +753,41 @@ export default class StdHiRes {
         return map;
     }
 
+    //
+    // Returns the color of a single pixel, as it appears on a color display.
+    //
+    // Unlike the color map, black1/white1 are not converted to black0/white0.
+    //
+    //  xc: column [0,279]
+    //  yc: row [0,191]
+    //  (returns): color value 0-7
+    //
+    getColor(xc, yc) {
+        let colorMap = new Uint8Array(StdHiRes.NUM_COLS * (yc + 1));
+        this.renderLineAsColor(undefined, yc, xc, 1, colorMap);
+        return colorMap[yc * StdHiRes.NUM_COLS + xc];
+    }
+
+    //
+    // Returns the 4x2-byte color pattern cell that holds the specified pixel.  Patterns are
+    // aligned to the screen, so drawing with the result reproduces the area around the cell.
+    //
+    //  xc: column [0,279]
+    //  yc: row [0,191]
+    //  (returns): color pattern (Uint8Array)
+    //
+    getPatternCell(xc, yc) {
+        let pat = new Uint8Array(StdHiRes.PATTERN_LEN);
+        let colOffset = Math.trunc(xc / 7) & ~0x03;
+        let row = yc & ~0x01;
+        // Even rows use pattern bytes 0-3, odd rows use pattern bytes 4-7.
+        for (let i = 0; i < StdHiRes.PATTERN_LEN; i++) {
+            let rowOffset = StdHiRes.rowToOffset(row + (i >> 2));
+            pat[i] = this.rawBytes[rowOffset + colOffset + (i & 0x03)];
+        }
+        return pat;
+    }
+
     //
     // Replaces all instances of the specified color with a pattern.  This reads from the color
     // map and writes to the raw image.
@@ -708,9 +839,11 @@ export default class StdHiRes {
     // Generates a clipping from the specified rectangle.
     //
     //  left, top, width, height: rectangular area to clip
+    //  pixelMask: optional Uint8Array with one entry per pixel in the area; pixels with
+    //    zero entries are excluded from the clipping
     //  (returns) new Clipping object
     //
-    createClipping(left, top, width, height) {
+    createClipping(left, top, width, height, pixelMask) {
         Debug.assert(StdHiRes.isValidScreenArea(left, top, width, height));
         // Calculate array dimensions.
         let leftByteCol = Math.trunc(left / 7);
@@ -751,11 +884,212 @@ export default class StdHiRes {
             }
         }
 
+        // Remove the unselected pixels from the mask.  If none of the pixels in a byte are
+        // left, remove the MSB as well, so we don't alter the color of adjacent pixels.
+        if (pixelMask !== undefined) {
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col++) {
+                    if (pixelMask[row * width + col] == 0) {
+                        let bitPos = xoffLeft + col;
+                        maskArray[row * byteWidth + Math.trunc(bitPos / 7)] &=
+                            ~(1 << (bitPos % 7));
+                    }
+                }
+                for (let i = row * byteWidth; i < (row + 1) * byteWidth; i++) {
+                    if ((maskArray[i] & 0x7f) == 0) {
+                        maskArray[i] = 0;
+                    }
+                }
+            }
+        }
+
         let clipping = new Clipping(StdHiRes.FORMAT_NAME, width, height, byteWidth,
             xoffLeft, pixArray, maskArray);
         return clipping;
     }
 
+    //
+    // Extracts the pixels from a clipping, unpacking the 7-bit-per-byte layout.
+    //
+    //  (returns): [values, mask]; arrays with width*height entries.  Bit 0 of each value
+    //    is the pixel, bit 1 is the palette (high) bit from the byte that held it.
+    //
+    clippingToPixels(clipping) {
+        let values = new Uint8Array(clipping.width * clipping.height);
+        let mask = new Uint8Array(clipping.width * clipping.height);
+        for (let row = 0; row < clipping.height; row++) {
+            for (let col = 0; col < clipping.width; col++) {
+                let bitPos = clipping.leftOff + col;
+                let srcOffset = row * clipping.byteStride + Math.trunc(bitPos / 7);
+                let bit = 1 << (bitPos % 7);
+                let pixByte = clipping.pixArray[srcOffset];
+                values[row * clipping.width + col] =
+                    ((pixByte & bit) != 0 ? 0x01 : 0) | ((pixByte & 0x80) != 0 ? 0x02 : 0);
+                mask[row * clipping.width + col] =
+                    (clipping.maskArray[srcOffset] & bit) != 0 ? 1 : 0;
+            }
+        }
+        return [values, mask];
+    }
+
+    //
+    // Creates a clipping from per-pixel values.  This is the inverse of clippingToPixels().
+    //
+    // The pixels are packed into bytes that line up with the screen bytes at the position
+    // where the clipping will be drawn.  Pixels that land in the same byte may have come
+    // from bytes with different palette bits, so we go with the majority, giving priority
+    // to pixels that are set.
+    //
+    //  values: array of pixel values, width*height entries
+    //  mask: array with width*height entries; pixels with nonzero entries are included
+    //  width, height: clipping dimensions
+    //  left: screen X coordinate of the left edge
+    //
+    pixelsToClipping(values, mask, width, height, left) {
+        let leftOff = left % 7;
+        if (leftOff < 0) { leftOff += 7; }
+        let byteWidth = Math.trunc((leftOff + width - 1) / 7) + 1;
+        let pixArray = new Uint8Array(byteWidth * height);
+        let maskArray = new Uint8Array(byteWidth * height);
+        for (let row = 0; row < height; row++) {
+            for (let byteCol = 0; byteCol < byteWidth; byteCol++) {
+                let pixByte = 0;
+                let maskByte = 0;
+                let setCount = 0, setHighCount = 0;
+                let inclCount = 0, inclHighCount = 0;
+                for (let bitPos = 0; bitPos < 7; bitPos++) {
+                    let col = byteCol * 7 + bitPos - leftOff;
+                    if (col < 0 || col >= width || mask[row * width + col] == 0) {
+                        continue;
+                    }
+                    let value = values[row * width + col];
+                    let isHigh = (value & 0x02) != 0;
+                    maskByte |= 1 << bitPos;
+                    inclCount++;
+                    inclHighCount += isHigh ? 1 : 0;
+                    if ((value & 0x01) != 0) {
+                        pixByte |= 1 << bitPos;
+                        setCount++;
+                        setHighCount += isHigh ? 1 : 0;
+                    }
+                }
+                if (maskByte == 0) {
+                    continue;       // leave the MSB alone too
+                }
+                let useHigh = (setCount != 0) ?
+                    setHighCount * 2 >= setCount : inclHighCount * 2 >= inclCount;
+                let offset = row * byteWidth + byteCol;
+                pixArray[offset] = pixByte | (useHigh ? 0x80 : 0);
+                maskArray[offset] = maskByte | 0x80;
+            }
+        }
+        return new Clipping(StdHiRes.FORMAT_NAME, width, height, byteWidth, leftOff,
+            pixArray, maskArray);
+    }
+
+    //
+    // Extracts the colors from a clipping.  The color of each pixel depends on its neighbors,
+    // on whether it's in an odd or even column on the screen, and on the palette bit.
+    // Pixels past the edges of the clipping are treated as black.
+    //
+    //  clipping: Clipping object
+    //  left: screen X coordinate of the left edge
+    //  (returns): [colors, mask]; arrays with width*height entries.  Colors are [0,7],
+    //    as in the color map.
+    //
+    clippingToColors(clipping, left) {
+        let width = clipping.width;
+        let [values, mask] = this.clippingToPixels(clipping);
+        let colors = new Uint8Array(values.length);
+        for (let row = 0; row < clipping.height; row++) {
+            let rowOffset = row * width;
+            let getBit = (col) => (col >= 0 && col < width) ? values[rowOffset + col] & 0x01 : 0;
+            for (let col = 0; col < width; col++) {
+                let bits = (getBit(col - 1) << 2) | (getBit(col) << 1) | getBit(col + 1);
+                let oddAdj = ((left + col) & 0x01) << 3;
+                let highAdj = (values[rowOffset + col] & 0x02) << 1;
+                colors[rowOffset + col] = StdHiRes.bitsToColor[bits | oddAdj] | highAdj;
+            }
+        }
+        return [colors, mask];
+    }
+
+    //
+    // Creates a clipping from per-pixel colors.  This is the inverse of clippingToColors().
+    //
+    // Purple/blue pixels are only set in even columns, and green/orange pixels only in odd
+    // columns, so areas of color come out right wherever they land.  The palette bit comes
+    // from the color, and the majority wins if a byte has a mix.
+    //
+    //  colors: array of color numbers [0,7], width*height entries
+    //  mask: array with width*height entries; pixels with nonzero entries are included
+    //  width, height: clipping dimensions
+    //  left: screen X coordinate of the left edge
+    //
+    colorsToClipping(colors, mask, width, height, left) {
+        let values = new Uint8Array(colors.length);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let offset = row * width + col;
+                let color = colors[offset];
+                let isOdd = ((left + col) & 0x01) != 0;
+                let isSet;
+                switch (color & 0x03) {
+                    case 0: isSet = false; break;       // black
+                    case 1: isSet = !isOdd; break;      // purple/blue
+                    case 2: isSet = isOdd; break;       // green/orange
+                    case 3: isSet = true; break;        // white
+                }
+                values[offset] = (isSet ? 0x01 : 0) | ((color & 0x04) >> 1);
+            }
+        }
+        return this.pixelsToClipping(values, mask, width, height, left);
+    }
+
+    //
+    // Re-encodes a clipping that will be drawn an odd number of pixels away from where its
+    // colors were established.
+    //
+    // Pixels with a lit neighbor appear white wherever they are, so they're left alone.
+    // (Only pixels included in the clipping count as neighbors.)  Isolated pixels are
+    // colored according to whether their column is odd or even, so they are moved one pixel
+    // to the left to keep their color.  To make room, the new clipping has an extra column
+    // on the left, and must be drawn one pixel to the left.
+    //
+    //  clipping: Clipping object
+    //  dstLeft: X coordinate at which the original clipping would be drawn
+    //  (returns): new Clipping, one pixel wider
+    //
+    shiftClippingColors(clipping, dstLeft) {
+        let width = clipping.width;
+        let newWidth = width + 1;
+        let [values, mask] = this.clippingToPixels(clipping);
+        let newValues = new Uint8Array(newWidth * clipping.height);
+        let newMask = new Uint8Array(newWidth * clipping.height);
+        for (let row = 0; row < clipping.height; row++) {
+            let rowOffset = row * width;
+            let newOffset = row * newWidth;
+            let getBit = (col) => (col >= 0 && col < width && mask[rowOffset + col] != 0) ?
+                values[rowOffset + col] & 0x01 : 0;
+            // Copy everything over, shifted right to leave room for the new column.
+            for (let col = 0; col < width; col++) {
+                newValues[newOffset + col + 1] = values[rowOffset + col];
+                newMask[newOffset + col + 1] = mask[rowOffset + col];
+            }
+            // Move isolated pixels back to the left.  The pixel to the left of an isolated
+            // pixel is always clear, so nothing gets overwritten.
+            for (let col = 0; col < width; col++) {
+                if (getBit(col) != 0 && getBit(col - 1) == 0 && getBit(col + 1) == 0) {
+                    newValues[newOffset + col + 1] &= ~0x01;
+                    newValues[newOffset + col] = values[rowOffset + col];
+                    newMask[newOffset + col] = 1;
+                }
+            }
+        }
+        return this.pixelsToClipping(newValues, newMask, newWidth, clipping.height,
+            dstLeft - 1);
+    }
+
     //
     // Converts a 1bpp bitmap to a clipping, applying the color pattern to the set pixels.
     // The mask is set to the bitmap's bits before the pattern is applied.
@@ -952,6 +1286,17 @@ export default class StdHiRes {
                         // Exclusive-OR all the bits, including the MSB.
                         this.rawBytes[rowOffset + hgrByteCol] ^= srcByte & srcMask;
                         break;
+                    case Clipping.XFER_AND:
+                        // AND the bits included by the mask, including the MSB.
+                        this.rawBytes[rowOffset + hgrByteCol] &= srcByte | ~srcMask;
+                        break;
+                    case Clipping.XFER_NAND:
+                        // Replace the bits included by the mask with the inverse of the
+                        // AND, including the MSB.
+                        curVal = this.rawBytes[rowOffset + hgrByteCol];
+                        newVal = ((~(srcByte & curVal) ^ curVal) & srcMask) ^ curVal;
+                        this.rawBytes[rowOffset + hgrByteCol] = newVal & 0xff;
+                        break;
                     default:
                         throw new Error("unhandled xferMode: " + xferMode);
                 }
@@ -1022,6 +1367,28 @@ export default class StdHiRes {
         return pat;
     }
 
+    //
+    // Converts a color pattern to a string of hex digits, e.g. "2a552a55552a552a".
+    //
+    static patternToString(pat) {
+        return Array.from(pat, (val) => val.toString(16).padStart(2, "0")).join("");
+    }
+
+    //
+    // Converts a string generated by patternToString() back to a pattern.  Returns undefined
+    // if the string isn't valid.
+    //
+    static patternFromString(str) {
+        if (typeof str !== "string" || !/^[0-9a-fA-F]{16}$/.test(str)) {
+            return undefined;
+        }
+        let pat = new Uint8Array(StdHiRes.PATTERN_LEN);
+        for (let i = 0; i < StdHiRes.PATTERN_LEN; i++) {
+            pat[i] = parseInt(str.substring(i * 2, i * 2 + 2), 16);
+        }
+        return pat;
+    }
+
     //
     // Returns an array of dithered patterns.
     //
@@ -1045,6 +1412,75 @@ export default class StdHiRes {
         return patarray;
     }
 
+    //
+    // Returns the Graphics Magician patterns that lie between two patterns, for use as the
+    // intermediate steps of a gradient.  A pattern qualifies if it's made only of colors that
+    // appear in the start and end patterns, so mixing it in doesn't introduce new colors.
+    // Its position is based on the fraction of its pixels that have the end pattern's
+    // colors.  Only the first pattern found at each position is kept.
+    //
+    //  startPat, endPat: color patterns
+    //  (returns): array of { pat, pos } objects, sorted by position; pos is in (0,1)
+    //
+    static getBlendPatterns(startPat, endPat) {
+        if (StdHiRes.checkMsbPattern(startPat) >= 0 || StdHiRes.checkMsbPattern(endPat) >= 0) {
+            return [];
+        }
+        let image = new StdHiRes();
+        let startColors = StdHiRes.getPatternColors(image, startPat);
+        let endColors = StdHiRes.getPatternColors(image, endPat);
+        // Score each pixel by how much it looks like the end pattern.
+        let score = (colors) => {
+            let sum = 0;
+            for (let color of colors) {
+                sum += (endColors.includes(color) ? 1 : 0) - (startColors.includes(color) ? 1 : 0);
+            }
+            return sum;
+        };
+        let startScore = score(startColors);
+        let endScore = score(endColors);
+        if (startScore == endScore) {
+            return [];
+        }
+
+        let isForeign = (color) => !startColors.includes(color) && !endColors.includes(color);
+        let steps = [];
+        for (let pat of StdHiRes.getDitherPatterns()) {
+            let colors = StdHiRes.getPatternColors(image, pat);
+            if (colors.some(isForeign)) {
+                continue;
+            }
+            let pos = (score(colors) - startScore) / (endScore - startScore);
+            if (pos > 0 && pos < 1 && !steps.some((step) => step.pos == pos)) {
+                steps.push({ pat: pat, pos: pos });
+            }
+        }
+        steps.sort((a, b) => a.pos - b.pos);
+        return steps;
+    }
+
+    //
+    // Returns the colors of the pixels in one 28x2 cell of a color pattern.
+    //
+    //  image: scratch image; the first two rows are overwritten
+    //  pat: color pattern
+    //  (returns): array of color values, with black1/white1 converted to black0/white0
+    //
+    static getPatternColors(image, pat) {
+        const cellWidth = StdHiRes.PIXELS_PER_BYTE * 4;
+        let colorMap = new Uint8Array(StdHiRes.NUM_COLS * 2);
+        let colors = [];
+        for (let row = 0; row < 2; row++) {
+            image.plotHorizSegment(0, row, StdHiRes.NUM_COLS, pat);
+            image.renderLineAsColor(undefined, row, 0, StdHiRes.NUM_COLS, colorMap);
+            // Skip the first cell, which is affected by the left edge of the screen.
+            for (let col = cellWidth; col < cellWidth * 2; col++) {
+                colors.push(colorMap[row * StdHiRes.NUM_COLS + col]);
+            }
+        }
+        return colors;
+    }
+
     //
     // Returns 0x00, 0x80, or -1 depending on whether the pattern is transparent-low,
     // transparent-high, or opaque.
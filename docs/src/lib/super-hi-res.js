@@ -0,0 +1,600 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+Implementation of Apple IIgs super hi-res graphics.
+
+The super hi-res screen is a 32KB block of memory, usually stored on disk as an uncompressed
+PIC file (file type $C1, aux type $0000).  It's laid out as:
+
+  $0000-$7cff: pixel data, 200 rows of 160 bytes each
+  $7d00-$7dc7: scanline control bytes (SCBs), one per row
+  $7dc8-$7dff: unused
+  $7e00-$7fff: 16 color palettes, with 16 entries of 2 bytes each
+
+Each palette entry is a little-endian 16-bit value, $0RGB.
+
+The SCB determines how each row is displayed.  Bits 0-3 select the palette, bit 5 enables
+"fill" mode, and bit 7 selects 640 mode.  In 320 mode each byte holds two 4-bit pixels, with
+the leftmost pixel in the high nibble.  In 640 mode each byte holds four 2-bit pixels, again
+leftmost first, and each pixel position within the byte selects from a different group of four
+palette entries: the first pixel uses entries 8-11, the second 12-15, the third 0-3, and the
+fourth 4-7.  In fill mode, a 320-mode pixel with value zero is drawn with the color of the
+pixel to its left.
+
+Because the mode can change on every row, we regard the screen as 640x200.  In 320 mode
+rows, each pixel covers two adjacent dots, so setting either dot sets the whole pixel.  The
+Picture displays rows at double height so the proportions match the screen.
+
+Color patterns are 4 pixels wide by two rows high, like StdHiRes, but each entry holds a
+palette entry number [0,15].  In 640 mode rows only the low two bits of the entry number
+are stored, so the color displayed depends on the column.
+
+The color map used for flood fills holds palette entry numbers, so a fill treats pixels that
+use the same entry as the same color, even if they're on rows with different palettes.
+*/
+
+import StdHiRes from "./std-hi-res.js";
+import Clipping from "./clipping.js";
+import Debug from "./debug.js";
+
+//
+// Manage a 32KB super hi-res screen.
+//
+export default class SuperHiRes {
+    static FORMAT_NAME = "super-hi-res";
+    static EXPECTED_LEN = 32768;
+    static NUM_COLS = 640;
+    static NUM_ROWS = 200;
+    static BYTES_PER_ROW = 160;
+    static SCB_OFFSET = 0x7d00;
+    static PALETTE_OFFSET = 0x7e00;
+    static NUM_PALETTES = 16;
+    static NUM_PALETTE_ENTRIES = 16;
+
+    // Scanline control byte fields.
+    static SCB_640 = 0x80;
+    static SCB_FILL = 0x20;
+    static SCB_PALETTE_MASK = 0x0f;
+
+    // Patterns are 4 pixels wide by two rows high, one palette entry number per pixel.
+    static PATTERN_LEN = 4 * 2;
+
+    // Pattern with all pixels set to palette entry zero, used for operations like "cut".
+    CLEAR_PATTERN = new Uint8Array(SuperHiRes.PATTERN_LEN);
+
+    // Standard QuickDraw II 320-mode palette, used for new images.
+    static DEFAULT_PALETTE = [
+        0x0000, 0x0777, 0x0841, 0x072c, 0x000f, 0x0080, 0x0f70, 0x0d00,
+        0x0fa9, 0x0ff0, 0x00e0, 0x04df, 0x0daf, 0x078f, 0x0ccc, 0x0fff
+    ];
+
+    //
+    // Constructor.  Loads raw image data from a file ArrayBuffer, or creates a new blank image.
+    //
+    // Throws an exception if the file contents are incompatible.
+    //
+    //  buffer: ArrayBuffer object, or undefined for a new image
+    //
+    constructor(arrayBuffer) {
+        if (arrayBuffer === undefined) {
+            // All rows use 320 mode and palette 0.  Set every palette to the default colors.
+            this.rawBytes = new Uint8Array(SuperHiRes.EXPECTED_LEN);
+            for (let pal = 0; pal < SuperHiRes.NUM_PALETTES; pal++) {
+                for (let i = 0; i < SuperHiRes.NUM_PALETTE_ENTRIES; i++) {
+                    let offset = SuperHiRes.paletteEntryOffset(pal, i);
+                    this.rawBytes[offset] = SuperHiRes.DEFAULT_PALETTE[i] & 0xff;
+                    this.rawBytes[offset + 1] = SuperHiRes.DEFAULT_PALETTE[i] >> 8;
+                }
+            }
+        } else {
+            if (!SuperHiRes.checkMatch(arrayBuffer.byteLength)) {
+                throw new Error("incorrect size");      // should have been caught earlier
+            }
+            this.rawBytes = new Uint8Array(arrayBuffer);
+        }
+    }
+
+    toString() { return "[SuperHiRes]"; }
+
+    //
+    // Checks to see if the size of the file matches our requirements.
+    //
+    static checkMatch(size) {
+        return size == SuperHiRes.EXPECTED_LEN;
+    }
+
+    //
+    // Returns a typed array (Uint8Array) with the raw data.  This is a reference to the
+    // original, not a copy.
+    //
+    get rawData() { return this.rawBytes; }
+
+    //
+    // Replaces the raw data array.  The reference will be used directly, not copied.
+    //
+    // This should only be used for undo/redo operations.
+    //
+    set rawData(value) { this.rawBytes = value; }
+
+    //
+    // Super hi-res doesn't have a monochrome mode.
+    //
+    get preferMono() { return false; }
+
+    //
+    // Computes the buffer offset of a palette entry.
+    //
+    static paletteEntryOffset(palNum, entry) {
+        return SuperHiRes.PALETTE_OFFSET + (palNum * SuperHiRes.NUM_PALETTE_ENTRIES + entry) * 2;
+    }
+
+    //
+    // Returns the scanline control byte for the specified row.
+    //
+    getScb(row) {
+        return this.rawBytes[SuperHiRes.SCB_OFFSET + row];
+    }
+
+    //
+    // Converts a palette to RGBA8888 values.
+    //
+    //  palNum: palette number [0,15]
+    //  asMono: if true, convert the colors to grayscale
+    //  (returns): array of 16 RGBA values
+    //
+    paletteToRGBA(palNum, asMono) {
+        let colors = [];
+        for (let i = 0; i < SuperHiRes.NUM_PALETTE_ENTRIES; i++) {
+            let offset = SuperHiRes.paletteEntryOffset(palNum, i);
+            let red = (this.rawBytes[offset + 1] & 0x0f) * 17;
+            let green = (this.rawBytes[offset] >> 4) * 17;
+            let blue = (this.rawBytes[offset] & 0x0f) * 17;
+            if (asMono) {
+                red = green = blue = Math.round(red * 0.30 + green * 0.59 + blue * 0.11);
+            }
+            colors.push(((red << 24) | (green << 16) | (blue << 8) | 0xff) >>> 0);
+        }
+        return colors;
+    }
+
+    //
+    // Returns all 16 palettes, as arrays of RGBA8888 values.
+    //
+    getPalettes() {
+        let palettes = [];
+        for (let pal = 0; pal < SuperHiRes.NUM_PALETTES; pal++) {
+            palettes.push(this.paletteToRGBA(pal, false));
+        }
+        return palettes;
+    }
+
+    //
+    // Returns an array with the number of rows that use each palette.
+    //
+    getPaletteUsage() {
+        let counts = new Array(SuperHiRes.NUM_PALETTES).fill(0);
+        for (let row = 0; row < SuperHiRes.NUM_ROWS; row++) {
+            counts[this.getScb(row) & SuperHiRes.SCB_PALETTE_MASK]++;
+        }
+        return counts;
+    }
+
+    //
+    // Reads the palette entry number of a single dot.  Fill mode is ignored.
+    //
+    //  xc: dot column [0,639]
+    //  yc: row [0,199]
+    //  (returns): palette entry number [0,15]
+    //
+    getDot(xc, yc) {
+        let offset = yc * SuperHiRes.BYTES_PER_ROW + (xc >> 2);
+        if (this.getScb(yc) & SuperHiRes.SCB_640) {
+            let val = (this.rawBytes[offset] >> (6 - (xc & 0x03) * 2)) & 0x03;
+            return (((xc + 2) & 0x03) << 2) | val;
+        } else {
+            return (xc & 0x02) ? this.rawBytes[offset] & 0x0f : this.rawBytes[offset] >> 4;
+        }
+    }
+
+    //
+    // Sets a single dot to a palette entry.  On 320 mode rows this sets the pixel that holds
+    // the dot; on 640 mode rows only the low two bits of the entry number are stored.
+    //
+    //  xc: dot column [0,639]
+    //  yc: row [0,199]
+    //  entry: palette entry number [0,15]
+    //
+    putDot(xc, yc, entry) {
+        let offset = yc * SuperHiRes.BYTES_PER_ROW + (xc >> 2);
+        if (this.getScb(yc) & SuperHiRes.SCB_640) {
+            let shift = 6 - (xc & 0x03) * 2;
+            this.rawBytes[offset] = (this.rawBytes[offset] & ~(0x03 << shift)) |
+                ((entry & 0x03) << shift);
+        } else if (xc & 0x02) {
+            this.rawBytes[offset] = (this.rawBytes[offset] & 0xf0) | (entry & 0x0f);
+        } else {
+            this.rawBytes[offset] = (this.rawBytes[offset] & 0x0f) | ((entry & 0x0f) << 4);
+        }
+    }
+
+    //
+    // Renders the full image onto an ImageData object.
+    //
+    //  imageData: ImageData object, must be 640x200
+    //  asMono: true if we want to render as grayscale
+    //
+    renderFull(imageData, asMono) {
+        this.renderArea(imageData, asMono, 0, 0, SuperHiRes.NUM_COLS, SuperHiRes.NUM_ROWS);
+    }
+
+    //
+    // Renders an area into an ImageData object.  Use this to re-render a dirty area.
+    //
+    //  imageData: ImageData object, must be 640x200
+    //  asMono: true if we want to render as grayscale
+    //  left: leftmost column [0,639]
+    //  top: top row number [0,199]
+    //  width: number of columns [1,640]
+    //  height: number of rows [1,200]
+    //
+    renderArea(imageData, asMono, left, top, width, height) {
+        Debug.assert(SuperHiRes.isValidScreenArea(left, top, width, height),
+            "invalid args to renderArea()");
+        // 320 mode pixels are two dots wide, so expand the area to even boundaries.
+        let right = ((left + width - 1) | 0x01) + 1;
+        left &= ~0x01;
+        width = right - left;
+        let rgbaData = imageData.data;
+        for (let row = top; row < top + height; row++) {
+            this.renderLine(rgbaData, row, left, width, asMono);
+        }
+    }
+
+    //
+    // Renders a section of one line.  The left edge and width must be even.
+    //
+    //  rgbaData: ImageData pixel storage (Uint8ClampedArray, RGBA order)
+    //  row: row number [0,199]
+    //  left: leftmost column [0,639]
+    //  width: number of columns [2,640]
+    //  asMono: true if we want to render as grayscale
+    //
+    renderLine(rgbaData, row, left, width, asMono) {
+        let scb = this.getScb(row);
+        let colors = this.paletteToRGBA(scb & SuperHiRes.SCB_PALETTE_MASK, asMono);
+        if (scb & SuperHiRes.SCB_640) {
+            for (let xc = left; xc < left + width; xc++) {
+                StdHiRes.setRGBAColor(rgbaData, xc, row, SuperHiRes.NUM_COLS,
+                    colors[this.getDot(xc, row)]);
+            }
+        } else {
+            let fillMode = (scb & SuperHiRes.SCB_FILL) != 0;
+            let start = left;
+            if (fillMode) {
+                // The color of a zero pixel depends on everything to its left.
+                start = 0;
+            }
+            let lastEntry = 0;
+            for (let xc = start; xc < left + width; xc += 2) {
+                let entry = this.getDot(xc, row);
+                if (fillMode && entry == 0) {
+                    entry = lastEntry;
+                }
+                lastEntry = entry;
+                if (xc >= left) {
+                    StdHiRes.setRGBAColor(rgbaData, xc, row, SuperHiRes.NUM_COLS, colors[entry]);
+                    StdHiRes.setRGBAColor(rgbaData, xc + 1, row, SuperHiRes.NUM_COLS,
+                        colors[entry]);
+                }
+            }
+        }
+    }
+
+    //
+    // Creates an ImageData filled with the specified pattern.  Each pattern pixel is drawn
+    // as an 8x8 block.
+    //
+    //  width: desired image width, in pixels
+    //  height: desired image height, in pixels
+    //  pat: 8-entry color pattern
+    //  colors: array of 16 RGBA values to draw the palette entries with
+    //  (returns): newly-created ImageData object
+    //
+    static renderSwatch(width, height, pat, colors) {
+        Debug.assert(width > 0 && height > 0 && pat !== undefined &&
+            pat.length == SuperHiRes.PATTERN_LEN && colors !== undefined,
+            `bad args: width=${width} height=${height} pat=${pat}`);
+        let imageData = new ImageData(width, height);
+        let rgbaData = imageData.data;
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let entry = SuperHiRes.getPatColor(col >> 3, row >> 3, pat);
+                StdHiRes.setRGBAColor(rgbaData, col, row, width, colors[entry]);
+            }
+        }
+        return imageData;
+    }
+
+    //
+    // Gets the pattern entry for the specified pixel.
+    //
+    //  xp: pixel column, in the row's native resolution
+    //  yc: row
+    //  pat: color pattern
+    //
+    static getPatColor(xp, yc, pat) {
+        return pat[(xp & 0x03) | ((yc & 0x01) << 2)];
+    }
+
+    //
+    // Sets a single dot according to the current color pattern.  The pattern is aligned to
+    // the native pixels of the row, so 320 mode and 640 mode rows step through it at
+    // different rates.
+    //
+    setDot(x, y, pat) {
+        let xp = (this.getScb(y) & SuperHiRes.SCB_640) ? x : x >> 1;
+        this.putDot(x, y, SuperHiRes.getPatColor(xp, y, pat));
+    }
+
+    //
+    // Sets a single pixel according to the current color pattern.
+    //
+    //  x: X coordinate [0,639]
+    //  y: Y coordinate [0,199]
+    //  pat: color pattern
+    //
+    setPixel(x, y, pat) {
+        Debug.assert(x >= 0 && x < SuperHiRes.NUM_COLS && y >= 0 && y < SuperHiRes.NUM_ROWS &&
+            pat !== undefined && pat.length === SuperHiRes.PATTERN_LEN,
+            `invalid args ${x} ${y} ${pat}`);
+        this.setDot(x, y, pat);
+    }
+
+    //
+    // Sets the pixels in a horizontal segment.
+    //
+    //  xc: coordinate of left edge
+    //  yc: row number
+    //  width: number of pixels to draw
+    //  pat: color pattern
+    //
+    plotHorizSegment(xc, yc, width, pat) {
+        Debug.assert(SuperHiRes.isValidScreenArea(xc, yc, width, 1) &&
+            pat !== undefined && pat.length == SuperHiRes.PATTERN_LEN);
+        for (let x = xc; x < xc + width; x++) {
+            this.setDot(x, yc, pat);
+        }
+    }
+
+    //
+    // Generates a one-byte-per-dot linear color map.
+    //
+    // The map will be 640x200, holding palette entry numbers 0-15.  Unlike the Apple II
+    // formats, there's no "asMono" argument, because the map is the same either way.
+    //
+    //  (returns): Uint8Array with color map
+    //
+    generateColorMap() {
+        let map = new Uint8Array(SuperHiRes.NUM_COLS * SuperHiRes.NUM_ROWS);
+        for (let row = 0; row < SuperHiRes.NUM_ROWS; row++) {
+            for (let col = 0; col < SuperHiRes.NUM_COLS; col++) {
+                map[row * SuperHiRes.NUM_COLS + col] = this.getDot(col, row);
+            }
+        }
+        return map;
+    }
+
+    //
+    // Replaces all instances of the specified color with a pattern.  This reads from the color
+    // map and writes to the raw image.
+    //
+    //  colorMap: linear color map of the image (Uint8Array)
+    //  color: color to replace (single-byte value)
+    //  pat: color pattern to draw
+    //
+    replaceColor(colorMap, color, pat) {
+        for (let row = 0; row < SuperHiRes.NUM_ROWS; row++) {
+            let rowOffset = row * SuperHiRes.NUM_COLS;
+            for (let col = 0; col < SuperHiRes.NUM_COLS; col++) {
+                if (colorMap[rowOffset + col] == color) {
+                    this.setDot(col, row, pat);
+                }
+            }
+        }
+    }
+
+    //
+    // Generates a clipping from the specified rectangle.
+    //
+    // Super hi-res clippings hold one palette entry number per dot, so byteStride is the
+    // same as width.  The mask is 0xff for every dot included in the clipping.
+    //
+    //  left, top, width, height: rectangular area to clip
+    //  pixelMask: optional Uint8Array with one entry per dot in the area; dots with
+    //    zero entries are excluded from the clipping
+    //  (returns) new Clipping object
+    //
+    createClipping(left, top, width, height, pixelMask) {
+        Debug.assert(SuperHiRes.isValidScreenArea(left, top, width, height));
+        let pixArray = new Uint8Array(width * height);
+        let maskArray = new Uint8Array(width * height).fill(0xff);
+        if (pixelMask !== undefined) {
+            for (let i = 0; i < maskArray.length; i++) {
+                if (pixelMask[i] == 0) {
+                    maskArray[i] = 0;
+                }
+            }
+        }
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                pixArray[row * width + col] = this.getDot(left + col, top + row);
+            }
+        }
+        return new Clipping(SuperHiRes.FORMAT_NAME, width, height, width, 0, pixArray, maskArray);
+    }
+
+    //
+    // Extracts the pixels from a clipping.  Our clippings already hold one value per pixel,
+    // so this just copies the arrays.
+    //
+    //  (returns): [values, mask]; arrays with width*height entries
+    //
+    clippingToPixels(clipping) {
+        return [clipping.pixArray.slice(), clipping.maskArray.slice()];
+    }
+
+    //
+    // Creates a clipping from per-pixel values.  This is the inverse of clippingToPixels().
+    //
+    //  values: array of pixel values, width*height entries
+    //  mask: array with width*height entries; pixels with nonzero entries are included
+    //  width, height: clipping dimensions
+    //
+    pixelsToClipping(values, mask, width, height) {
+        let maskArray = Uint8Array.from(mask, (val) => (val != 0) ? 0xff : 0);
+        return new Clipping(SuperHiRes.FORMAT_NAME, width, height, width, 0,
+            Uint8Array.from(values), maskArray);
+    }
+
+    //
+    // Extracts the colors from a clipping.  Each pixel holds a color number, so this is the
+    // same as clippingToPixels().
+    //
+    clippingToColors(clipping) {
+        return this.clippingToPixels(clipping);
+    }
+
+    //
+    // Creates a clipping from per-pixel colors.  This is the same as pixelsToClipping().
+    //
+    colorsToClipping(colors, mask, width, height) {
+        return this.pixelsToClipping(colors, mask, width, height);
+    }
+
+    //
+    // Converts a 1bpp bitmap to a clipping, applying the color pattern to the set pixels.
+    // The mask is set to the bitmap's bits.  The pattern is applied as if the clipping will
+    // be placed on a 320 mode row.
+    //
+    bitmapToClipping(bitmap, stride, width, pat) {
+        Debug.assert(bitmap.length > 0 && stride > 0 && width > 0);
+        Debug.assert(bitmap.length % stride == 0);
+        let height = bitmap.length / stride;
+        let pixArray = new Uint8Array(width * height);
+        let maskArray = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let srcBit = (bitmap[row * stride + (col >> 3)] << (col & 0x07)) & 0x80;
+                if (srcBit != 0) {
+                    pixArray[row * width + col] = SuperHiRes.getPatColor(col >> 1, row, pat);
+                    maskArray[row * width + col] = 0xff;
+                }
+            }
+        }
+        return new Clipping(SuperHiRes.FORMAT_NAME, width, height, width, 0, pixArray, maskArray);
+    }
+
+    //
+    // Copies a clipping onto the frame buffer.  The clipping may be partially or wholly
+    // offscreen.
+    //
+    // In merge mode, dots that use palette entry zero are treated as the background.
+    //
+    //  clipping: Clipping object
+    //  xc, yc: top-left corner of pasted image (values may be negative)
+    //  xferMode: transfer mode
+    //
+    putClipping(clipping, xc, yc, xferMode) {
+        Debug.assert(Clipping.isValidXferMode(xferMode));
+        for (let row = 0; row < clipping.height; row++) {
+            let scrRow = row + yc;
+            if (scrRow < 0) {
+                continue;   // offscreen
+            } else if (scrRow >= SuperHiRes.NUM_ROWS) {
+                break;
+            }
+            let is640 = (this.getScb(scrRow) & SuperHiRes.SCB_640) != 0;
+            for (let col = 0; col < clipping.width; col++) {
+                let scrCol = col + xc;
+                if (scrCol < 0) {
+                    continue;
+                } else if (scrCol >= SuperHiRes.NUM_COLS) {
+                    break;
+                }
+                let srcOffset = row * clipping.byteStride + col;
+                if (clipping.maskArray[srcOffset] == 0) {
+                    continue;
+                }
+                if (!is640 && (scrCol & 0x01) != 0 && col > 0 &&
+                        clipping.maskArray[srcOffset - 1] != 0) {
+                    // Second dot of a 320 mode pixel we've already written.
+                    continue;
+                }
+                let entry = clipping.pixArray[srcOffset];
+                switch (xferMode) {
+                    case Clipping.XFER_COPY:
+                        this.putDot(scrCol, scrRow, entry);
+                        break;
+                    case Clipping.XFER_MERGE:
+                        if (entry != 0) {
+                            this.putDot(scrCol, scrRow, entry);
+                        }
+                        break;
+                    case Clipping.XFER_XOR:
+                        this.putDot(scrCol, scrRow, this.getDot(scrCol, scrRow) ^ entry);
+                        break;
+                    case Clipping.XFER_AND:
+                        this.putDot(scrCol, scrRow, this.getDot(scrCol, scrRow) & entry);
+                        break;
+                    case Clipping.XFER_NAND:
+                        this.putDot(scrCol, scrRow, ~(this.getDot(scrCol, scrRow) & entry) & 0x0f);
+                        break;
+                    default:
+                        throw new Error("unhandled xferMode: " + xferMode);
+                }
+            }
+        }
+    }
+
+    //
+    // Determines whether the bounds are non-empty and fully within the screen dimensions.
+    //
+    //  (returns): true if all is well
+    //
+    static isValidScreenArea(left, top, width, height) {
+        return  left >= 0 && left < SuperHiRes.NUM_COLS &&
+                top >= 0 && top < SuperHiRes.NUM_ROWS &&
+                width > 0 && width + left <= SuperHiRes.NUM_COLS &&
+                height > 0 && top + height <= SuperHiRes.NUM_ROWS;
+    }
+
+
+    // ==============================================================================
+    // Color patterns
+    // ==============================================================================
+
+    //
+    // Returns an array of solid color patterns, one for each palette entry.
+    //
+    static getSolidPatterns() {
+        let patarray = [];
+        for (let entry = 0; entry < SuperHiRes.NUM_PALETTE_ENTRIES; entry++) {
+            patarray.push(new Uint8Array(SuperHiRes.PATTERN_LEN).fill(entry));
+        }
+        return patarray;
+    }
+}
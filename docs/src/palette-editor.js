@@ -0,0 +1,114 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import PaletteManager from "./lib/palette-manager.js";
+
+//
+// Palette editor dialog.  This implements the <dialog> in the editor page that lets the user
+// define a custom display palette for lo-res, hi-res, and double hi-res pictures.
+//
+// The dialog starts out with the current palette.  Changes are applied immediately, and make
+// the custom palette the selected one.
+//
+// This class must be instantiated exactly once.
+//
+export default class PaletteEditor {
+    static isInitialized = false;
+
+    // Color input elements, in palette order.
+    colorInputs = [];
+
+    constructor(mainObj, settings) {
+        if (PaletteEditor.isInitialized != false) {
+            throw new Error("PaletteEditor initialized twice");
+        }
+
+        this.mainObj = mainObj;
+        this.settings = settings;
+
+        this.dialog = document.getElementById("palette-editor");
+
+        // Generate a label and color input for each entry.
+        let colorsElem = document.getElementById("palette-editor-colors");
+        let names = PaletteManager.getColorNames();
+        for (let i = 0; i < names.length; i++) {
+            let input = document.createElement("input");
+            input.type = "color";
+            input.id = "palette-editor-color" + i;
+            input.addEventListener("input", this.handleColorInput.bind(this));
+            let label = document.createElement("label");
+            label.htmlFor = input.id;
+            label.textContent = `${i}: ${names[i]}`;
+            colorsElem.append(label, input);
+            this.colorInputs.push(input);
+        }
+
+        this.copyElem = document.getElementById("palette-editor-copy");
+        this.copyElem.add(new Option("(choose preset)", ""));
+        for (let [id, preset] of PaletteManager.PRESETS) {
+            this.copyElem.add(new Option(preset.label, id));
+        }
+        this.copyElem.addEventListener("change", this.handleCopyPreset.bind(this));
+
+        document.getElementById("palette-editor-close").addEventListener("click", () => {
+            this.dialog.close();
+        });
+
+        PaletteEditor.isInitialized = true;
+        console.log("PaletteEditor initialized");
+    }
+
+    //
+    // Shows the dialog, initialized with the current palette.
+    //
+    showDialog() {
+        this.setInputs(PaletteManager.getColors());
+        this.copyElem.value = "";
+        this.dialog.showModal();
+    }
+
+    //
+    // Sets the color inputs to the specified palette.
+    //
+    setInputs(colors) {
+        for (let i = 0; i < this.colorInputs.length; i++) {
+            this.colorInputs[i].value = PaletteManager.toHexString(colors[i]);
+        }
+    }
+
+    //
+    // Handles a change to any of the color inputs.  This fires continuously while the user
+    // is adjusting the color.
+    //
+    handleColorInput() {
+        let colors = this.colorInputs.map((input) =>
+            PaletteManager.fromHexString(input.value));
+        this.settings.setCustomPalette(colors);
+    }
+
+    //
+    // Handles selection of a preset to copy into the custom palette.
+    //
+    handleCopyPreset() {
+        let preset = PaletteManager.PRESETS.get(this.copyElem.value);
+        if (preset === undefined) {
+            return;
+        }
+        this.setInputs(preset.colors);
+        this.settings.setCustomPalette(preset.colors);
+        this.copyElem.value = "";
+    }
+}
@@ -0,0 +1,341 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import StdHiRes from "./lib/std-hi-res.js";
+
+//
+// Hi-res pattern editor dialog.  This implements the <dialog> in the editor page that lets the
+// user design 4x2-byte color patterns one bit at a time, and manages the library of saved
+// patterns.
+//
+// The library is stored in local storage, and is shown in the hi-res color picker.  It can be
+// exported to and imported from a JSON file.
+//
+// This class must be instantiated exactly once.
+//
+export default class PatternEditor {
+    static isInitialized = false;
+
+    static MAX_PATTERNS = 64;
+    static FILE_TYPE = "hgrtool-patterns";
+    static FILE_VERSION = 1;
+    static FILE_NAME = "patterns.json";
+
+    // Bit grid layout.  Each byte is shown as seven pixel cells in screen order (bit 0 on the
+    // left), followed by a cell for the palette bit (bit 7).
+    static CELL_WIDTH = 14;
+    static CELL_HEIGHT = 28;
+    static BYTE_GAP = 8;
+    static BYTE_WIDTH = PatternEditor.CELL_WIDTH * 8 + PatternEditor.BYTE_GAP;
+
+    SELECTED = "selected";
+
+    // Pattern being edited.
+    pattern = new Uint8Array(StdHiRes.PATTERN_LEN);
+    // Saved patterns, and the index of the one selected in the library list (or -1).
+    library = [];
+    libraryIndex = -1;
+    libraryButtons = [];
+
+    constructor(mainObj, settings, colorPicker) {
+        if (PatternEditor.isInitialized != false) {
+            throw new Error("PatternEditor initialized twice");
+        }
+
+        this.mainObj = mainObj;
+        this.settings = settings;
+        this.colorPicker = colorPicker;
+
+        this.dialog = document.getElementById("pattern-editor");
+        this.statusElem = document.getElementById("pattern-editor-status");
+        this.libraryElem = document.getElementById("pattern-editor-library");
+        this.previewCtx = document.getElementById("pattern-editor-preview").getContext("2d");
+        this.initBitGrid();
+
+        document.getElementById("pattern-editor-add").addEventListener("click",
+            this.handleAdd.bind(this));
+        document.getElementById("pattern-editor-delete").addEventListener("click",
+            this.handleDelete.bind(this));
+        document.getElementById("pattern-editor-use").addEventListener("click",
+            this.handleUse.bind(this));
+        document.getElementById("pattern-editor-export").addEventListener("click",
+            this.handleExport.bind(this));
+        let chooser = document.getElementById("pattern-editor-chooser");
+        chooser.addEventListener("change", this.handleImport.bind(this));
+        document.getElementById("pattern-editor-import").addEventListener("click", () => {
+            chooser.click();
+        });
+        document.getElementById("pattern-editor-close").addEventListener("click", () => {
+            this.dialog.close();
+        });
+
+        // Load the saved patterns.  Bad entries are discarded.
+        if (typeof this.settings.hgrPatterns === "string") {
+            for (let str of this.settings.hgrPatterns.split(",")) {
+                let pat = StdHiRes.patternFromString(str);
+                if (pat !== undefined && this.library.length < PatternEditor.MAX_PATTERNS) {
+                    this.library.push(pat);
+                }
+            }
+        }
+        this.colorPicker.setCustomPatterns(this.library.slice());
+
+        PatternEditor.isInitialized = true;
+        console.log("PatternEditor initialized");
+    }
+
+    //
+    // Shows the dialog.  Editing starts with the current color, unless it's one of the
+    // "transparent" patterns.
+    //
+    showDialog() {
+        if (this.colorPicker.isPatTransparent) {
+            this.pattern = new Uint8Array(StdHiRes.PATTERN_LEN);
+        } else {
+            this.pattern = Uint8Array.from(this.colorPicker.currentPat);
+        }
+        this.libraryIndex = -1;
+        this.statusElem.textContent = "";
+        this.updateLibrary();
+        this.updatePattern();
+        this.dialog.showModal();
+    }
+
+    //
+    // Sets up the bit grid canvas.  Click on a cell to toggle it; drag to paint more cells
+    // the same way.
+    //
+    initBitGrid() {
+        let canvas = document.getElementById("pattern-editor-bits");
+        canvas.width = PatternEditor.BYTE_WIDTH * 4 - PatternEditor.BYTE_GAP;
+        canvas.height = PatternEditor.CELL_HEIGHT * 2;
+        this.bitsCtx = canvas.getContext("2d");
+        let paintValue = -1;
+        let paintCell = (event) => {
+            let byteCol = Math.trunc(event.offsetX / PatternEditor.BYTE_WIDTH);
+            let bit = Math.trunc((event.offsetX - byteCol * PatternEditor.BYTE_WIDTH) /
+                PatternEditor.CELL_WIDTH);
+            let row = Math.trunc(event.offsetY / PatternEditor.CELL_HEIGHT);
+            if (byteCol < 0 || byteCol >= 4 || bit < 0 || bit >= 8 || row < 0 || row >= 2) {
+                return;     // outside the grid, or in the gap between bytes
+            }
+            let index = row * 4 + byteCol;
+            if (paintValue < 0) {
+                // First cell in the drag; toggle it, and set the rest to match.
+                paintValue = ((this.pattern[index] >> bit) & 0x01) ? 0 : 1;
+            }
+            if (paintValue) {
+                this.pattern[index] |= 1 << bit;
+            } else {
+                this.pattern[index] &= ~(1 << bit);
+            }
+            this.updatePattern();
+        };
+        canvas.addEventListener("pointerdown", (event) => {
+            canvas.setPointerCapture(event.pointerId);
+            paintValue = -1;
+            paintCell(event);
+        });
+        canvas.addEventListener("pointermove", (event) => {
+            if (paintValue >= 0) {
+                paintCell(event);
+            }
+        });
+        canvas.addEventListener("pointerup", () => {
+            paintValue = -1;
+        });
+    }
+
+    //
+    // Redraws the bit grid and the preview after the pattern changes.
+    //
+    updatePattern() {
+        const cellWidth = PatternEditor.CELL_WIDTH;
+        const cellHeight = PatternEditor.CELL_HEIGHT;
+        let ctx = this.bitsCtx;
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        for (let index = 0; index < StdHiRes.PATTERN_LEN; index++) {
+            let left = (index & 0x03) * PatternEditor.BYTE_WIDTH;
+            let top = (index >> 2) * cellHeight;
+            for (let bit = 0; bit < 8; bit++) {
+                let isSet = ((this.pattern[index] >> bit) & 0x01) != 0;
+                if (bit == 7) {
+                    ctx.fillStyle = isSet ? "#5aadb0" : "#1c3c3d";
+                } else {
+                    ctx.fillStyle = isSet ? "white" : "#303030";
+                }
+                ctx.fillRect(left + bit * cellWidth, top, cellWidth - 1, cellHeight - 1);
+            }
+        }
+
+        let canvas = this.previewCtx.canvas;
+        this.previewCtx.putImageData(
+            StdHiRes.renderSwatch(canvas.width, canvas.height, this.pattern, false), 0, 0);
+    }
+
+    //
+    // Regenerates the library swatch buttons.
+    //
+    updateLibrary() {
+        this.libraryButtons = [];
+        this.libraryElem.replaceChildren();
+        for (let index = 0; index < this.library.length; index++) {
+            let button = this.colorPicker.createHgrSwatchButton(this.library[index]);
+            button.classList.toggle(this.SELECTED, index == this.libraryIndex);
+            button.addEventListener("click", () => {
+                this.selectLibraryEntry(index);
+            });
+            this.libraryElem.append(button);
+            this.libraryButtons.push(button);
+        }
+    }
+
+    //
+    // Selects an entry in the library list, and loads it into the editor.
+    //
+    selectLibraryEntry(index) {
+        for (let i = 0; i < this.libraryButtons.length; i++) {
+            this.libraryButtons[i].classList.toggle(this.SELECTED, i == index);
+        }
+        this.libraryIndex = index;
+        this.pattern = Uint8Array.from(this.library[index]);
+        this.statusElem.textContent = "";
+        this.updatePattern();
+    }
+
+    //
+    // Saves the library to local storage, and updates the color picker.
+    //
+    saveLibrary() {
+        this.settings.hgrPatterns =
+            this.library.map((pat) => StdHiRes.patternToString(pat)).join(",");
+        this.colorPicker.setCustomPatterns(this.library.slice());
+        this.updateLibrary();
+    }
+
+    //
+    // Returns the index of a pattern in the library, or -1 if it's not there.
+    //
+    findInLibrary(pat) {
+        let str = StdHiRes.patternToString(pat);
+        return this.library.findIndex((other) => StdHiRes.patternToString(other) == str);
+    }
+
+    //
+    // Adds the pattern being edited to the library.
+    //
+    handleAdd() {
+        let index = this.findInLibrary(this.pattern);
+        if (index < 0) {
+            if (this.library.length == PatternEditor.MAX_PATTERNS) {
+                this.statusElem.textContent =
+                    `The library is full (${PatternEditor.MAX_PATTERNS} patterns)`;
+                return;
+            }
+            this.library.push(Uint8Array.from(this.pattern));
+            index = this.library.length - 1;
+            this.statusElem.textContent = "Pattern added";
+        } else {
+            this.statusElem.textContent = "Pattern is already in the library";
+        }
+        this.libraryIndex = index;
+        this.saveLibrary();
+    }
+
+    //
+    // Removes the selected pattern from the library.
+    //
+    handleDelete() {
+        if (this.libraryIndex < 0) {
+            this.statusElem.textContent = "Select a pattern in the library first";
+            return;
+        }
+        this.library.splice(this.libraryIndex, 1);
+        this.libraryIndex = -1;
+        this.statusElem.textContent = "Pattern deleted";
+        this.saveLibrary();
+    }
+
+    //
+    // Makes the pattern being edited the current color.
+    //
+    handleUse() {
+        this.colorPicker.pickPattern(Uint8Array.from(this.pattern));
+        this.mainObj.onColorChanged();
+        this.dialog.close();
+    }
+
+    //
+    // Exports the library as a JSON file.
+    //
+    handleExport() {
+        if (this.library.length == 0) {
+            this.statusElem.textContent = "The library is empty";
+            return;
+        }
+        let contents = {
+            type: PatternEditor.FILE_TYPE,
+            version: PatternEditor.FILE_VERSION,
+            patterns: this.library.map((pat) => StdHiRes.patternToString(pat))
+        };
+        let blob = new Blob([JSON.stringify(contents, null, 2)], { type: "application/json" });
+        this.mainObj.downloadBlob(blob, PatternEditor.FILE_NAME);
+        this.statusElem.textContent = `Downloaded '${PatternEditor.FILE_NAME}'`;
+    }
+
+    //
+    // Imports patterns from a JSON file, adding them to the library.  Patterns that are
+    // already in the library are skipped.
+    //
+    async handleImport(event) {
+        let file = event.currentTarget.files[0];
+        // Clear the value, so that choosing the same file again generates a change event.
+        event.currentTarget.value = "";
+        if (file === undefined) {
+            return;
+        }
+        let strs;
+        try {
+            let contents = JSON.parse(await file.text());
+            if (contents.type !== PatternEditor.FILE_TYPE || !Array.isArray(contents.patterns)) {
+                throw new Error("not a pattern file");
+            }
+            strs = contents.patterns;
+        } catch (error) {
+            console.log(error);
+            this.statusElem.textContent = `Unable to import '${file.name}': ${error.message}`;
+            return;
+        }
+        let pats = strs.map((str) => StdHiRes.patternFromString(str));
+        if (pats.includes(undefined)) {
+            this.statusElem.textContent = `Unable to import '${file.name}': bad pattern`;
+            return;
+        }
+        let added = 0;
+        for (let pat of pats) {
+            if (this.library.length == PatternEditor.MAX_PATTERNS) {
+                break;
+            }
+            if (this.findInLibrary(pat) < 0) {
+                this.library.push(pat);
+                added++;
+            }
+        }
+        this.statusElem.textContent = `Added ${added} of ${pats.length} patterns`;
+        this.libraryIndex = -1;
+        this.saveLibrary();
+    }
+}
@@ -0,0 +1,239 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import DiskImage from "./lib/disk-image.js";
+import Dos33Fs from "./lib/dos33-fs.js";
+import SuperHiRes from "./lib/super-hi-res.js";
+import LoRes from "./lib/lo-res.js";
+
+//
+// "Save As" dialog.  This implements the <dialog> in the editor page that asks whether the
+// picture should be saved as a separate file or written into a disk image.  For a disk
+// image, the user picks the disk, the filename, and the file type.
+//
+// Saving to a separate file is handled by the main object, which asks the browser for a
+// file.  Writing into a disk image is also done by the main object, with the target
+// description we generate here.
+//
+// This class must be instantiated exactly once.
+//
+export default class SaveAs {
+    static isInitialized = false;
+
+    // ProDOS file types offered in the dialog.  DOS 3.3 disks always get type 'B'.
+    static TYPE_BIN = 0x06;
+    static TYPE_FOT = 0x08;
+    static TYPE_PIC = 0xc1;
+
+    // Disk image to write into, and its file handle (may be undefined).
+    disk = undefined;
+    diskHandle = undefined;
+
+    constructor(mainObj) {
+        if (SaveAs.isInitialized != false) {
+            throw new Error("SaveAs initialized twice");
+        }
+
+        this.mainObj = mainObj;
+
+        this.dialog = document.getElementById("save-as");
+        this.diskOptions = document.getElementById("save-as-disk-options");
+        this.diskNameElem = document.getElementById("save-as-disk-name");
+        this.fileNameElem = document.getElementById("save-as-disk-file");
+        this.oldChooser = document.getElementById("save-as-disk-chooser");
+
+        for (let radio of document.querySelectorAll("input[name=\"save-target\"]")) {
+            radio.addEventListener("change", this.updateControls.bind(this));
+        }
+        document.getElementById("save-as-disk-choose").addEventListener("click",
+            this.handleChooseDisk.bind(this));
+        this.oldChooser.addEventListener("change", this.handleOldChooseDisk.bind(this));
+        document.getElementById("save-as-ok").addEventListener("click",
+            this.handleOk.bind(this));
+        document.getElementById("save-as-cancel").addEventListener("click", () => {
+            this.dialog.close();
+        });
+
+        SaveAs.isInitialized = true;
+        console.log("SaveAs initialized");
+    }
+
+    //
+    // Shows the dialog.  The initial values are taken from the picture.
+    //
+    //  pic: Picture to be saved
+    //  lastDisk: most recently used [DiskImage, FileSystemFileHandle] pair, or undefined
+    //
+    showDialog(pic, lastDisk) {
+        let target = pic.diskTarget;
+        if (target !== undefined) {
+            this.setDisk(target.disk, target.diskHandle);
+        } else if (lastDisk !== undefined) {
+            this.setDisk(...lastDisk);
+        } else {
+            this.setDisk(undefined, undefined);
+        }
+
+        // Pull the file type out of the filename attributes if present, e.g. "#062000".
+        let fileType = SaveAs.TYPE_BIN;
+        let match = pic.name.match(/#([0-9a-f]{2})[0-9a-f]{4}$/i);
+        if (target !== undefined) {
+            fileType = target.fileType;
+        } else if (match !== null) {
+            fileType = parseInt(match[1], 16);
+        } else if (pic.format == SuperHiRes.FORMAT_NAME) {
+            fileType = SaveAs.TYPE_PIC;
+        }
+        let typeRadio = document.querySelector(
+            `input[name="save-as-type"][value="${fileType}"]`);
+        if (typeRadio === null) {
+            typeRadio = document.querySelector(
+                `input[name="save-as-type"][value="${SaveAs.TYPE_BIN}"]`);
+        }
+        typeRadio.checked = true;
+
+        if (target !== undefined) {
+            this.fileNameElem.value = target.fileName;
+        } else {
+            // Strip the attributes and extension, and anything ProDOS won't accept.
+            let baseName = pic.name.replace(/#[0-9a-f]{6}$/i, "").replace(/\.[^.]*$/, "");
+            baseName = baseName.toUpperCase().replace(/[^A-Z0-9.]/g, "").replace(/^[^A-Z]+/, "");
+            this.fileNameElem.value = baseName.substring(0, 15);
+        }
+        this.picFormat = pic.format;
+
+        document.getElementById(target !== undefined ?
+            "save-target-disk" : "save-target-file").checked = true;
+        this.updateControls();
+        this.dialog.showModal();
+    }
+
+    //
+    // Sets the disk image to write into.
+    //
+    setDisk(disk, handle) {
+        this.disk = disk;
+        this.diskHandle = handle;
+        this.diskNameElem.textContent = (disk === undefined) ?
+            "(none)" : `${disk.name} (${disk.fileSystem})`;
+    }
+
+    //
+    // Enables or disables the disk image controls, based on the target selection.
+    //
+    updateControls() {
+        let useDisk = document.getElementById("save-target-disk").checked;
+        for (let elem of this.diskOptions.querySelectorAll("input, button")) {
+            elem.disabled = !useDisk;
+        }
+    }
+
+    //
+    // Handles a click on the disk image "Choose" button.
+    //
+    async handleChooseDisk() {
+        if (!("showOpenFilePicker" in window)) {
+            this.oldChooser.click();
+            return;
+        }
+        let pickerOpts = {
+            types: [ {
+                description: "Apple II disk image",
+                accept: { "application/octet-stream": [".dsk", ".do", ".po", ".2mg"] }
+            } ]
+        };
+        let handle;
+        try {
+            [handle] = await window.showOpenFilePicker(pickerOpts);
+        } catch (error) {
+            // We get an AbortError if the user cancels.
+            console.log(error);
+            return;
+        }
+        this.openDisk(await handle.getFile(), handle);
+    }
+
+    //
+    // Handles a file selection from the fallback file chooser.
+    //
+    handleOldChooseDisk(event) {
+        let file = event.currentTarget.files[0];
+        // Clear value, so the same file can be picked again.
+        event.currentTarget.value = "";
+        if (file !== undefined) {
+            this.openDisk(file, undefined);
+        }
+    }
+
+    //
+    // Opens a disk image file, and makes it the target.  If the disk image is already open,
+    // the existing object is used, so that changes made by other pictures aren't lost.
+    //
+    async openDisk(file, handle) {
+        let existing = await this.mainObj.findOpenDisk(handle);
+        if (existing !== undefined) {
+            this.setDisk(...existing);
+            return;
+        }
+        try {
+            let disk = new DiskImage(file.name, await file.arrayBuffer());
+            this.mainObj.addOpenDisk(disk, handle);
+            this.setDisk(disk, handle);
+        } catch (error) {
+            console.log(error);
+            this.mainObj.showMessage(`Unable to open disk image '${file.name}': ${error.message}`);
+        }
+    }
+
+    //
+    // Handles a click on the "OK" button.
+    //
+    handleOk() {
+        this.dialog.close();
+        if (!document.getElementById("save-target-disk").checked) {
+            this.mainObj.saveAsFile();
+            return;
+        }
+        if (this.disk === undefined) {
+            this.mainObj.showMessage("Choose a disk image first");
+            return;
+        }
+        let fileName = this.fileNameElem.value.trim();
+        if (fileName.length == 0) {
+            this.mainObj.showMessage("Enter a filename");
+            return;
+        }
+        let fileType = parseInt(
+            document.querySelector("input[name=\"save-as-type\"]:checked").value);
+        if (this.disk.fileSystem instanceof Dos33Fs) {
+            fileType = SaveAs.TYPE_BIN;     // DOS 3.3 files are always 'B'
+        }
+        // BIN files get the load address, everything else uses zero.
+        let auxType = 0x0000;
+        if (fileType == SaveAs.TYPE_BIN) {
+            let isLoRes = (this.picFormat == LoRes.FORMAT_NAME ||
+                this.picFormat == LoRes.DBL_FORMAT_NAME);
+            auxType = isLoRes ? 0x0400 : 0x2000;
+        }
+        this.mainObj.saveIntoDisk({
+            disk: this.disk,
+            diskHandle: this.diskHandle,
+            fileName: fileName,
+            fileType: fileType,
+            auxType: auxType
+        });
+    }
+}
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2025 faddenSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+//
+// Scale entry implementation.  This implements the <dialog> in the editor page that asks
+// for the percentage to resize the selection by.
+//
+// This class must be instantiated exactly once.
+//
+export default class ScaleEntry {
+    static isInitialized = false;
+
+    static MIN_PERCENT = 1;
+    static MAX_PERCENT = 800;
+
+    constructor(mainObj) {
+        if (ScaleEntry.isInitialized != false) {
+            throw new Error("ScaleEntry initialized twice");
+        }
+
+        this.mainObj = mainObj;
+
+        this.dialog = document.getElementById("scale-entry");
+        this.percentElem = document.getElementById("scale-entry-percent");
+        this.okButtonElem = document.getElementById("scale-entry-ok");
+
+        this.percentElem.min = ScaleEntry.MIN_PERCENT;
+        this.percentElem.max = ScaleEntry.MAX_PERCENT;
+        this.percentElem.addEventListener("keypress", this.handleKeyInput.bind(this));
+        this.okButtonElem.addEventListener("click", this.handleDone.bind(this));
+
+        ScaleEntry.isInitialized = true;
+        console.log("ScaleEntry initialized");
+    }
+
+    //
+    // Shows the scale-entry dialog.  The previous value is retained.
+    //
+    showDialog() {
+        this.dialog.showModal();
+        this.percentElem.select();
+    }
+
+    //
+    // Catches key input events, so we can close the dialog when the user hits Enter.
+    //
+    handleKeyInput(event) {
+        if (event.key == "Enter") {
+            event.preventDefault();
+            this.okButtonElem.click();
+        }
+    }
+
+    //
+    // Handles a click on the "OK" button.  Values out of range are clamped.
+    //
+    handleDone() {
+        this.dialog.close();
+        let percent = parseInt(this.percentElem.value);
+        if (isNaN(percent)) {
+            return;
+        }
+        percent = Math.max(ScaleEntry.MIN_PERCENT, Math.min(percent, ScaleEntry.MAX_PERCENT));
+        this.percentElem.value = percent;
+        this.mainObj.onScaleEntered(percent);
+    }
+}
@@ -15,6 +15,9 @@
  */
 
 import Clipping from "./lib/clipping.js";
+import PaletteManager from "./lib/palette-manager.js";
+import StdHiRes from "./lib/std-hi-res.js";
+import SuperHiRes from "./lib/super-hi-res.js";
 
 //
 // Implements the Settings dialog, and holds the actual settings.
@@ -27,11 +30,46 @@ export default class Settings {
     static SWATCH_CLOSE_SINGLE = "single";
     static SWATCH_CLOSE_DOUBLE = "double";
 
+    static COLOR_RENDER_SIMPLE = "simple";
+    static COLOR_RENDER_NTSC = "ntsc";
+
+    static CLIP_MOVE_PIXELS = "pixels";
+    static CLIP_MOVE_COLORS = "colors";
+
+    // Names of the hi-res color values, for the transparent color selection.
+    static HGR_COLOR_NAMES = [
+        "black0", "purple", "green", "white0", "black1", "blue", "orange", "white1"
+    ];
+
     // The application settings are stored in window.localStorage.
     get colorSwatchClose() { return localStorage.colorSwatchClose; }
     set colorSwatchClose(value) { localStorage.colorSwatchClose = value; }
     get clipXferMode() { return localStorage.clipXferMode; }
     set clipXferMode(value) { localStorage.clipXferMode = value; }
+    get clipMoveMode() { return localStorage.clipMoveMode; }
+    set clipMoveMode(value) { localStorage.clipMoveMode = value; }
+    get colorRender() { return localStorage.colorRender; }
+    set colorRender(value) { localStorage.colorRender = value; }
+    get paletteName() { return localStorage.paletteName; }
+    set paletteName(value) { localStorage.paletteName = value; }
+    get customPalette() { return localStorage.customPalette; }
+    set customPalette(value) { localStorage.customPalette = value; }
+    get hgrPatterns() { return localStorage.hgrPatterns; }
+    set hgrPatterns(value) { localStorage.hgrPatterns = value; }
+
+    // The transparent color is stored separately for each picture format, because the color
+    // numbers mean different things in each.  If the stored value isn't valid for the
+    // format, the first color is used.
+    getClipTransColor(format) {
+        let value = parseInt(localStorage.getItem("clipTransColor-" + format));
+        return (value >= 0 && value < Settings.getTransColorNames(format).length) ? value : 0;
+    }
+    setClipTransColor(format, value) {
+        localStorage.setItem("clipTransColor-" + format, value);
+    }
+
+    // Format whose colors are shown in the transparent color selection.
+    transColorFormat = StdHiRes.FORMAT_NAME;
 
     constructor(mainObj) {
         if (Settings.isInitialized != false) {
@@ -56,6 +94,13 @@ export default class Settings {
         this.xferCopyElem = document.getElementById("setting-xfer-copy");
         this.xferMergeElem = document.getElementById("setting-xfer-merge");
         this.xferXORElem = document.getElementById("setting-xfer-xor");
+        this.xferAndElem = document.getElementById("setting-xfer-and");
+        this.xferNandElem = document.getElementById("setting-xfer-nand");
+        this.xferTransElem = document.getElementById("setting-xfer-transparent");
+        this.movePixelsElem = document.getElementById("setting-move-pixels");
+        this.moveColorsElem = document.getElementById("setting-move-colors");
+        this.renderSimpleElem = document.getElementById("setting-render-simple");
+        this.renderNtscElem = document.getElementById("setting-render-ntsc");
 
         let buttons = document.querySelectorAll("input[name=\"swatch\"]");
         for (let button of buttons) {
@@ -65,6 +110,33 @@ export default class Settings {
         for (let button of buttons) {
             button.addEventListener("change", this.handleRadioChange.bind(this));
         }
+        buttons = document.querySelectorAll("input[name=\"clip-move\"]");
+        for (let button of buttons) {
+            button.addEventListener("change", this.handleRadioChange.bind(this));
+        }
+        buttons = document.querySelectorAll("input[name=\"color-render\"]");
+        for (let button of buttons) {
+            button.addEventListener("change", this.handleRadioChange.bind(this));
+        }
+
+        // Transparent color selection.  The list of colors depends on the picture format, so
+        // it's filled in when the current picture changes.
+        this.transColorElem = document.getElementById("setting-trans-color");
+        this.transColorElem.addEventListener("change", () => {
+            this.setClipTransColor(this.transColorFormat, parseInt(this.transColorElem.value));
+            this.mainObj.onSettingsChanged();
+        });
+
+        // Palette selection.
+        this.paletteElem = document.getElementById("setting-palette");
+        for (let [id, preset] of PaletteManager.PRESETS) {
+            this.paletteElem.add(new Option(preset.label, id));
+        }
+        this.paletteElem.add(new Option("Custom", PaletteManager.CUSTOM_ID));
+        this.paletteElem.addEventListener("change", this.handlePaletteChange.bind(this));
+        document.getElementById("setting-palette-edit").addEventListener("click", () => {
+            this.mainObj.showPaletteEditor();
+        });
 
         // Initialize settings to defaults if no value is stored, or the stored value is bad.
         // Configure controls.
@@ -90,20 +162,134 @@ export default class Settings {
             case Clipping.XFER_XOR:
                 this.xferXORElem.checked = true;
                 break;
+            case Clipping.XFER_AND:
+                this.xferAndElem.checked = true;
+                break;
+            case Clipping.XFER_NAND:
+                this.xferNandElem.checked = true;
+                break;
+            case Clipping.XFER_TRANSPARENT:
+                this.xferTransElem.checked = true;
+                break;
         }
+        this.setTransColorFormat(StdHiRes.FORMAT_NAME);
+        switch (this.clipMoveMode) {
+            case Settings.CLIP_MOVE_PIXELS:
+            default:
+                this.movePixelsElem.checked = true;
+                this.clipMoveMode = Settings.CLIP_MOVE_PIXELS;
+                break;
+            case Settings.CLIP_MOVE_COLORS:
+                this.moveColorsElem.checked = true;
+                break;
+        }
+        switch (this.colorRender) {
+            case Settings.COLOR_RENDER_SIMPLE:
+            default:
+                this.renderSimpleElem.checked = true;
+                this.colorRender = Settings.COLOR_RENDER_SIMPLE;
+                break;
+            case Settings.COLOR_RENDER_NTSC:
+                this.renderNtscElem.checked = true;
+                break;
+        }
+        if (this.paletteName != PaletteManager.CUSTOM_ID &&
+                !PaletteManager.PRESETS.has(this.paletteName)) {
+            this.paletteName = PaletteManager.DEFAULT_ID;
+        }
+        this.paletteElem.value = this.paletteName;
 
         Settings.isInitialized = true;
         console.log("Settings initialized");
     }
 
     toString() {
-        return `[Settings swClose=${this.colorSwatchClose} xferMode=${this.clipXferMode}]`;
+        return `[Settings swClose=${this.colorSwatchClose} xferMode=${this.clipXferMode} ` +
+            `transColor=${this.getClipTransColor(this.transColorFormat)} ` +
+            `moveMode=${this.clipMoveMode} ` +
+            `render=${this.colorRender} palette=${this.paletteName}]`;
     }
 
+    //
+    // Shows the dialog.
+    //
     showDialog() {
         this.dialog.showModal();
     }
 
+    //
+    // Returns the names of the colors that can be made transparent in a picture format.  The
+    // index of each name is the color number used by Picture.putClipping().
+    //
+    static getTransColorNames(format) {
+        if (format == StdHiRes.FORMAT_NAME) {
+            return Settings.HGR_COLOR_NAMES;
+        } else if (format == SuperHiRes.FORMAT_NAME) {
+            let names = [];
+            for (let i = 0; i < SuperHiRes.NUM_PALETTE_ENTRIES; i++) {
+                names.push("Palette entry " + i);
+            }
+            return names;
+        } else {
+            // Double hi-res and lo-res use the 16 display palette colors.
+            return PaletteManager.getColorNames();
+        }
+    }
+
+    //
+    // Fills in the transparent color selection with the colors for a picture format, and
+    // selects the color stored for that format.  Call this when the current picture changes.
+    //
+    //  format: picture format, e.g. StdHiRes.FORMAT_NAME
+    //
+    setTransColorFormat(format) {
+        this.transColorFormat = format;
+        let names = Settings.getTransColorNames(format);
+        this.transColorElem.replaceChildren();
+        for (let i = 0; i < names.length; i++) {
+            this.transColorElem.add(new Option(`${i}: ${names[i]}`, i));
+        }
+        this.transColorElem.value = this.getClipTransColor(format);
+    }
+
+    //
+    // Returns the colors of the selected display palette.  If the custom palette is selected
+    // but hasn't been defined, the default palette is returned.
+    //
+    getPaletteColors() {
+        if (this.paletteName == PaletteManager.CUSTOM_ID) {
+            let colors = PaletteManager.fromListString(this.customPalette);
+            if (colors !== undefined) {
+                return colors;
+            }
+        }
+        let preset = PaletteManager.PRESETS.get(this.paletteName);
+        if (preset === undefined) {
+            preset = PaletteManager.PRESETS.get(PaletteManager.DEFAULT_ID);
+        }
+        return preset.colors;
+    }
+
+    //
+    // Stores a new custom palette, and makes it the selected palette.
+    //
+    //  colors: array of 16 RGBA8888 values
+    //
+    setCustomPalette(colors) {
+        this.customPalette = PaletteManager.toListString(colors);
+        this.paletteName = PaletteManager.CUSTOM_ID;
+        this.paletteElem.value = PaletteManager.CUSTOM_ID;
+        this.mainObj.onSettingsChanged();
+    }
+
+    //
+    // Handles a change to the palette selection.
+    //
+    handlePaletteChange() {
+        this.paletteName = this.paletteElem.value;
+        this.mainObj.onSettingsChanged();
+    }
+
     //
     // Handles a click on any of the radio buttons.
     //
@@ -117,8 +303,19 @@ export default class Settings {
             case Clipping.XFER_COPY:
             case Clipping.XFER_MERGE:
             case Clipping.XFER_XOR:
+            case Clipping.XFER_AND:
+            case Clipping.XFER_NAND:
+            case Clipping.XFER_TRANSPARENT:
                 this.clipXferMode = target.value;
                 break;
+            case Settings.CLIP_MOVE_PIXELS:
+            case Settings.CLIP_MOVE_COLORS:
+                this.clipMoveMode = target.value;
+                break;
+            case Settings.COLOR_RENDER_SIMPLE:
+            case Settings.COLOR_RENDER_NTSC:
+                this.colorRender = target.value;
+                break;
             default:
                 throw new Error("unexpected radio button value: " + target.value);
         }
@@ -15,15 +15,25 @@
  */
 
 import Picture from "./lib/picture.js";
+import Brush from "./lib/brush.js";
 
 //
-// Style picker implementation.
+// Style picker implementation.  Along with the line stroke style, this holds the options
+// for some of the drawing tools.
 //
 // This class must be instantiated exactly once.
 //
 export default class StylePicker {
     static isInitialized = false;
 
+    static MAX_CORNER_RADIUS = 96;
+    static MAX_SPRAY_RADIUS = 48;
+    static MAX_SPRAY_DENSITY = 100;
+
+    // Gradient fill types.  The non-"none" values match Gradient.TYPE_*.
+    static GRADIENT_NONE = "none";
+    static CUSTOM_CELL_SIZE = 8;            // size of a cell in the custom brush editor
+
     SELECTED = "selected";                  // CSS class indicating button is selected
     STYLE_STROKE_PREFIX = "style-stroke-";  // common prefix used on HTML button IDs
     strokeList = [
@@ -36,6 +46,27 @@ export default class StylePicker {
     strokeStyle = Picture.STROKE_THICK;
     // button associated with current stroke style
     strokeButton = document.getElementById(this.STYLE_STROKE_PREFIX + Picture.STROKE_THICK);
+    // if set, polygon frames are closed by connecting the last vertex to the first
+    closePolygon = true;
+    // corner radius for rounded rects
+    cornerRadius = 8;
+    // paint brush shape and size, and the 16x16 mask for custom brushes
+    brushShape = Brush.SHAPE_ROUND;
+    brushSize = 4;
+    customBrushBits = new Uint8Array(Brush.MAX_SIZE * Brush.MAX_SIZE);
+    // most recently generated brush; cleared when the brush settings change
+    cachedBrush = undefined;
+    // spray tool radius, and number of pixels plotted per burst
+    sprayRadius = 10;
+    sprayDensity = 12;
+    // if set, the magic wand selects matching pixels everywhere, not just connected ones
+    wandGlobal = false;
+    // flood fill mode, and whether the fill spreads diagonally
+    fillMode = Picture.FILL_MATCH;
+    fillEightWay = false;
+    // gradient fill type, and angle for linear gradients (degrees)
+    gradientType = StylePicker.GRADIENT_NONE;
+    gradientAngle = 90;
 
     constructor() {
         if (StylePicker.isInitialized != false) {
@@ -59,6 +90,57 @@ export default class StylePicker {
         // Mark button for highlight.
         this.strokeButton.classList.add(this.SELECTED);
 
+        let closePolyElem = document.getElementById("style-close-poly");
+        closePolyElem.checked = this.closePolygon;
+        closePolyElem.addEventListener("change", () => {
+            this.closePolygon = closePolyElem.checked;
+        });
+        this.bindNumber("style-corner-radius", "cornerRadius", 0, StylePicker.MAX_CORNER_RADIUS);
+
+        // Paint brush options.
+        let shapeElem = document.getElementById("style-brush-shape");
+        shapeElem.value = this.brushShape;
+        shapeElem.addEventListener("change", () => {
+            this.brushShape = shapeElem.value;
+            this.cachedBrush = undefined;
+        });
+        this.bindNumber("style-brush-size", "brushSize", Brush.MIN_SIZE, Brush.MAX_SIZE, () => {
+            this.cachedBrush = undefined;
+        });
+        this.initCustomBrush();
+
+        // Spray options.
+        this.bindNumber("style-spray-radius", "sprayRadius", 1, StylePicker.MAX_SPRAY_RADIUS);
+        this.bindNumber("style-spray-density", "sprayDensity", 1,
+            StylePicker.MAX_SPRAY_DENSITY);
+
+        // Magic wand options.
+        let wandElem = document.getElementById("style-wand-global");
+        wandElem.checked = this.wandGlobal;
+        wandElem.addEventListener("change", () => {
+            this.wandGlobal = wandElem.checked;
+        });
+
+        // Flood fill options.
+        let fillModeElem = document.getElementById("style-fill-mode");
+        fillModeElem.value = this.fillMode;
+        fillModeElem.addEventListener("change", () => {
+            this.fillMode = fillModeElem.value;
+        });
+        let eightWayElem = document.getElementById("style-fill-8way");
+        eightWayElem.checked = this.fillEightWay;
+        eightWayElem.addEventListener("change", () => {
+            this.fillEightWay = eightWayElem.checked;
+        });
+
+        // Gradient fill options.
+        let gradientElem = document.getElementById("style-gradient-type");
+        gradientElem.value = this.gradientType;
+        gradientElem.addEventListener("change", () => {
+            this.gradientType = gradientElem.value;
+        });
+        this.bindNumber("style-gradient-angle", "gradientAngle", 0, 359);
+
         let closeButton = document.getElementById("style-picker-close");
         closeButton.addEventListener("click", () => {
             dialog.close();
@@ -72,6 +154,111 @@ export default class StylePicker {
         document.getElementById("style-picker").showModal();
     }
 
+    //
+    // Connects a numeric input field to one of our properties.  Values outside the range
+    // are clamped, and the field is updated to show the result.
+    //
+    //  elemId: ID of the <input> element
+    //  propName: name of property
+    //  min, max: range of valid values, inclusive
+    //  onChange: optional function to call after the value changes
+    //
+    bindNumber(elemId, propName, min, max, onChange) {
+        let elem = document.getElementById(elemId);
+        elem.min = min;
+        elem.max = max;
+        elem.value = this[propName];
+        elem.addEventListener("change", () => {
+            let value = parseInt(elem.value);
+            if (isNaN(value)) {
+                value = this[propName];
+            }
+            this[propName] = Math.max(min, Math.min(value, max));
+            elem.value = this[propName];
+            if (onChange !== undefined) {
+                onChange();
+            }
+        });
+    }
+
+    //
+    // Returns the current paint brush.
+    //
+    get brush() {
+        if (this.cachedBrush === undefined) {
+            this.cachedBrush = Brush.create(this.brushShape, this.brushSize,
+                this.customBrushBits);
+        }
+        return this.cachedBrush;
+    }
+
+    //
+    // Sets up the custom brush editor.  The initial brush is a round one, so there's
+    // something to start from.  Click on a cell to toggle it; drag to paint more cells
+    // the same way.
+    //
+    initCustomBrush() {
+        const dim = Brush.MAX_SIZE;
+        let initial = Brush.create(Brush.SHAPE_ROUND, 8);
+        for (let row = 0; row < initial.height; row++) {
+            for (let [offset, length] of initial.rowSpans[row]) {
+                for (let col = offset; col < offset + length; col++) {
+                    this.customBrushBits[(row + 4) * dim + col + 4] = 1;
+                }
+            }
+        }
+
+        let canvas = document.getElementById("style-brush-custom");
+        canvas.width = canvas.height = dim * StylePicker.CUSTOM_CELL_SIZE;
+        this.customCtx = canvas.getContext("2d");
+        let paintValue = -1;
+        let paintCell = (event) => {
+            let col = Math.trunc(event.offsetX / StylePicker.CUSTOM_CELL_SIZE);
+            let row = Math.trunc(event.offsetY / StylePicker.CUSTOM_CELL_SIZE);
+            if (col < 0 || col >= dim || row < 0 || row >= dim) {
+                return;
+            }
+            if (paintValue < 0) {
+                // First cell in the drag; toggle it, and set the rest to match.
+                paintValue = this.customBrushBits[row * dim + col] ? 0 : 1;
+            }
+            this.customBrushBits[row * dim + col] = paintValue;
+            this.cachedBrush = undefined;
+            this.drawCustomBrush();
+        };
+        canvas.addEventListener("pointerdown", (event) => {
+            canvas.setPointerCapture(event.pointerId);
+            paintValue = -1;
+            paintCell(event);
+        });
+        canvas.addEventListener("pointermove", (event) => {
+            if (paintValue >= 0) {
+                paintCell(event);
+            }
+        });
+        canvas.addEventListener("pointerup", () => {
+            paintValue = -1;
+        });
+        this.drawCustomBrush();
+    }
+
+    //
+    // Draws the custom brush editor grid.
+    //
+    drawCustomBrush() {
+        const dim = Brush.MAX_SIZE;
+        const cell = StylePicker.CUSTOM_CELL_SIZE;
+        let ctx = this.customCtx;
+        ctx.fillStyle = "black";
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        for (let row = 0; row < dim; row++) {
+            for (let col = 0; col < dim; col++) {
+                ctx.fillStyle = this.customBrushBits[row * dim + col] ? "white" : "#303030";
+                ctx.fillRect(col * cell, row * cell, cell - 1, cell - 1);
+            }
+        }
+    }
+
     //
     // Handles a click on any of the stroke-width buttons.
     //